@@ -6,6 +6,7 @@
  * - Pbit state determines oscillator activation
  * - Amplitude modulated by pbit probability
  * - Creates harmonic patterns from thermodynamic sampling
+ * - Categorical (Potts) nodes: each category selects a scale degree
  * 
  * Based on: FlowState AI Technical Report, Section "Stochastic Harmony: Mapping Pbits to Musical Notes"
  */
@@ -44,6 +45,7 @@ export default class PbitSonifier {
         this.pbitStates = [];
         this.pbitProbabilities = [];
         this.pbitCount = 0;
+        this.categoricalMode = false; // Oscillator pitches follow node categories
         
         console.log('[PbitSonifier] Created with scale:', this.scale);
     }
@@ -127,6 +129,12 @@ export default class PbitSonifier {
             return;
         }
         
+        // Leaving categorical mode: give every oscillator its fixed scale pitch back
+        if (this.categoricalMode) {
+            this.categoricalMode = false;
+            this.setScale(this.scale);
+        }
+        
         const currentTime = this.audioContext.currentTime;
         
         // Update each oscillator based on pbit state and probability
@@ -151,6 +159,54 @@ export default class PbitSonifier {
         this.pbitProbabilities = [...probabilities];
     }
     
+    /**
+     * Updates audio synthesis from categorical (Potts) node states.
+     * Oscillator i voices node i: its category c picks scale degree c (wrapping into
+     * higher octaves), alternate voices sit an octave apart, and the amplitude follows
+     * the conditional probability of that category. Surplus oscillators are silenced.
+     * @param {Array<number>} categories - Category index per node (0..q-1)
+     * @param {Array<number>} probabilities - P(xᵢ = current category) per node (0-1)
+     */
+    updateCategorical(categories, probabilities) {
+        if (!this.isInitialized || !this.isEnabled) {
+            return;
+        }
+        
+        if (!categories || !probabilities || categories.length !== probabilities.length) {
+            console.warn('[PbitSonifier] Invalid category/probability arrays');
+            return;
+        }
+        
+        this.categoricalMode = true;
+        const currentTime = this.audioContext.currentTime;
+        const scaleIntervals = this.scales[this.scale] || this.scales['major_pentatonic'];
+        const voices = Math.min(categories.length, this.pbitCount);
+        
+        for (let i = 0; i < this.pbitCount; i++) {
+            if (i >= voices) {
+                this.gainNodes[i].gain.linearRampToValueAtTime(0, currentTime + this.smoothingTime);
+                continue;
+            }
+            
+            const degree = categories[i];
+            const octave = Math.floor(degree / scaleIntervals.length) + (i % 2);
+            const semitones = scaleIntervals[degree % scaleIntervals.length] + 12 * octave;
+            const frequency = this.baseFrequency * Math.pow(2, semitones / 12);
+            this.oscillators[i].frequency.setTargetAtTime(frequency, currentTime, this.smoothingTime / 3);
+            
+            // Spread the master volume across the voices so chords don't clip
+            const prob = Math.max(0, Math.min(1, probabilities[i] || 0));
+            const targetAmplitude = prob * this.masterVolume * 4 / voices;
+            this.gainNodes[i].gain.linearRampToValueAtTime(
+                targetAmplitude,
+                currentTime + this.smoothingTime
+            );
+        }
+        
+        this.pbitStates = [...categories];
+        this.pbitProbabilities = [...probabilities];
+    }
+    
     /**
      * Enables audio synthesis.
      */
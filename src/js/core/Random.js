@@ -0,0 +1,157 @@
+/**
+ * Seedable pseudo-random number generator (xoshiro128**).
+ * Replaces Math.random() wherever runs must be reproducible: the same seed yields
+ * bit-identical sequences. `split()` derives independent child generators the way
+ * JAX splits keys, so each consumer (sampler, pbits, effects) gets its own stream
+ * and adding draws to one does not shift the others.
+ */
+export default class Random {
+    /**
+     * @param {number|string} [seed] - Integer or string seed (random if omitted)
+     */
+    constructor(seed = Random.randomSeed()) {
+        this.seed = seed;
+        this.state = new Uint32Array(4);
+        
+        // Expand the 32-bit seed into 128 bits of state with splitmix32
+        let x = Random._hashSeed(seed);
+        for (let i = 0; i < 4; i++) {
+            x = (x + 0x9e3779b9) >>> 0;
+            this.state[i] = Random._mix32(x);
+        }
+        if (this.state[0] === 0 && this.state[1] === 0 && this.state[2] === 0 && this.state[3] === 0) {
+            this.state[0] = 1; // xoshiro must not start from the all-zero state
+        }
+    }
+    
+    /**
+     * Draws a non-reproducible seed from Math.random().
+     * @returns {number}
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+    
+    /**
+     * Restores a generator from `getState()` output.
+     * @param {Array<number>} state - Four uint32 words
+     * @returns {Random}
+     */
+    static fromState(state) {
+        const rng = new Random(0);
+        rng.state.set(state);
+        rng.seed = null;
+        return rng;
+    }
+    
+    /**
+     * Reduces a number or string seed to a uint32.
+     * @private
+     */
+    static _hashSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            // Fold the high bits of large integers into the low word
+            return (Math.floor(seed) ^ Math.floor(seed / 0x100000000)) >>> 0;
+        }
+        
+        // FNV-1a over the string form
+        const text = String(seed);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+    
+    /**
+     * splitmix32 finalizer.
+     * @private
+     */
+    static _mix32(x) {
+        x = Math.imul(x ^ (x >>> 16), 0x21f0aaad);
+        x = Math.imul(x ^ (x >>> 15), 0x735a2d97);
+        return (x ^ (x >>> 15)) >>> 0;
+    }
+    
+    /**
+     * Next 32-bit unsigned integer.
+     * @returns {number}
+     */
+    nextUint32() {
+        const s = this.state;
+        const result = Math.imul(Random._rotl(Math.imul(s[1], 5), 7), 9) >>> 0;
+        const t = s[1] << 9;
+        
+        s[2] ^= s[0];
+        s[3] ^= s[1];
+        s[1] ^= s[2];
+        s[0] ^= s[3];
+        s[2] ^= t;
+        s[3] = Random._rotl(s[3], 11);
+        
+        return result;
+    }
+    
+    /**
+     * Rotates a uint32 left.
+     * @private
+     */
+    static _rotl(x, k) {
+        return (x << k) | (x >>> (32 - k));
+    }
+    
+    /**
+     * Uniform float in [0, 1), drop-in for Math.random().
+     * @returns {number}
+     */
+    next() {
+        return this.nextUint32() / 0x100000000;
+    }
+    
+    /**
+     * Uniform integer in [0, n).
+     * @param {number} n - Exclusive upper bound
+     * @returns {number}
+     */
+    nextInt(n) {
+        return Math.floor(this.next() * n);
+    }
+    
+    /**
+     * Derives independent child generators (JAX-style key split).
+     * Advances this generator once per child so repeated splits differ.
+     * @param {number} [count=2] - Number of children
+     * @returns {Array<Random>}
+     */
+    split(count = 2) {
+        const children = [];
+        for (let i = 0; i < count; i++) {
+            const child = new Random(0);
+            let x = this.nextUint32() ^ Math.imul(i + 1, 0x9e3779b9);
+            for (let k = 0; k < 4; k++) {
+                x = (x + 0x9e3779b9) >>> 0;
+                child.state[k] = Random._mix32(x ^ this.state[k]);
+            }
+            child.seed = null;
+            children.push(child);
+        }
+        return children;
+    }
+    
+    /**
+     * Derives a single child generator.
+     * @returns {Random}
+     */
+    fork() {
+        return this.split(1)[0];
+    }
+    
+    /**
+     * Gets the internal state for transfer (e.g. to a worker).
+     * @returns {Array<number>}
+     */
+    getState() {
+        return Array.from(this.state);
+    }
+}
@@ -6,6 +6,7 @@ import ParticleEffect from '../effects/ParticleEffect';
 import CodeRainEffect from '../effects/CodeRainEffect';
 import MathRainEffect from '../effects/MathRainEffect';
 import ThermodynamicVisualizer from '../effects/ThermodynamicVisualizer';
+import Random from './Random';
 
 /**
  * Manages the core Three.js scene setup, including the scene graph,
@@ -16,8 +17,14 @@ export default class SceneManager {
     controls = null;
     /**
      * Initializes the scene, camera, renderer, and visualizer mesh.
+     * @param {object} [options] - Configuration options
+     * @param {number|string} [options.seed] - Seed for all scene randomness (random if omitted)
      */
-    constructor() {
+    constructor(options = {}) {
+        /** @type {Random} Root generator; each effect gets its own split stream */
+        this.rng = new Random(options.seed);
+        [this.particleRng, this.codeRainRng, this.mathRainRng, this.thermodynamicRng] = this.rng.split(4);
+        
         /** @type {THREE.Scene} */
         this.scene = new THREE.Scene();
         
@@ -57,10 +64,13 @@ export default class SceneManager {
         this.thermodynamicVisualizer = null;
         /** @type {string} Name of the currently active visual effect */
         this.activeEffectName = ''; // Will be set by setActiveEffect
+        /** @type {function(number, number|null): void | null} Called with (nodeIndex, clampedValue) after a graph node is clicked */
+        this.onNodeClamp = null;
         
         this._setupRenderer();
         this._setupCamera();
         this._setupControls();
+        this._setupNodePicking();
         this._createVisualizerMesh();
         this._createParticleEffect();
     }
@@ -100,6 +110,58 @@ export default class SceneManager {
         // this.controls.autoRotate = true; // 可选: 自动旋转
     }
 
+    /**
+     * Lets a click on a graph node cycle its clamp (free → +1 → -1 → free).
+     * Presses that move more than a few pixels are orbit drags and are ignored.
+     * @private
+     */
+    _setupNodePicking() {
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+        let downX = 0;
+        let downY = 0;
+        
+        this._onPointerDown = (event) => {
+            downX = event.clientX;
+            downY = event.clientY;
+        };
+        this._onPointerUp = (event) => {
+            if (Math.hypot(event.clientX - downX, event.clientY - downY) > 5) return;
+            this._pickGraphNode(event.clientX, event.clientY);
+        };
+        
+        const canvas = this.renderer.domElement;
+        canvas.addEventListener('pointerdown', this._onPointerDown);
+        canvas.addEventListener('pointerup', this._onPointerUp);
+    }
+
+    /**
+     * Raycasts from a screen position into the graph and cycles the clamp of the node hit.
+     * @param {number} clientX - Pointer x in CSS pixels
+     * @param {number} clientY - Pointer y in CSS pixels
+     * @private
+     */
+    _pickGraphNode(clientX, clientY) {
+        const visualizer = this.thermodynamicVisualizer;
+        if (!visualizer || !visualizer.graphNodes.length || this.activeEffectName !== 'icosahedron') return;
+        
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        this.pointer.set(
+            ((clientX - rect.left) / rect.width) * 2 - 1,
+            -((clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(this.pointer, this.camera);
+        
+        const hit = this.raycaster.intersectObjects(visualizer.graphNodes, false)[0];
+        if (!hit) return;
+        
+        const nodeIndex = hit.object.userData.nodeIndex;
+        const value = visualizer.cycleClamp(nodeIndex);
+        if (this.onNodeClamp) {
+            this.onNodeClamp(nodeIndex, value);
+        }
+    }
+
     /**
      * Creates the Icosahedron mesh with the custom shader material.
      * @private
@@ -132,7 +194,8 @@ export default class SceneManager {
         );
         this.particleEffect = new ParticleEffect(this.scene, {
             particleCount: 200000, // 粒子数增加 (原为 50000)
-            initialColor: initialColor // Pass the initial color object
+            initialColor: initialColor, // Pass the initial color object
+            rng: this.particleRng
         });
         
         // Create thermodynamic visualizer after mesh is ready
@@ -151,7 +214,8 @@ export default class SceneManager {
         };
         this.codeRainEffect = new CodeRainEffect(this.scene, {
             columnCount: 50,
-            speed: 0.5
+            speed: 0.5,
+            rng: this.codeRainRng
         });
         this.codeRainEffect.setColor(initialColor);
     }
@@ -168,7 +232,8 @@ export default class SceneManager {
         };
         this.mathRainEffect = new MathRainEffect(this.scene, {
             columnCount: 30,
-            speed: 0.4
+            speed: 0.4,
+            rng: this.mathRainRng
         });
         this.mathRainEffect.setColor(initialColor);
     }
@@ -183,7 +248,8 @@ export default class SceneManager {
             this.thermodynamicVisualizer = new ThermodynamicVisualizer(this.scene, this.mesh, {
                 pbitCount: 20,
                 temperature: 1.0,
-                energyScale: 1.0
+                energyScale: 1.0,
+                rng: this.thermodynamicRng
             });
         }
     }
@@ -385,6 +451,12 @@ export default class SceneManager {
             this.particleEffect.dispose();
         }
         
+        // Stop listening for node clicks
+        if (this._onPointerDown) {
+            this.renderer.domElement.removeEventListener('pointerdown', this._onPointerDown);
+            this.renderer.domElement.removeEventListener('pointerup', this._onPointerUp);
+        }
+        
         // Dispose controls if they exist and have a dispose method (OrbitControls doesn't)
         // if (this.controls && typeof this.controls.dispose === 'function') {
         //     this.controls.dispose();
@@ -0,0 +1,176 @@
+/**
+ * Cluster Updates
+ * Swendsen–Wang and Wolff moves for spin samplers. Near the critical temperature
+ * single-site updates need many sweeps to turn over a large aligned domain; cluster
+ * moves flip whole domains at once.
+ *
+ * Bonds are placed on satisfied edges (wᵢⱼxᵢxⱼ > 0) with probability 1 - e^(-2β|wᵢⱼ|),
+ * which makes the pairwise part of the energy drop out of the acceptance. The
+ * remaining terms (biases and higher-order factors) decide whether a cluster flips:
+ * Swendsen–Wang resamples every cluster from its heat-bath probability, Wolff accepts
+ * its single cluster with the Metropolis rule. With ferromagnetic couplings and no
+ * fields this reduces to the textbook algorithms. Clusters that reach a clamped node
+ * never flip.
+ *
+ * Both moves mark the nodes they flipped in `sampler.clusterMask`.
+ */
+export default class ClusterUpdates {
+    /**
+     * Probability of bonding the satisfied edge with coupling w.
+     * @param {number} weight - Edge weight
+     * @param {number} beta - Inverse temperature
+     * @returns {number}
+     * @private
+     */
+    static _bondProbability(weight, beta) {
+        return 1 - Math.exp(-2 * beta * Math.abs(weight));
+    }
+    
+    /**
+     * One Swendsen–Wang update: bonds every edge, finds the clusters (union-find)
+     * and resamples the orientation of each cluster.
+     * @param {GibbsSampler} sampler - Spin sampler
+     * @returns {number} Number of nodes flipped
+     */
+    static swendsenWang(sampler) {
+        const { model, states, clampMask, rng, nodeCount } = sampler;
+        const beta = 1.0 / sampler.temperature;
+        const parent = new Int32Array(nodeCount);
+        for (let i = 0; i < nodeCount; i++) parent[i] = i;
+        const find = i => {
+            while (parent[i] !== i) {
+                parent[i] = parent[parent[i]]; // Path halving
+                i = parent[i];
+            }
+            return i;
+        };
+        
+        for (let e = 0; e < model.edgeCount; e++) {
+            const i = model.edgeSources[e];
+            const j = model.edgeTargets[e];
+            const weight = model.edgeWeights[e];
+            if (weight * states[i] * states[j] > 0 && rng.next() < ClusterUpdates._bondProbability(weight, beta)) {
+                const rootI = find(i);
+                const rootJ = find(j);
+                if (rootI !== rootJ) parent[rootI] = rootJ;
+            }
+        }
+        
+        const clusters = new Map(); // root -> member nodes
+        for (let i = 0; i < nodeCount; i++) {
+            const root = find(i);
+            if (!clusters.has(root)) clusters.set(root, []);
+            clusters.get(root).push(i);
+        }
+        
+        sampler.clusterMask.fill(0);
+        const members = new Uint8Array(nodeCount); // Scratch mask for the cluster being resampled
+        let flipped = 0;
+        for (const cluster of clusters.values()) {
+            if (cluster.some(i => clampMask[i])) continue;
+            for (const i of cluster) members[i] = 1;
+            
+            // Heat bath on the orientation; factors couple clusters, so flip one at a time
+            const delta = ClusterUpdates.fieldDelta(model, states, cluster, members);
+            if (rng.next() < 1 / (1 + Math.exp(beta * delta))) {
+                for (const i of cluster) {
+                    states[i] = -states[i];
+                    sampler.clusterMask[i] = 1;
+                }
+                flipped += cluster.length;
+            }
+            for (const i of cluster) members[i] = 0;
+        }
+        return flipped;
+    }
+    
+    /**
+     * One Wolff update: grows a single cluster from a random free seed node and
+     * flips it.
+     * @param {GibbsSampler} sampler - Spin sampler
+     * @returns {number} Number of nodes flipped (0 if the move was rejected)
+     */
+    static wolff(sampler) {
+        const { model, states, clampMask, rng, nodeCount } = sampler;
+        const beta = 1.0 / sampler.temperature;
+        sampler.clusterMask.fill(0);
+        
+        const free = [];
+        for (let i = 0; i < nodeCount; i++) {
+            if (!clampMask[i]) free.push(i);
+        }
+        if (free.length === 0) return 0;
+        
+        const members = new Uint8Array(nodeCount);
+        const seed = free[rng.nextInt(free.length)];
+        const cluster = [seed];
+        members[seed] = 1;
+        let reachesClamp = false;
+        
+        for (let head = 0; head < cluster.length; head++) {
+            const i = cluster[head];
+            const end = model.adjOffsets[i + 1];
+            for (let k = model.adjOffsets[i]; k < end; k++) {
+                const j = model.adjIndices[k];
+                const weight = model.adjWeights[k];
+                if (members[j] || weight * states[i] * states[j] <= 0) continue;
+                if (rng.next() < ClusterUpdates._bondProbability(weight, beta)) {
+                    members[j] = 1;
+                    cluster.push(j);
+                    if (clampMask[j]) reachesClamp = true;
+                }
+            }
+        }
+        if (reachesClamp) return 0;
+        
+        const delta = ClusterUpdates.fieldDelta(model, states, cluster, members);
+        if (delta > 0 && rng.next() >= Math.exp(-beta * delta)) return 0;
+        
+        for (const i of cluster) {
+            states[i] = -states[i];
+            sampler.clusterMask[i] = 1;
+        }
+        return cluster.length;
+    }
+    
+    /**
+     * Energy change from biases and higher-order factors when every node of a
+     * cluster flips. Edges are left out: the bond probabilities account for them.
+     * @param {EnergyModel} model - Energy model
+     * @param {Int8Array} states - Current spins
+     * @param {Array<number>} cluster - Nodes to flip
+     * @param {Uint8Array} members - 1 for nodes in the cluster
+     * @returns {number} ΔH without the pairwise terms
+     */
+    static fieldDelta(model, states, cluster, members) {
+        let delta = 0;
+        const touched = new Set();
+        for (const i of cluster) {
+            delta += 2 * model.biases[i] * states[i];
+            for (const f of model.nodeFactors[i]) touched.add(f);
+        }
+        
+        for (const f of touched) {
+            const { nodes, weight, table } = model.factors[f];
+            if (table) {
+                let before = 0;
+                let after = 0;
+                for (let k = 0; k < nodes.length; k++) {
+                    const up = states[nodes[k]] > 0;
+                    if (up) before |= 1 << k;
+                    if (up !== Boolean(members[nodes[k]])) after |= 1 << k;
+                }
+                delta += table[after] - table[before];
+                continue;
+            }
+            let product = weight;
+            let inside = 0;
+            for (let k = 0; k < nodes.length; k++) {
+                product *= states[nodes[k]];
+                inside += members[nodes[k]];
+            }
+            if (inside % 2 === 1) delta += 2 * product; // -wΠx changes sign
+        }
+        return delta;
+    }
+}
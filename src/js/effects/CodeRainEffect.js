@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import Random from '../core/Random';
 
 /**
  * Creates a mathematical equation rain effect with TSU-related formulas flowing upward.
@@ -12,6 +13,7 @@ export default class CodeRainEffect {
         // Configuration options
         this.columnCount = options.columnCount || 50;
         this.speed = options.speed || 0.5;
+        this.rng = options.rng || new Random(options.seed); // Seedable randomness for reproducible demos
         // Mathematical equations and symbols for TSU visualization
         this.mathEquations = [
             'E(x) = -β(Σbᵢxᵢ + Σwᵢⱼxᵢxⱼ)',
@@ -98,7 +100,7 @@ export default class CodeRainEffect {
             
             // Position particles across screen width, starting at various heights
             const x = (i / particleCount - 0.5) * visibleWidth;
-            const y = (Math.random() - 0.5) * visibleHeight * 2; // Start at random heights
+            const y = (this.rng.next() - 0.5) * visibleHeight * 2; // Start at random heights
             const z = -cameraDistance;
             
             positions[i3] = x;
@@ -106,7 +108,7 @@ export default class CodeRainEffect {
             positions[i3 + 2] = z;
             
             // Green-cyan color for math equations (TSU theme)
-            const colorIntensity = 0.4 + Math.random() * 0.6;
+            const colorIntensity = 0.4 + this.rng.next() * 0.6;
             colors[i3] = 0; // R
             colors[i3 + 1] = colorIntensity; // G (green for math)
             colors[i3 + 2] = colorIntensity * 0.9; // B (cyan tint)
@@ -115,12 +117,12 @@ export default class CodeRainEffect {
             const isEquation = text.length > 3;
             
             // Larger size for equations, smaller for symbols
-            sizes[i] = isEquation ? 0.5 + Math.random() * 0.3 : 0.3 + Math.random() * 0.2;
-            opacities[i] = 0.6 + Math.random() * 0.4;
+            sizes[i] = isEquation ? 0.5 + this.rng.next() * 0.3 : 0.3 + this.rng.next() * 0.2;
+            opacities[i] = 0.6 + this.rng.next() * 0.4;
             
             // Store particle data
             this.particlePositions.push(new THREE.Vector3(x, y, z));
-            this.particleVelocities.push(0.4 + Math.random() * 0.6);
+            this.particleVelocities.push(0.4 + this.rng.next() * 0.6);
             this.particleTexts.push(text);
             this.particleOpacities.push(opacities[i]);
         }
@@ -143,10 +145,10 @@ export default class CodeRainEffect {
      */
     _getRandomCodeText() {
         // 80% chance of showing a full equation, 20% chance of a symbol
-        if (Math.random() > 0.2) {
-            return this.mathEquations[Math.floor(Math.random() * this.mathEquations.length)];
+        if (this.rng.next() > 0.2) {
+            return this.mathEquations[this.rng.nextInt(this.mathEquations.length)];
         }
-        return this.characters[Math.floor(Math.random() * this.characters.length)];
+        return this.characters[this.rng.nextInt(this.characters.length)];
     }
     
     /**
@@ -179,8 +181,8 @@ export default class CodeRainEffect {
             if (this.particlePositions[i].y > visibleHeight / 2 + 5) {
                 this.particlePositions[i].y = -visibleHeight / 2 - 5;
                 this.particleTexts[i] = this._getRandomCodeText();
-                this.particleVelocities[i] = 0.3 + Math.random() * 0.7;
-                this.particleOpacities[i] = Math.random();
+                this.particleVelocities[i] = 0.3 + this.rng.next() * 0.7;
+                this.particleOpacities[i] = this.rng.next();
             }
             
             // Update position
@@ -214,7 +216,7 @@ export default class CodeRainEffect {
         
         for (let i = 0; i < this.particlePositions.length; i++) {
             const i3 = i * 3;
-            const intensity = 0.3 + Math.random() * 0.7;
+            const intensity = 0.3 + this.rng.next() * 0.7;
             
             colors[i3] = color.red * intensity;
             colors[i3 + 1] = color.green * intensity;
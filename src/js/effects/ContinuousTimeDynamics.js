@@ -0,0 +1,216 @@
+/**
+ * Continuous-Time Dynamics
+ * Asynchronous pbit dynamics: instead of synchronous block sweeps, every node carries
+ * its own Poisson clock and changes state at a rate set by its conditional,
+ *
+ *   spins:  rᵢ = ν · P(xᵢ → -xᵢ | x₋ᵢ) = ν · σ(-xᵢγᵢ)
+ *   Potts:  rᵢ = ν · (1 - P(xᵢ = current | x₋ᵢ)), new category drawn ∝ P(c | x₋ᵢ)
+ *
+ * with ν the attempt rate of a single pbit (Glauber dynamics). The rates satisfy
+ * detailed balance, so the chain still samples P(x) ∝ e^(-βH(x)). Events are simulated
+ * exactly with the Gillespie algorithm and driven by wall-clock time: `advance(dt)`
+ * runs the events of the next dt seconds, so the timing does not depend on frame rate.
+ *
+ * Observers are notified at fixed simulated-time intervals of 1/ν (one
+ * sweep-equivalent, every node attempts once on average), which keeps time averages
+ * unbiased, and the temperature schedule advances on the same ticks.
+ *
+ *   const dynamics = new ContinuousTimeDynamics(sampler, { rate: 20 });
+ *   dynamics.advance(deltaTime); // each frame
+ */
+export default class ContinuousTimeDynamics {
+    /**
+     * @param {GibbsSampler} sampler - Spin or Potts sampler on the main thread
+     * @param {object} [options]
+     * @param {number} [options.rate=20] - Attempt rate ν of each pbit, in 1/s
+     * @param {number} [options.maxDeltaTime=0.25] - Longest interval simulated per call (s); longer frame gaps are cut
+     * @param {number} [options.maxEventsPerStep=100000] - Event budget per call, protects the frame time
+     */
+    constructor(sampler, options = {}) {
+        this.sampler = sampler;
+        this.rate = options.rate || 20;
+        this.maxDeltaTime = options.maxDeltaTime || 0.25;
+        this.maxEventsPerStep = options.maxEventsPerStep || 100000;
+        this.time = 0; // Simulated seconds
+        this.nextObservation = 1 / this.rate;
+        this.eventCount = 0;
+        this.eventRate = 0; // Events per simulated second over the last call
+        
+        const n = sampler.nodeCount;
+        this.rates = new Float64Array(n);
+        this.totalRate = 0;
+        this.flipTimes = new Float64Array(n).fill(-Infinity); // Time of each node's last change
+        this.conditional = sampler.q ? new Float64Array(sampler.q) : null;
+        this.neighbors = null; // Interaction neighbors, rebuilt when the factors change
+        this._neighborFactors = null;
+        this._neighborFactorCount = -1;
+    }
+    
+    /**
+     * Checks whether a sampler can run asynchronously on the main thread.
+     * Replica exchange and worker-backed samplers own their states elsewhere.
+     * @param {GibbsSampler} sampler
+     * @returns {boolean}
+     */
+    static supports(sampler) {
+        return !sampler.replicas && !sampler.worker;
+    }
+    
+    /**
+     * Changes the attempt rate ν.
+     * @param {number} rate - Attempts per second per pbit
+     */
+    setRate(rate) {
+        this.rate = Math.max(0.01, rate);
+        this.nextObservation = this.time + 1 / this.rate;
+    }
+    
+    /**
+     * Simulates the events of the next `deltaTime` seconds.
+     * @param {number} deltaTime - Wall-clock seconds since the last call
+     * @returns {number} Events (state changes) performed
+     */
+    advance(deltaTime) {
+        const sampler = this.sampler;
+        const duration = Math.min(Math.max(deltaTime, 0), this.maxDeltaTime);
+        const end = this.time + duration;
+        let events = 0;
+        
+        this._refreshRates(); // Parameters, clamps or temperature may have changed since the last frame
+        
+        while (this.time < end) {
+            const wait = this.totalRate > 0 ? -Math.log(1 - sampler.rng.next()) / this.totalRate : Infinity;
+            const next = this.time + wait;
+            
+            if (this.nextObservation <= Math.min(next, end)) {
+                // Nothing changes before `next`; observe at the tick and redraw the wait from there (memoryless)
+                this.time = this.nextObservation;
+                this.nextObservation += 1 / this.rate;
+                this._observe();
+                continue;
+            }
+            if (next > end || events >= this.maxEventsPerStep) {
+                this.time = end;
+                break;
+            }
+            
+            this.time = next;
+            this._fire(this._pickNode());
+            events++;
+        }
+        
+        this.eventCount += events;
+        this.eventRate = duration > 0 ? events / duration : 0;
+        return events;
+    }
+    
+    /**
+     * Seconds since node i last changed state (simulated time).
+     * @param {number} nodeIndex - Node
+     * @returns {number} Infinity if it never changed
+     */
+    timeSinceFlip(nodeIndex) {
+        return this.time - this.flipTimes[nodeIndex];
+    }
+    
+    /**
+     * Notifies observers and advances the temperature schedule on a sweep-equivalent tick.
+     * @private
+     */
+    _observe() {
+        const sampler = this.sampler;
+        sampler.notifyObservers();
+        const temperature = sampler.temperature;
+        sampler.advanceSchedule();
+        if (sampler.temperature !== temperature) {
+            this._refreshRates();
+        }
+    }
+    
+    /**
+     * Recomputes every rate (and the neighbor lists if the factors changed).
+     * @private
+     */
+    _refreshRates() {
+        const model = this.sampler.getModel();
+        if (this._neighborFactors !== model.factors || this._neighborFactorCount !== model.factors.length) {
+            this.neighbors = model.getInteractionNeighbors();
+            this._neighborFactors = model.factors;
+            this._neighborFactorCount = model.factors.length;
+        }
+        
+        this.totalRate = 0;
+        for (let i = 0; i < this.rates.length; i++) {
+            this.rates[i] = this._rate(i);
+            this.totalRate += this.rates[i];
+        }
+    }
+    
+    /**
+     * Rate at which node i leaves its current state.
+     * @private
+     */
+    _rate(i) {
+        const sampler = this.sampler;
+        if (sampler.clampMask[i]) return 0;
+        if (this.conditional) {
+            const stay = sampler.computeConditional(i, this.conditional)[sampler.states[i]];
+            return this.rate * (1 - stay);
+        }
+        return this.rate * sampler.sigmoid(-sampler.states[i] * sampler.computeEffectiveBias(i));
+    }
+    
+    /**
+     * Chooses the node of the next event with probability rᵢ / Σr.
+     * @private
+     */
+    _pickNode() {
+        let u = this.sampler.rng.next() * this.totalRate;
+        let last = 0;
+        for (let i = 0; i < this.rates.length; i++) {
+            if (this.rates[i] <= 0) continue;
+            last = i;
+            u -= this.rates[i];
+            if (u < 0) return i;
+        }
+        return last; // Rounding left u ≥ 0
+    }
+    
+    /**
+     * Changes node i's state and updates the rates it affects.
+     * @private
+     */
+    _fire(i) {
+        const sampler = this.sampler;
+        if (this.conditional) {
+            // Jump to another category, chosen ∝ its conditional probability
+            const probabilities = sampler.computeConditional(i, this.conditional);
+            const current = sampler.states[i];
+            const leave = 1 - probabilities[current];
+            probabilities[current] = 0;
+            for (let c = 0; c < probabilities.length; c++) {
+                probabilities[c] /= leave;
+            }
+            sampler.states[i] = sampler.sampleCategory(probabilities);
+        } else {
+            sampler.states[i] = -sampler.states[i];
+        }
+        this.flipTimes[i] = this.time;
+        
+        this._updateRate(i);
+        const neighbors = this.neighbors[i];
+        for (let k = 0; k < neighbors.length; k++) {
+            this._updateRate(neighbors[k]);
+        }
+    }
+    
+    /**
+     * Recomputes one node's rate and adjusts the total.
+     * @private
+     */
+    _updateRate(i) {
+        const rate = this._rate(i);
+        this.totalRate += rate - this.rates[i];
+        this.rates[i] = rate;
+    }
+}
@@ -0,0 +1,324 @@
+import Random from '../core/Random';
+
+/**
+ * Contrastive Divergence Trainer
+ * Learns the biases and weights of a GibbsSampler's Ising model from ±1 patterns,
+ * like thrml's training examples but in the browser. The log-likelihood gradient is
+ *
+ *   Δbᵢ  ∝ ⟨xᵢ⟩_data − ⟨xᵢ⟩_model
+ *   Δwᵢⱼ ∝ ⟨xᵢxⱼ⟩_data − ⟨xᵢxⱼ⟩_model
+ *
+ * with the model term estimated by k Gibbs sweeps of the sampler's own conditionals.
+ * CD-k restarts the chains from the data each step; persistent CD (PCD) keeps its
+ * chains between steps, which approximates the model distribution better.
+ * The exact gradient carries a factor β = 1/T, absorbed into the learning rate; the
+ * learned parameters reproduce the data at the sampler's temperature.
+ */
+export default class ContrastiveDivergenceTrainer {
+    /**
+     * @param {GibbsSampler} sampler - Sampler whose parameters are trained
+     * @param {object} [options] - Configuration options
+     * @param {number} [options.k=1] - Gibbs sweeps per gradient estimate
+     * @param {boolean} [options.persistent=false] - Use persistent chains (PCD)
+     * @param {number} [options.learningRate=0.05] - Step size
+     * @param {number} [options.batchSize=10] - Patterns per gradient step
+     * @param {number} [options.momentum=0.5] - Momentum on parameter updates
+     * @param {number} [options.weightDecay=0.0001] - L2 penalty on weights
+     * @param {function(object): void} [options.onProgress] - Called after every batch
+     * @param {function(object): void} [options.onComplete] - Called when `train()` finishes
+     * @param {number|string} [options.seed] - PRNG seed (ignored if `rng` is given)
+     * @param {Random} [options.rng] - Generator for shuffling and chain initialization
+     */
+    constructor(sampler, options = {}) {
+        this.sampler = sampler;
+        this.k = options.k || 1;
+        this.persistent = options.persistent || false;
+        this.learningRate = options.learningRate || 0.05;
+        this.batchSize = options.batchSize || 10;
+        this.momentum = options.momentum !== undefined ? options.momentum : 0.5;
+        this.weightDecay = options.weightDecay !== undefined ? options.weightDecay : 0.0001;
+        this.rng = options.rng || new Random(options.seed);
+        
+        // Callbacks
+        this.onProgress = options.onProgress || null;
+        this.onComplete = options.onComplete || null;
+        
+        this.patterns = [];
+        this.isTraining = false;
+        this.reset();
+    }
+    
+    /**
+     * Builds the bars-and-stripes dataset: every pattern whose rows are all equal
+     * (vertical bars) or whose columns are all equal (horizontal stripes).
+     * @param {number} rows - Grid rows
+     * @param {number} cols - Grid columns
+     * @returns {Array<Int8Array>} 2^rows + 2^cols - 2 patterns, row-major
+     */
+    static barsAndStripes(rows, cols) {
+        const patterns = [];
+        for (let mask = 0; mask < (1 << cols); mask++) {
+            const pattern = new Int8Array(rows * cols);
+            for (let i = 0; i < rows * cols; i++) {
+                pattern[i] = (mask >> (i % cols)) & 1 ? 1 : -1;
+            }
+            patterns.push(pattern);
+        }
+        for (let mask = 1; mask < (1 << rows) - 1; mask++) { // Uniform patterns already added
+            const pattern = new Int8Array(rows * cols);
+            for (let i = 0; i < rows * cols; i++) {
+                pattern[i] = (mask >> Math.floor(i / cols)) & 1 ? 1 : -1;
+            }
+            patterns.push(pattern);
+        }
+        return patterns;
+    }
+    
+    /**
+     * Binarizes values to ±1 spins (value > threshold → +1). Booleans map true → +1.
+     * @param {ArrayLike<number|boolean>} values - Pattern values
+     * @param {number} [threshold=0.5] - Cut between -1 and +1 (0 suits ±1 input)
+     * @returns {Int8Array}
+     */
+    static binarize(values, threshold = 0.5) {
+        const pattern = new Int8Array(values.length);
+        for (let i = 0; i < values.length; i++) {
+            const v = values[i];
+            pattern[i] = (v === true || v > threshold) ? 1 : -1;
+        }
+        return pattern;
+    }
+    
+    /**
+     * Binarizes a small canvas ImageData by luminance (bright pixels → +1).
+     * Size the canvas to the grid (e.g. 4x4 for 16 nodes) so pixels map to nodes row-major.
+     * @param {ImageData} imageData - RGBA pixels
+     * @param {number} [threshold=0.5] - Luminance cut (0-1)
+     * @returns {Int8Array}
+     */
+    static fromImageData(imageData, threshold = 0.5) {
+        const { data, width, height } = imageData;
+        const luminance = new Float32Array(width * height);
+        for (let p = 0; p < width * height; p++) {
+            luminance[p] = (0.299 * data[4 * p] + 0.587 * data[4 * p + 1] + 0.114 * data[4 * p + 2]) / 255;
+        }
+        return ContrastiveDivergenceTrainer.binarize(luminance, threshold);
+    }
+    
+    /**
+     * Clears momentum, persistent chains and progress counters.
+     */
+    reset() {
+        const sampler = this.sampler;
+        this.epoch = 0;
+        this.step = 0;
+        this.history = [];
+        this.biasVelocity = new Float64Array(sampler.nodeCount);
+        this.weightVelocity = new Float64Array(sampler.edgeCount);
+        this.chains = [];
+        if (this.persistent) {
+            for (let c = 0; c < this.batchSize; c++) {
+                const chain = new Int8Array(sampler.nodeCount);
+                for (let i = 0; i < chain.length; i++) {
+                    chain[i] = this.rng.next() < 0.5 ? 1 : -1;
+                }
+                this.chains.push(chain);
+            }
+        }
+    }
+    
+    /**
+     * Sets the training patterns.
+     * @param {Array<ArrayLike<number|boolean>>} patterns - One value per node each (±1, 0/1 or booleans)
+     * @throws {Error} If a pattern does not match the sampler's node count
+     */
+    setData(patterns) {
+        const nodeCount = this.sampler.nodeCount;
+        this.patterns = patterns.map((pattern, p) => {
+            if (pattern.length !== nodeCount) {
+                throw new Error(`[ContrastiveDivergenceTrainer] Pattern ${p} has ${pattern.length} values, expected ${nodeCount}`);
+            }
+            // ±1 input is cut at 0, 0/1 input at 0.5
+            const isSpin = Array.prototype.some.call(pattern, v => v < 0);
+            return ContrastiveDivergenceTrainer.binarize(pattern, isSpin ? 0 : 0.5);
+        });
+    }
+    
+    /**
+     * Runs `sweeps` Gibbs sweeps on a chain using the sampler's conditionals.
+     * The sampler's own state is restored afterwards.
+     * @private
+     */
+    _runChain(states, sweeps) {
+        const sampler = this.sampler;
+        const saved = sampler.states;
+        sampler.states = states;
+        for (let s = 0; s < sweeps; s++) {
+            sampler.sweep();
+        }
+        sampler.states = saved;
+    }
+    
+    /**
+     * Adds first and second moments of a configuration to the accumulators.
+     * @private
+     */
+    _accumulate(states, nodeSums, edgeSums) {
+        const { edgeSources, edgeTargets } = this.sampler;
+        for (let i = 0; i < states.length; i++) {
+            nodeSums[i] += states[i];
+        }
+        for (let e = 0; e < edgeSums.length; e++) {
+            edgeSums[e] += states[edgeSources[e]] * states[edgeTargets[e]];
+        }
+    }
+    
+    /**
+     * Mean log pseudo-likelihood per node, (1/N)Σᵢ log P(xᵢ | x₋ᵢ), of a pattern.
+     * @private
+     */
+    _pseudoLikelihood(pattern) {
+        const sampler = this.sampler;
+        const saved = sampler.states;
+        sampler.states = pattern;
+        let total = 0;
+        for (let i = 0; i < pattern.length; i++) {
+            // P(xᵢ | rest) = σ(xᵢγᵢ) since P(+1) = σ(γᵢ)
+            total += Math.log(sampler.sigmoid(pattern[i] * sampler.computeEffectiveBias(i)) + 1e-12);
+        }
+        sampler.states = saved;
+        return total / pattern.length;
+    }
+    
+    /**
+     * Performs one gradient step on a batch of patterns.
+     * @param {Array<Int8Array>} batch - Binarized patterns
+     * @returns {object} Progress record (epoch, step, pseudoLikelihood, gradientNorm)
+     */
+    trainBatch(batch) {
+        const sampler = this.sampler;
+        const dataNodes = new Float64Array(sampler.nodeCount);
+        const dataEdges = new Float64Array(sampler.edgeCount);
+        const modelNodes = new Float64Array(sampler.nodeCount);
+        const modelEdges = new Float64Array(sampler.edgeCount);
+        let pseudoLikelihood = 0;
+        
+        for (const pattern of batch) {
+            this._accumulate(pattern, dataNodes, dataEdges);
+            pseudoLikelihood += this._pseudoLikelihood(pattern);
+        }
+        
+        // Negative phase: CD starts from the data, PCD continues its chains
+        const chains = this.persistent ? this.chains : batch.map(pattern => Int8Array.from(pattern));
+        for (const chain of chains) {
+            this._runChain(chain, this.k);
+            this._accumulate(chain, modelNodes, modelEdges);
+        }
+        
+        const biases = Float64Array.from(sampler.biases);
+        const edgeWeights = Float64Array.from(sampler.edgeWeights);
+        let gradientNorm = 0;
+        
+        for (let i = 0; i < sampler.nodeCount; i++) {
+            const gradient = dataNodes[i] / batch.length - modelNodes[i] / chains.length;
+            this.biasVelocity[i] = this.momentum * this.biasVelocity[i] + this.learningRate * gradient;
+            biases[i] += this.biasVelocity[i];
+            gradientNorm += gradient * gradient;
+        }
+        for (let e = 0; e < sampler.edgeCount; e++) {
+            const gradient = dataEdges[e] / batch.length - modelEdges[e] / chains.length - this.weightDecay * edgeWeights[e];
+            this.weightVelocity[e] = this.momentum * this.weightVelocity[e] + this.learningRate * gradient;
+            edgeWeights[e] += this.weightVelocity[e];
+            gradientNorm += gradient * gradient;
+        }
+        
+        sampler.setParameters({ biases, edgeWeights });
+        this.step++;
+        
+        const progress = {
+            epoch: this.epoch,
+            step: this.step,
+            pseudoLikelihood: pseudoLikelihood / batch.length,
+            gradientNorm: Math.sqrt(gradientNorm)
+        };
+        this.history.push(progress);
+        if (this.onProgress) {
+            this.onProgress(progress);
+        }
+        return progress;
+    }
+    
+    /**
+     * Shuffles the patterns and trains on every batch once.
+     * @returns {object} Progress record of the last batch
+     */
+    trainEpoch() {
+        const batches = this._shuffledBatches();
+        let progress = null;
+        for (const batch of batches) {
+            progress = this.trainBatch(batch);
+        }
+        this.epoch++;
+        return progress;
+    }
+    
+    /**
+     * Splits a shuffled copy of the patterns into batches.
+     * @private
+     */
+    _shuffledBatches() {
+        if (!this.patterns.length) {
+            throw new Error('[ContrastiveDivergenceTrainer] No training data, call setData() first');
+        }
+        const order = this.patterns.map((_, p) => p);
+        for (let p = order.length - 1; p > 0; p--) {
+            const q = this.rng.nextInt(p + 1);
+            [order[p], order[q]] = [order[q], order[p]];
+        }
+        const batches = [];
+        for (let start = 0; start < order.length; start += this.batchSize) {
+            batches.push(order.slice(start, start + this.batchSize).map(p => this.patterns[p]));
+        }
+        return batches;
+    }
+    
+    /**
+     * Trains for several epochs, yielding to the browser between batches so the
+     * visualization keeps sampling from the model while it learns.
+     * @param {object} [options]
+     * @param {number} [options.epochs=100] - Epochs to run
+     * @param {number} [options.batchesPerTick=1] - Batches between yields
+     * @returns {Promise<Array<object>>} Progress history
+     */
+    async train(options = {}) {
+        const epochs = options.epochs || 100;
+        const batchesPerTick = options.batchesPerTick || 1;
+        this.isTraining = true;
+        
+        let sinceYield = 0;
+        for (let e = 0; e < epochs && this.isTraining; e++) {
+            for (const batch of this._shuffledBatches()) {
+                if (!this.isTraining) break;
+                this.trainBatch(batch);
+                if (++sinceYield >= batchesPerTick) {
+                    sinceYield = 0;
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                }
+            }
+            this.epoch++;
+        }
+        
+        this.isTraining = false;
+        if (this.onComplete) {
+            this.onComplete(this.history[this.history.length - 1] || null);
+        }
+        return this.history;
+    }
+    
+    /**
+     * Stops `train()` after the current batch.
+     */
+    stop() {
+        this.isTraining = false;
+    }
+}
@@ -0,0 +1,312 @@
+/**
+ * Energy Model
+ * The parameters and energy function of a spin (±1) energy-based model:
+ *
+ *   H(x) = -(Σᵢ bᵢxᵢ + Σ₍ᵢ,ⱼ₎ wᵢⱼxᵢxⱼ + Σ_f w_f Π_{k∈f} x_k) + Σ_t E_t(x_t)
+ *
+ * with biases, pairwise weights on the topology's edges and optional higher-order
+ * factors: products of three or more spins, or tables E_t giving an energy for every
+ * joint state of a few nodes. The Boltzmann distribution at inverse
+ * temperature β is P(x) ∝ e^(-βH(x)). Everything that reads energies or conditionals
+ * goes through this class, so the readout and the sampler cannot disagree.
+ *
+ * Pairwise weights live in CSR (compressed sparse row) form with typed arrays, so a
+ * local field costs O(degree) and large models fit in the render loop.
+ */
+export default class EnergyModel {
+    /**
+     * @param {GraphTopology} topology - Nodes and pairwise edges
+     */
+    constructor(topology) {
+        this.nodeCount = topology.nodeCount;
+        this.graph = topology.edges;
+        this.edgeCount = this.graph.length;
+        this.biases = new Float32Array(this.nodeCount);
+        this.edgeWeights = new Float32Array(this.edgeCount); // Weight per edge, aligned with this.graph
+        this.factors = []; // Higher-order terms: {nodes: Int32Array, weight: number, table: Float64Array|null}
+        this.nodeFactors = Array.from({ length: this.nodeCount }, () => []); // Factor indices touching each node
+        this.factorVersion = 0; // Bumped by every factor change, so observers can detect one cheaply
+        
+        // CSR adjacency: neighbors of node i are adjIndices[adjOffsets[i] .. adjOffsets[i + 1])
+        this._buildAdjacency();
+    }
+    
+    /**
+     * Builds the CSR adjacency arrays from the edge list.
+     * Each undirected edge occupies two slots (one per endpoint); `edgeSlots` records
+     * both so a weight update touches exactly two entries of `adjWeights`.
+     * @private
+     */
+    _buildAdjacency() {
+        const degree = new Int32Array(this.nodeCount);
+        for (const [i, j] of this.graph) {
+            degree[i]++;
+            degree[j]++;
+        }
+        
+        this.adjOffsets = new Int32Array(this.nodeCount + 1);
+        for (let i = 0; i < this.nodeCount; i++) {
+            this.adjOffsets[i + 1] = this.adjOffsets[i] + degree[i];
+        }
+        
+        this.adjIndices = new Int32Array(2 * this.edgeCount);
+        this.adjWeights = new Float32Array(2 * this.edgeCount);
+        this.edgeSlots = new Int32Array(2 * this.edgeCount);
+        this.edgeSources = new Int32Array(this.edgeCount);
+        this.edgeTargets = new Int32Array(this.edgeCount);
+        this.edgeIndex = new Map(); // i * nodeCount + j (i < j) -> edge index
+        
+        const cursor = this.adjOffsets.slice(0, this.nodeCount);
+        for (let e = 0; e < this.edgeCount; e++) {
+            const [i, j] = this.graph[e];
+            const slotI = cursor[i]++;
+            const slotJ = cursor[j]++;
+            this.adjIndices[slotI] = j;
+            this.adjIndices[slotJ] = i;
+            this.edgeSlots[2 * e] = slotI;
+            this.edgeSlots[2 * e + 1] = slotJ;
+            this.edgeSources[e] = i;
+            this.edgeTargets[e] = j;
+            this.edgeIndex.set(i * this.nodeCount + j, e);
+        }
+    }
+    
+    /**
+     * Looks up the edge index for a node pair.
+     * @param {number} i - First node
+     * @param {number} j - Second node
+     * @returns {number} Edge index, or -1 if the nodes are not connected
+     */
+    findEdge(i, j) {
+        const key = Math.min(i, j) * this.nodeCount + Math.max(i, j);
+        const e = this.edgeIndex.get(key);
+        return e === undefined ? -1 : e;
+    }
+    
+    /**
+     * Writes a weight into the edge array and both CSR slots.
+     * @param {number} e - Edge index
+     * @param {number} weight - New weight
+     */
+    setEdgeWeight(e, weight) {
+        this.edgeWeights[e] = weight;
+        this.adjWeights[this.edgeSlots[2 * e]] = weight;
+        this.adjWeights[this.edgeSlots[2 * e + 1]] = weight;
+    }
+    
+    /**
+     * Adds a higher-order term -w·Π_{k∈nodes} x_k to the energy.
+     * @param {Array<number>} nodes - Distinct node indices (usually three or more)
+     * @param {number} weight - Coupling w (positive favors an even number of -1 spins)
+     * @returns {number} Factor index
+     * @throws {Error} If a node index is out of range or repeated
+     */
+    addFactor(nodes, weight) {
+        return this._pushFactor(nodes, weight, null);
+    }
+    
+    /**
+     * Adds a table factor: an energy E(x_f) for every joint state of its nodes.
+     * Entry m belongs to the state where node nodes[k] is +1 exactly when bit k of m
+     * is set (nodes[0] is the lowest bit). A table of potentials φ converts with
+     * E = -log φ at β = 1.
+     * @param {Array<number>} nodes - Distinct node indices
+     * @param {ArrayLike<number>} table - 2^nodes.length finite energies
+     * @returns {number} Factor index
+     * @throws {Error} If a node index is invalid or the table has the wrong size
+     */
+    addTableFactor(nodes, table) {
+        if (!table || table.length !== Math.pow(2, nodes.length) || Array.from(table).some(e => !Number.isFinite(e))) {
+            throw new Error(`[EnergyModel] A table factor over ${nodes.length} nodes needs ${Math.pow(2, nodes.length)} finite energies`);
+        }
+        return this._pushFactor(nodes, 0, Float64Array.from(table));
+    }
+    
+    /**
+     * Validates the nodes of a factor and registers it with each of them.
+     * @private
+     */
+    _pushFactor(nodes, weight, table) {
+        const unique = new Set(nodes);
+        if (nodes.length === 0 || unique.size !== nodes.length || nodes.some(i => !(i >= 0 && i < this.nodeCount))) {
+            throw new Error(`[EnergyModel] Factor nodes must be distinct indices below ${this.nodeCount}`);
+        }
+        const index = this.factors.length;
+        this.factors.push({ nodes: Int32Array.from(nodes), weight, table });
+        this.factorVersion++;
+        for (const i of nodes) {
+            this.nodeFactors[i].push(index);
+        }
+        return index;
+    }
+    
+    /**
+     * Changes the coupling of an existing factor.
+     * @param {number} index - Factor index from `addFactor()`
+     * @param {number} weight - New coupling
+     */
+    setFactorWeight(index, weight) {
+        if (this.factors[index]) {
+            this.factors[index].weight = weight;
+            this.factorVersion++;
+        }
+    }
+    
+    /**
+     * Replaces all higher-order factors.
+     * @param {Array<{nodes: Array<number>, weight?: number, table?: ArrayLike<number>}>} factors
+     */
+    setFactors(factors) {
+        this.clearFactors();
+        for (const factor of factors) {
+            if (factor.table) {
+                this.addTableFactor(Array.from(factor.nodes), factor.table);
+            } else {
+                this.addFactor(Array.from(factor.nodes), factor.weight);
+            }
+        }
+    }
+    
+    /**
+     * Removes all higher-order factors.
+     */
+    clearFactors() {
+        this.factors = [];
+        this.nodeFactors = Array.from({ length: this.nodeCount }, () => []);
+        this.factorVersion++;
+    }
+    
+    /**
+     * Gets the higher-order factors as plain data (structured-clone safe).
+     * Product factors carry `weight`, table factors carry `table`.
+     * @returns {Array<{nodes: Array<number>, weight?: number, table?: Array<number>}>}
+     */
+    getFactors() {
+        return this.factors.map(factor => (factor.table
+            ? { nodes: Array.from(factor.nodes), table: Array.from(factor.table) }
+            : { nodes: Array.from(factor.nodes), weight: factor.weight }));
+    }
+    
+    /**
+     * Node pairs that interact through an edge or a shared factor. Nodes updated
+     * together in a block must not appear as a pair here.
+     * @returns {Array<Array<number>>} Neighbor list per node
+     */
+    getInteractionNeighbors() {
+        const neighbors = Array.from({ length: this.nodeCount }, () => new Set());
+        for (const [i, j] of this.graph) {
+            neighbors[i].add(j);
+            neighbors[j].add(i);
+        }
+        for (const { nodes } of this.factors) {
+            for (const i of nodes) {
+                for (const j of nodes) {
+                    if (i !== j) neighbors[i].add(j);
+                }
+            }
+        }
+        return neighbors.map(set => Array.from(set));
+    }
+    
+    /**
+     * Interacting node pairs (i < j) from edges and factors.
+     * @returns {Array<Array<number>>}
+     */
+    getInteractionEdges() {
+        const edges = [];
+        this.getInteractionNeighbors().forEach((neighbors, i) => {
+            for (const j of neighbors) {
+                if (i < j) edges.push([i, j]);
+            }
+        });
+        return edges;
+    }
+    
+    /**
+     * Energy H(x) of a configuration (no temperature factor).
+     * @param {ArrayLike<number>} states - ±1 per node
+     * @returns {number}
+     */
+    energy(states) {
+        let sum = 0;
+        for (let i = 0; i < this.nodeCount; i++) {
+            sum += this.biases[i] * states[i];
+        }
+        for (let e = 0; e < this.edgeCount; e++) {
+            sum += this.edgeWeights[e] * states[this.edgeSources[e]] * states[this.edgeTargets[e]];
+        }
+        let tableEnergy = 0;
+        for (const { nodes, weight, table } of this.factors) {
+            if (table) {
+                tableEnergy += table[EnergyModel._tableIndex(nodes, states, -1)];
+                continue;
+            }
+            let product = weight;
+            for (let k = 0; k < nodes.length; k++) {
+                product *= states[nodes[k]];
+            }
+            sum += product;
+        }
+        return tableEnergy - sum;
+    }
+    
+    /**
+     * Local field hᵢ = -∂H/∂xᵢ = bᵢ + Σⱼ wᵢⱼxⱼ + Σ_{f∋i} w_f Π_{k∈f, k≠i} x_k
+     * + Σ_{t∋i} (E_t(xᵢ=-1) - E_t(xᵢ=+1)) / 2.
+     * H depends on xᵢ only through -xᵢhᵢ, so P(xᵢ = +1 | x₋ᵢ) = σ(2βhᵢ).
+     * @param {number} nodeIndex - Node
+     * @param {ArrayLike<number>} states - ±1 per node (xᵢ itself is ignored)
+     * @returns {number}
+     */
+    localField(nodeIndex, states) {
+        const end = this.adjOffsets[nodeIndex + 1];
+        let field = this.biases[nodeIndex];
+        for (let k = this.adjOffsets[nodeIndex]; k < end; k++) {
+            field += this.adjWeights[k] * states[this.adjIndices[k]];
+        }
+        
+        const touching = this.nodeFactors[nodeIndex];
+        for (let t = 0; t < touching.length; t++) {
+            const { nodes, weight, table } = this.factors[touching[t]];
+            if (table) {
+                const down = EnergyModel._tableIndex(nodes, states, nodeIndex); // Bit of node i cleared
+                let bit = 0;
+                while (nodes[bit] !== nodeIndex) bit++;
+                field += (table[down] - table[down | (1 << bit)]) / 2;
+                continue;
+            }
+            let product = weight;
+            for (let k = 0; k < nodes.length; k++) {
+                if (nodes[k] !== nodeIndex) product *= states[nodes[k]];
+            }
+            field += product;
+        }
+        return field;
+    }
+    
+    /**
+     * Energy change H(x') - H(x) when node i flips.
+     * @param {number} nodeIndex - Node to flip
+     * @param {ArrayLike<number>} states - Configuration before the flip
+     * @returns {number}
+     */
+    flipDelta(nodeIndex, states) {
+        return 2 * states[nodeIndex] * this.localField(nodeIndex, states);
+    }
+    
+    /**
+     * Row of a table factor for the current states: bit k is set when nodes[k] is +1.
+     * @param {Int32Array} nodes - Factor nodes
+     * @param {ArrayLike<number>} states - ±1 per node
+     * @param {number} skip - Node whose bit is left cleared (-1 for none)
+     * @returns {number}
+     * @private
+     */
+    static _tableIndex(nodes, states, skip) {
+        let index = 0;
+        for (let k = 0; k < nodes.length; k++) {
+            if (nodes[k] !== skip && states[nodes[k]] > 0) index |= 1 << k;
+        }
+        return index;
+    }
+}
@@ -0,0 +1,325 @@
+import GraphTopology from './GraphTopology';
+import EnergyModel from './EnergyModel';
+import GibbsSampler from './GibbsSampler';
+
+/**
+ * Factor Graph
+ * Describes a ±1 spin model as a list of factors, the way thrml does: a factor holds
+ * k equally long node groups and one weight (or energy table) per position, so a
+ * single factor stands for many interactions. Instance m of a factor touches
+ * nodeGroups[0][m], nodeGroups[1][m], ... nodeGroups[k-1][m].
+ *
+ * Factor types and their energy contribution per instance:
+ *   - 'bias'     one group,  -w·xᵢ
+ *   - 'coupling' two groups, -w·xᵢxⱼ
+ *   - 'product'  any groups, -w·Π x_k  (3-body terms and up)
+ *   - 'table'    any groups, E(x_f) looked up in a table of 2^k energies
+ *
+ * The conditionals are not written by hand: the graph is turned into an EnergyModel
+ * (couplings become pairwise edges, everything else factors) and the sampler derives
+ * each P(xᵢ | x₋ᵢ) from the local field of that model.
+ *
+ *   const graph = new FactorGraph(3);
+ *   graph.addProduct([[0], [1], [2]], [1.5]);
+ *   const sampler = graph.createSampler({ temperature: 0.5 });
+ */
+export default class FactorGraph {
+    /**
+     * @param {number} nodeCount - Number of spin nodes
+     * @param {object} [options]
+     * @param {string} [options.name='factor-graph'] - Topology name shown in exports
+     * @param {Array<Array<number>>} [options.layout] - [x, y] position per node
+     */
+    constructor(nodeCount, options = {}) {
+        if (!Number.isInteger(nodeCount) || nodeCount < 1) {
+            throw new Error(`[FactorGraph] Invalid node count: ${nodeCount}`);
+        }
+        this.nodeCount = nodeCount;
+        this.name = options.name || 'factor-graph';
+        this.layout = options.layout || null;
+        this.factors = []; // {type, nodeGroups: Array<Int32Array>, weights?: Float64Array, tables?: Array<Float64Array>}
+    }
+    
+    /**
+     * Adds one bias per node: -w·xᵢ.
+     * @param {Array<number>} nodes - Node indices
+     * @param {ArrayLike<number>} weights - One bias per node
+     * @returns {number} Factor index
+     */
+    addBias(nodes, weights) {
+        return this._addWeighted('bias', [nodes], weights);
+    }
+    
+    /**
+     * Adds pairwise couplings between left[m] and right[m]: -w·xᵢxⱼ.
+     * @param {Array<number>} left - First node of each pair
+     * @param {Array<number>} right - Second node of each pair
+     * @param {ArrayLike<number>} weights - One coupling per pair
+     * @returns {number} Factor index
+     */
+    addCoupling(left, right, weights) {
+        return this._addWeighted('coupling', [left, right], weights);
+    }
+    
+    /**
+     * Adds spin products across the groups: -w·Π x_k (e.g. three groups for 3-body terms).
+     * @param {Array<Array<number>>} nodeGroups - Equally long node groups
+     * @param {ArrayLike<number>} weights - One coupling per position
+     * @returns {number} Factor index
+     */
+    addProduct(nodeGroups, weights) {
+        return this._addWeighted('product', nodeGroups, weights);
+    }
+    
+    /**
+     * Adds table factors across the groups. Entry r of a table is the energy of the
+     * joint state in which the node from group k is +1 exactly when bit k of r is set.
+     * @param {Array<Array<number>>} nodeGroups - Equally long node groups
+     * @param {Array<ArrayLike<number>>|ArrayLike<number>} tables - One table per position,
+     *   or a single table shared by all positions
+     * @returns {number} Factor index
+     * @throws {Error} If the groups are invalid or a table has the wrong size
+     */
+    addTable(nodeGroups, tables) {
+        const groups = this._checkGroups(nodeGroups);
+        const size = Math.pow(2, groups.length);
+        const count = groups[0].length;
+        const shared = tables && typeof tables[0] === 'number';
+        if (!tables || (!shared && tables.length !== count)) {
+            throw new Error(`[FactorGraph] Expected ${count} tables, one per position`);
+        }
+        const rows = [];
+        for (let m = 0; m < count; m++) {
+            const table = shared ? tables : tables[m];
+            if (!table || table.length !== size || Array.from(table).some(e => !Number.isFinite(e))) {
+                throw new Error(`[FactorGraph] Each table over ${groups.length} groups needs ${size} finite energies`);
+            }
+            rows.push(Float64Array.from(table));
+        }
+        this.factors.push({ type: 'table', nodeGroups: groups, tables: rows });
+        return this.factors.length - 1;
+    }
+    
+    /**
+     * Removes all factors.
+     */
+    clear() {
+        this.factors = [];
+    }
+    
+    /**
+     * Stores a weighted factor after checking the groups and the weight count.
+     * @private
+     */
+    _addWeighted(type, nodeGroups, weights) {
+        const groups = this._checkGroups(nodeGroups);
+        if (!weights || weights.length !== groups[0].length) {
+            throw new Error(`[FactorGraph] Expected ${groups[0].length} weights, one per position, got ${weights ? weights.length : 0}`);
+        }
+        this.factors.push({ type, nodeGroups: groups, weights: Float64Array.from(weights) });
+        return this.factors.length - 1;
+    }
+    
+    /**
+     * Validates node groups: non-empty, equally long, in range and with distinct nodes
+     * within each instance.
+     * @private
+     */
+    _checkGroups(nodeGroups) {
+        if (!nodeGroups || nodeGroups.length === 0 || nodeGroups[0].length === 0) {
+            throw new Error('[FactorGraph] A factor needs at least one non-empty node group');
+        }
+        const count = nodeGroups[0].length;
+        if (nodeGroups.some(group => group.length !== count)) {
+            throw new Error('[FactorGraph] Every node group of a factor must hold the same number of nodes');
+        }
+        const groups = nodeGroups.map(group => Int32Array.from(group));
+        for (let m = 0; m < count; m++) {
+            const nodes = groups.map(group => group[m]);
+            if (nodes.some(i => !(i >= 0 && i < this.nodeCount)) || new Set(nodes).size !== nodes.length) {
+                throw new Error(`[FactorGraph] Position ${m} needs distinct node indices below ${this.nodeCount}`);
+            }
+        }
+        return groups;
+    }
+    
+    /**
+     * Expands every factor into its individual interactions.
+     * @returns {Array<{type: string, nodes: Array<number>, weight?: number, table?: Float64Array}>}
+     */
+    getInstances() {
+        const instances = [];
+        for (const factor of this.factors) {
+            for (let m = 0; m < factor.nodeGroups[0].length; m++) {
+                const nodes = factor.nodeGroups.map(group => group[m]);
+                instances.push(factor.tables
+                    ? { type: factor.type, nodes, table: factor.tables[m] }
+                    : { type: factor.type, nodes, weight: factor.weights[m] });
+            }
+        }
+        return instances;
+    }
+    
+    /**
+     * Builds the pairwise topology from the coupling factors.
+     * @returns {GraphTopology}
+     */
+    toTopology() {
+        const edges = this.getInstances()
+            .filter(instance => instance.type === 'coupling')
+            .map(instance => instance.nodes);
+        return new GraphTopology(this.nodeCount, edges, { name: this.name, layout: this.layout });
+    }
+    
+    /**
+     * Builds an EnergyModel holding this graph's energy function.
+     * @returns {EnergyModel}
+     */
+    toModel() {
+        const model = new EnergyModel(this.toTopology());
+        const { biases, edgeWeights, factors } = this._compile(model);
+        model.biases.set(biases);
+        edgeWeights.forEach((weight, e) => model.setEdgeWeight(e, weight));
+        model.setFactors(factors);
+        return model;
+    }
+    
+    /**
+     * Creates a Gibbs sampler over this graph's topology with its parameters loaded.
+     * @param {object} [options] - Sampler options (temperature, seed, coloring, ...)
+     * @param {Function} [SamplerClass=GibbsSampler] - GibbsSampler or a spin subclass
+     * @returns {GibbsSampler}
+     */
+    createSampler(options = {}, SamplerClass = GibbsSampler) {
+        const sampler = new SamplerClass({ ...options, topology: this.toTopology() });
+        this.applyTo(sampler);
+        return sampler;
+    }
+    
+    /**
+     * Loads this graph's parameters into an existing spin sampler. Every bias, edge
+     * weight and factor of the sampler is replaced; couplings between nodes that are
+     * not edges of the sampler's topology become two-node product factors.
+     * @param {GibbsSampler} sampler - Spin sampler with the same node count
+     * @throws {Error} If the sampler is categorical or has a different size
+     */
+    applyTo(sampler) {
+        if (sampler.q) {
+            throw new Error('[FactorGraph] Factor graphs describe ±1 spins; categorical samplers are not supported');
+        }
+        if (sampler.nodeCount !== this.nodeCount) {
+            throw new Error(`[FactorGraph] Graph has ${this.nodeCount} nodes, sampler has ${sampler.nodeCount}`);
+        }
+        const { biases, edgeWeights, factors } = this._compile(sampler.getModel());
+        sampler.setParameters({ biases, edgeWeights });
+        sampler.setFactors(factors);
+    }
+    
+    /**
+     * Sums the instances into biases, per-edge weights and EnergyModel factors.
+     * Single-node products fold into biases and two-node products on an edge into
+     * that edge's weight.
+     * @private
+     */
+    _compile(model) {
+        const biases = new Float64Array(this.nodeCount);
+        const edgeWeights = new Float64Array(model.edgeCount);
+        const factors = [];
+        
+        for (const { nodes, weight, table } of this.getInstances()) {
+            if (table) {
+                factors.push({ nodes, table: Array.from(table) });
+            } else if (nodes.length === 1) {
+                biases[nodes[0]] += weight;
+            } else if (nodes.length === 2 && model.findEdge(nodes[0], nodes[1]) !== -1) {
+                edgeWeights[model.findEdge(nodes[0], nodes[1])] += weight;
+            } else {
+                factors.push({ nodes, weight });
+            }
+        }
+        return { biases, edgeWeights, factors };
+    }
+    
+    /**
+     * Describes a spin sampler's current model as a factor graph: one bias factor,
+     * one coupling factor over the topology's edges, and the higher-order factors
+     * batched by type and size.
+     * @param {GibbsSampler} sampler - Spin sampler
+     * @returns {FactorGraph}
+     */
+    static fromSampler(sampler) {
+        const topology = sampler.getTopology();
+        const graph = new FactorGraph(sampler.nodeCount, { name: topology.name, layout: topology.layout });
+        const model = sampler.getModel();
+        const nodes = Array.from({ length: sampler.nodeCount }, (_, i) => i);
+        graph.addBias(nodes, model.biases);
+        if (model.edgeCount > 0) {
+            graph.addCoupling(Array.from(model.edgeSources), Array.from(model.edgeTargets), model.edgeWeights);
+        }
+        
+        const batches = new Map(); // 'product:3' -> instances
+        for (const factor of model.getFactors()) {
+            const key = `${factor.table ? 'table' : 'product'}:${factor.nodes.length}`;
+            if (!batches.has(key)) batches.set(key, []);
+            batches.get(key).push(factor);
+        }
+        for (const [key, batch] of batches) {
+            const size = batch[0].nodes.length;
+            const groups = Array.from({ length: size }, (_, k) => batch.map(factor => factor.nodes[k]));
+            if (key.startsWith('table')) {
+                graph.addTable(groups, batch.map(factor => factor.table));
+            } else {
+                graph.addProduct(groups, batch.map(factor => factor.weight));
+            }
+        }
+        return graph;
+    }
+    
+    /**
+     * Plain-data form for saving or sending to another backend.
+     * @returns {{nodeCount: number, name: string, layout: Array|null, factors: Array<object>}}
+     */
+    toJSON() {
+        return {
+            nodeCount: this.nodeCount,
+            name: this.name,
+            layout: this.layout,
+            factors: this.factors.map(factor => ({
+                type: factor.type,
+                nodeGroups: factor.nodeGroups.map(group => Array.from(group)),
+                ...(factor.tables
+                    ? { tables: factor.tables.map(table => Array.from(table)) }
+                    : { weights: Array.from(factor.weights) })
+            }))
+        };
+    }
+    
+    /**
+     * Rebuilds a graph from `toJSON()` output.
+     * @param {{nodeCount: number, name?: string, layout?: Array, factors: Array<object>}} data
+     * @returns {FactorGraph}
+     * @throws {Error} On an unknown factor type or invalid groups
+     */
+    static fromJSON(data) {
+        const graph = new FactorGraph(data.nodeCount, { name: data.name, layout: data.layout });
+        for (const factor of data.factors || []) {
+            switch (factor.type) {
+                case 'bias':
+                    graph.addBias(factor.nodeGroups[0], factor.weights);
+                    break;
+                case 'coupling':
+                    graph.addCoupling(factor.nodeGroups[0], factor.nodeGroups[1], factor.weights);
+                    break;
+                case 'product':
+                    graph.addProduct(factor.nodeGroups, factor.weights);
+                    break;
+                case 'table':
+                    graph.addTable(factor.nodeGroups, factor.tables);
+                    break;
+                default:
+                    throw new Error(`[FactorGraph] Unknown factor type: ${factor.type}`);
+            }
+        }
+        return graph;
+    }
+}
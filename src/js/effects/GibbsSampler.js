@@ -1,60 +1,123 @@
+import GraphTopology from './GraphTopology';
+import GraphColoring from './GraphColoring';
+import EnergyModel from './EnergyModel';
+import ClusterUpdates from './ClusterUpdates';
+import Random from '../core/Random';
+
 /**
  * Gibbs Sampling Engine for Energy-Based Models
- * Implements block Gibbs sampling for probabilistic graphical models
+ * Implements block Gibbs sampling for probabilistic graphical models.
+ * Samples P(x) ∝ e^(-βH(x)) with β = 1/temperature, where the energy H and the local
+ * fields come from an EnergyModel (biases, pairwise weights, higher-order factors).
+ * The graph is stored in CSR (compressed sparse row) form with typed arrays, so a
+ * sweep costs O(N + E) and large models fit in the render loop.
+ *
+ * Nodes can be clamped to fixed values (thrml's `clamped_blocks`): sweeps skip them,
+ * so the free nodes sample from the conditional distribution given the clamped ones.
+ *
+ * Besides block Gibbs, a sweep can be a Metropolis–Hastings pass or a Swendsen–Wang
+ * or Wolff cluster move (see ClusterUpdates), selected with `setAlgorithm()`.
  */
 export default class GibbsSampler {
+    /**
+     * @param {object} options - Configuration options
+     * @param {number} [options.nodeCount=16] - Number of nodes (used by presets)
+     * @param {number} [options.temperature=1.0] - Sampling temperature
+     * @param {string|object|GraphTopology} [options.topology='grid'] - Preset name, `{nodes, edges}` or a GraphTopology
+     * @param {object} [options.topologyOptions] - Preset parameters (rows, cols, m, n, t)
+     * @param {string} [options.coloring='dsatur'] - Block coloring strategy ('dsatur' or 'greedy')
+     * @param {Array<Array<number>>} [options.blocks] - Explicit free blocks (must be independent sets)
+     * @param {number|string} [options.seed] - PRNG seed for reproducible runs (random if omitted)
+     * @param {Random} [options.rng] - Generator to use instead of seeding a new one
+     * @param {Object<number, number>} [options.clamped] - Fixed values keyed by node index
+     * @param {string} [options.algorithm='gibbs'] - Update rule, one of `GibbsSampler.algorithms()`
+     */
     constructor(options = {}) {
-        this.nodeCount = options.nodeCount || 16;
+        this.topology = GraphTopology.create(options.topology || 'grid', {
+            nodeCount: options.nodeCount || 16,
+            ...options.topologyOptions
+        });
+        this.nodeCount = this.topology.nodeCount;
         this.temperature = options.temperature || 1.0; // β = 1/temperature
-        this.biases = new Array(this.nodeCount).fill(0);
-        this.weights = {}; // Edge weights: "i,j" -> weight
-        this.states = new Array(this.nodeCount).fill(-1); // -1 or +1
-        this.graph = this._createGridGraph();
+        this.graph = this.topology.edges;
+        this.edgeCount = this.graph.length;
+        this.model = new EnergyModel(this.topology); // Biases, weights (CSR) and factors
+        this._bindModel();
+        this.states = new Int8Array(this.nodeCount); // -1 or +1
+        this.coloring = options.coloring || 'dsatur';
+        this.blocks = [];
+        this.rng = options.rng || new Random(options.seed);
+        this.observers = []; // Notified after every sweep (see StatisticsObserver)
+        this.schedule = null; // Optional TemperatureSchedule advanced once per sweep
+        this.clampMask = new Uint8Array(this.nodeCount); // 1 = clamped, skipped by sweeps
+        this.clampValues = new Int8Array(this.nodeCount); // Value held by each clamped node
+        this.algorithm = 'gibbs';
+        this.clusterMask = new Uint8Array(this.nodeCount); // 1 = flipped by the last cluster move
+        this.setAlgorithm(options.algorithm || 'gibbs');
+        
+        // Partition nodes into independent sets for block updates
+        if (options.blocks) {
+            this.setBlocks(options.blocks);
+        } else {
+            this.blocks = GraphColoring.blocksFor(this.topology, this.coloring).map(block => Int32Array.from(block));
+        }
         
         // Initialize random states
         for (let i = 0; i < this.nodeCount; i++) {
-            this.states[i] = Math.random() > 0.5 ? 1 : -1;
+            this.states[i] = this.rng.next() > 0.5 ? 1 : -1;
         }
         
-        // Initialize random weights for grid
-        this._initializeGridWeights();
+        // Initialize random weights for the graph
+        this._initializeWeights();
+        
+        if (options.clamped) {
+            this.setClamped(options.clamped);
+        }
     }
     
     /**
-     * Creates a grid graph structure (bipartite).
+     * Points the sampler's parameter arrays at its energy model. The arrays are shared,
+     * so writes through either are seen by both.
      * @private
      */
-    _createGridGraph() {
-        const gridSize = Math.sqrt(this.nodeCount);
-        const edges = [];
-        
-        for (let i = 0; i < this.nodeCount; i++) {
-            const row = Math.floor(i / gridSize);
-            const col = i % gridSize;
-            
-            // Connect to neighbors (von Neumann neighborhood)
-            if (col < gridSize - 1) {
-                edges.push([i, i + 1]); // Right neighbor
-            }
-            if (row < gridSize - 1) {
-                edges.push([i, i + gridSize]); // Bottom neighbor
-            }
-        }
-        
-        return edges;
+    _bindModel() {
+        const model = this.model;
+        this.biases = model.biases;
+        this.edgeWeights = model.edgeWeights;
+        this.adjOffsets = model.adjOffsets;
+        this.adjIndices = model.adjIndices;
+        this.adjWeights = model.adjWeights;
+        this.edgeSlots = model.edgeSlots;
+        this.edgeSources = model.edgeSources;
+        this.edgeTargets = model.edgeTargets;
+        this.edgeIndex = model.edgeIndex;
     }
     
     /**
-     * Initializes weights for grid graph.
+     * Looks up the edge index for a node pair.
+     * @param {number} i - First node
+     * @param {number} j - Second node
+     * @returns {number} Edge index, or -1 if the nodes are not connected
+     */
+    findEdge(i, j) {
+        return this.model.findEdge(i, j);
+    }
+    
+    /**
+     * Writes a weight into the edge array and both CSR slots.
      * @private
      */
-    _initializeGridWeights() {
-        for (const [i, j] of this.graph) {
-            const key1 = `${i},${j}`;
-            const key2 = `${j},${i}`;
-            const weight = (Math.random() - 0.5) * 2; // -1 to 1
-            this.weights[key1] = weight;
-            this.weights[key2] = weight; // Symmetric
+    _setEdgeWeight(e, weight) {
+        this.model.setEdgeWeight(e, weight);
+    }
+    
+    /**
+     * Initializes random symmetric weights for every edge.
+     * @private
+     */
+    _initializeWeights() {
+        for (let e = 0; e < this.edgeCount; e++) {
+            this._setEdgeWeight(e, (this.rng.next() - 0.5) * 2); // -1 to 1
         }
     }
     
@@ -62,88 +125,43 @@ export default class GibbsSampler {
      * Sets weights for checkerboard pattern.
      */
     setCheckerboardPattern() {
-        const gridSize = Math.sqrt(this.nodeCount);
-        for (const [i, j] of this.graph) {
-            const key1 = `${i},${j}`;
-            const key2 = `${j},${i}`;
+        for (let e = 0; e < this.edgeCount; e++) {
             // Negative weights encourage opposite values
-            this.weights[key1] = -1.0;
-            this.weights[key2] = -1.0;
+            this._setEdgeWeight(e, -1.0);
         }
     }
     
     /**
      * Sets weights for split graph pattern.
+     * Rows are taken from the topology layout.
      */
     setSplitPattern() {
-        const gridSize = Math.sqrt(this.nodeCount);
-        const mid = Math.floor(gridSize / 2);
+        const layout = this.topology.layout;
         
-        for (const [i, j] of this.graph) {
-            const key1 = `${i},${j}`;
-            const key2 = `${j},${i}`;
-            
-            const iRow = Math.floor(i / gridSize);
-            const jRow = Math.floor(j / gridSize);
+        for (let e = 0; e < this.edgeCount; e++) {
+            const [i, j] = this.graph[e];
+            const iRow = layout[i][1];
+            const jRow = layout[j][1];
             
-            // Negative weights between columns, positive within columns
-            if (Math.abs(iRow - jRow) === 0) {
-                this.weights[key1] = 1.0;
-                this.weights[key2] = 1.0;
-            } else {
-                this.weights[key1] = -1.0;
-                this.weights[key2] = -1.0;
-            }
+            // Negative weights between rows, positive within rows
+            this._setEdgeWeight(e, Math.abs(iRow - jRow) === 0 ? 1.0 : -1.0);
         }
     }
     
     /**
      * Computes the energy of the current state.
-     * E(x) = -β(Σb_i*x_i + Σw_ij*x_i*x_j)
+     * H(x) = -(Σb_i*x_i + Σw_ij*x_i*x_j + Σ_f w_f Π x_k), temperature-free; P(x) ∝ e^(-βH(x))
      */
     computeEnergy() {
-        const beta = 1.0 / this.temperature;
-        let energy = 0;
-        
-        // Bias terms
-        for (let i = 0; i < this.nodeCount; i++) {
-            energy += this.biases[i] * this.states[i];
-        }
-        
-        // Interaction terms
-        for (const [i, j] of this.graph) {
-            const key = `${i},${j}`;
-            if (this.weights[key] !== undefined) {
-                energy += this.weights[key] * this.states[i] * this.states[j];
-            }
-        }
-        
-        return -beta * energy;
+        return this.model.energy(this.states);
     }
     
     /**
      * Computes the effective bias for a node given its neighbors.
-     * γ_i = 2(b_i + Σw_ij*x_j)
+     * γ_i = 2β(b_i + Σw_ij*x_j + factor terms) = log P(x_i=+1 | x₋ᵢ) / P(x_i=-1 | x₋ᵢ)
      */
     computeEffectiveBias(nodeIndex) {
-        let sum = this.biases[nodeIndex];
-        
-        // Sum over neighbors
-        for (const [i, j] of this.graph) {
-            if (i === nodeIndex) {
-                const key = `${i},${j}`;
-                if (this.weights[key] !== undefined) {
-                    sum += this.weights[key] * this.states[j];
-                }
-            } else if (j === nodeIndex) {
-                const key = `${i},${j}`;
-                if (this.weights[key] !== undefined) {
-                    sum += this.weights[key] * this.states[i];
-                }
-            }
-        }
-        
-        return 2 * sum;
+        return 2 * this.model.localField(nodeIndex, this.states) / this.temperature;
     }
     
     /**
@@ -157,44 +175,294 @@ export default class GibbsSampler {
      * Samples from a pbit with given probability.
      */
     samplePbit(probability) {
-        return Math.random() < probability ? 1 : -1;
+        return this.rng.next() < probability ? 1 : -1;
     }
     
     /**
      * Performs one Gibbs sampling iteration (block update).
-     * Updates nodes in two blocks (bipartite coloring).
+     * Updates each color block in turn; nodes within a block share no edges,
+     * so they are conditionally independent and can be sampled in parallel.
      */
     gibbsStep() {
-        const gridSize = Math.sqrt(this.nodeCount);
-        const block1 = [];
-        const block2 = [];
-        
-        // Partition nodes into two blocks (checkerboard pattern)
+        this.advanceSchedule();
+        this.sweep();
+        this.notifyObservers();
+    }
+    
+    /**
+     * Updates every block once, without advancing the schedule or notifying observers.
+     * Trainers use this to run auxiliary chains through the same conditionals.
+     * Other algorithms replace the block pass with their own move.
+     */
+    sweep() {
+        switch (this.algorithm) {
+            case 'metropolis':
+                this.metropolisSweep();
+                break;
+            case 'swendsen-wang':
+                ClusterUpdates.swendsenWang(this);
+                break;
+            case 'wolff':
+                ClusterUpdates.wolff(this); // One cluster per sweep
+                break;
+            default:
+                for (const block of this.blocks) {
+                    this.updateBlock(block);
+                }
+        }
+    }
+    
+    /**
+     * Lists the update rules accepted by `setAlgorithm()`.
+     * @returns {Array<string>}
+     */
+    static algorithms() {
+        return ['gibbs', 'metropolis', 'swendsen-wang', 'wolff'];
+    }
+    
+    /**
+     * Chooses the update rule used by each sweep:
+     *   - 'gibbs': block Gibbs over the color classes
+     *   - 'metropolis': single-spin flips accepted with min(1, e^(-βΔH)), in node order
+     *   - 'swendsen-wang': bonds on all satisfied edges, every cluster resampled
+     *   - 'wolff': one cluster grown from a random node and flipped
+     * The cluster moves suit ferromagnetic models near the critical temperature.
+     * @param {string} algorithm - Name from `GibbsSampler.algorithms()`
+     * @throws {Error} On an unknown name
+     */
+    setAlgorithm(algorithm) {
+        if (!GibbsSampler.algorithms().includes(algorithm)) {
+            throw new Error(`[GibbsSampler] Unknown algorithm: ${algorithm}`);
+        }
+        this.algorithm = algorithm;
+        this.clusterMask.fill(0);
+    }
+    
+    /**
+     * Gets the active update rule.
+     * @returns {string}
+     */
+    getAlgorithm() {
+        return this.algorithm;
+    }
+    
+    /**
+     * Gets the nodes flipped by the last Swendsen–Wang or Wolff move.
+     * @returns {Array<number>} Node indices (empty for the other algorithms)
+     */
+    getLastCluster() {
+        const nodes = [];
         for (let i = 0; i < this.nodeCount; i++) {
-            const row = Math.floor(i / gridSize);
-            const col = i % gridSize;
-            if ((row + col) % 2 === 0) {
-                block1.push(i);
-            } else {
-                block2.push(i);
+            if (this.clusterMask[i]) nodes.push(i);
+        }
+        return nodes;
+    }
+    
+    /**
+     * One Metropolis–Hastings pass: proposes flipping each free node in turn and
+     * accepts with probability min(1, e^(-βΔH)).
+     */
+    metropolisSweep() {
+        const beta = 1.0 / this.temperature;
+        for (let i = 0; i < this.nodeCount; i++) {
+            if (this.clampMask[i]) continue;
+            const delta = this.model.flipDelta(i, this.states);
+            if (delta <= 0 || this.rng.next() < Math.exp(-beta * delta)) {
+                this.states[i] = -this.states[i];
             }
         }
-        
-        // Update block 1 in parallel
-        for (const i of block1) {
-            const gamma = this.computeEffectiveBias(i);
-            const prob = this.sigmoid(gamma);
-            this.states[i] = this.samplePbit(prob) === 1 ? 1 : -1;
+    }
+    
+    /**
+     * Anneals with a temperature schedule: each sweep takes its temperature from
+     * `schedule.next()`. Pass null to return to a fixed temperature.
+     * @param {TemperatureSchedule|null} schedule
+     */
+    setSchedule(schedule) {
+        this.schedule = schedule;
+        if (schedule) {
+            this.setTemperature(schedule.current());
         }
-        
-        // Update block 2 in parallel
-        for (const i of block2) {
+    }
+    
+    /**
+     * Gets the active temperature schedule, if any.
+     * @returns {TemperatureSchedule|null}
+     */
+    getSchedule() {
+        return this.schedule;
+    }
+    
+    /**
+     * Moves the schedule forward one sweep. Completed schedules hold their final temperature.
+     * Called by `gibbsStep()`; call it directly when sweeps run on another backend.
+     */
+    advanceSchedule() {
+        if (!this.schedule || this.schedule.isComplete()) return;
+        const temperature = this.schedule.next();
+        if (temperature !== this.temperature) {
+            this.setTemperature(temperature);
+        }
+    }
+    
+    /**
+     * Registers an observer whose `observe(sampler)` runs after every sweep.
+     * @param {{observe: function(GibbsSampler): void}} observer
+     */
+    addObserver(observer) {
+        if (!this.observers.includes(observer)) {
+            this.observers.push(observer);
+        }
+    }
+    
+    /**
+     * Unregisters an observer.
+     * @param {object} observer
+     */
+    removeObserver(observer) {
+        this.observers = this.observers.filter(o => o !== observer);
+    }
+    
+    /**
+     * Passes the current state to all observers.
+     * Called by `gibbsStep()`; call it directly after adopting states from another backend.
+     */
+    notifyObservers() {
+        for (const observer of this.observers) {
+            observer.observe(this);
+        }
+    }
+    
+    /**
+     * Samples every node in a block from its conditional given the current neighbors.
+     * @param {Array<number>} block - Node indices (an independent set)
+     */
+    updateBlock(block) {
+        for (let k = 0; k < block.length; k++) {
+            const i = block[k];
+            if (this.clampMask[i]) continue;
             const gamma = this.computeEffectiveBias(i);
             const prob = this.sigmoid(gamma);
             this.states[i] = this.samplePbit(prob) === 1 ? 1 : -1;
         }
     }
     
+    /**
+     * Clamps a node to a fixed value; sweeps leave it untouched from now on.
+     * @param {number} nodeIndex - Node to clamp
+     * @param {number|boolean} value - ±1 spin (or truthy = +1)
+     */
+    clamp(nodeIndex, value) {
+        if (nodeIndex < 0 || nodeIndex >= this.nodeCount) return;
+        this.clampMask[nodeIndex] = 1;
+        this.clampValues[nodeIndex] = this._coerceState(value);
+        this._applyClamps();
+    }
+    
+    /**
+     * Releases a clamped node; it is sampled again on the next sweep.
+     * @param {number} nodeIndex - Node to release
+     */
+    unclamp(nodeIndex) {
+        if (nodeIndex < 0 || nodeIndex >= this.nodeCount) return;
+        this.clampMask[nodeIndex] = 0;
+        this._applyClamps();
+    }
+    
+    /**
+     * Replaces all clamps at once.
+     * @param {Object<number, number>} clamped - Fixed values keyed by node index
+     */
+    setClamped(clamped) {
+        this.clampMask.fill(0);
+        for (const [key, value] of Object.entries(clamped)) {
+            const i = Number(key);
+            if (i >= 0 && i < this.nodeCount) {
+                this.clampMask[i] = 1;
+                this.clampValues[i] = this._coerceState(value);
+            }
+        }
+        this._applyClamps();
+    }
+    
+    /**
+     * Releases every clamped node.
+     */
+    clearClamps() {
+        this.setClamped({});
+    }
+    
+    /**
+     * Checks whether a node is clamped.
+     * @param {number} nodeIndex - Node
+     * @returns {boolean}
+     */
+    isClamped(nodeIndex) {
+        return this.clampMask[nodeIndex] === 1;
+    }
+    
+    /**
+     * Gets the clamped nodes and their values.
+     * @returns {Object<number, number>} Value keyed by node index
+     */
+    getClamped() {
+        const clamped = {};
+        for (let i = 0; i < this.nodeCount; i++) {
+            if (this.clampMask[i]) {
+                clamped[i] = this.clampValues[i];
+            }
+        }
+        return clamped;
+    }
+    
+    /**
+     * Writes the clamped values into the state.
+     * @private
+     */
+    _applyClamps() {
+        for (let i = 0; i < this.nodeCount; i++) {
+            if (this.clampMask[i]) {
+                this.states[i] = this.clampValues[i];
+            }
+        }
+    }
+    
+    /**
+     * Converts an external value to a node state (±1 spin).
+     * @private
+     */
+    _coerceState(value) {
+        return (value === true || value > 0) ? 1 : -1;
+    }
+    
+    /**
+     * Replaces the block partition used by `gibbsStep()`.
+     * @param {Array<Array<number>>} blocks - Node indices per block
+     * @throws {Error} If a block contains adjacent nodes or nodes are missing/duplicated
+     */
+    setBlocks(blocks) {
+        if (!GraphColoring.isValid(blocks, this.model.getInteractionEdges(), this.nodeCount)) {
+            throw new Error('[GibbsSampler] Blocks must partition all nodes into independent sets');
+        }
+        this.blocks = blocks.map(block => Int32Array.from(block));
+    }
+    
+    /**
+     * Gets the free blocks (color classes) used for block Gibbs updates.
+     * @returns {Array<Array<number>>}
+     */
+    getBlocks() {
+        return this.blocks.map(block => Array.from(block));
+    }
+    
+    /**
+     * Reseeds the PRNG. Subsequent draws are reproducible from this seed.
+     * @param {number|string} seed - New seed
+     */
+    setSeed(seed) {
+        this.rng = new Random(seed);
+    }
+    
     /**
      * Sets the temperature parameter.
      */
@@ -213,19 +481,133 @@ export default class GibbsSampler {
     
     /**
      * Sets weight for an edge.
+     * Pairs that are not edges of the topology are ignored.
      */
     setWeight(i, j, weight) {
-        const key1 = `${i},${j}`;
-        const key2 = `${j},${i}`;
-        this.weights[key1] = weight;
-        this.weights[key2] = weight;
+        const e = this.findEdge(i, j);
+        if (e === -1) {
+            console.warn(`[GibbsSampler] No edge between ${i} and ${j}`);
+            return;
+        }
+        this._setEdgeWeight(e, weight);
+    }
+    
+    /**
+     * Overwrites biases and/or edge weights in bulk (e.g. after a training step).
+     * @param {object} parameters
+     * @param {ArrayLike<number>} [parameters.biases] - One bias per node
+     * @param {ArrayLike<number>} [parameters.edgeWeights] - One weight per edge, aligned with `getGraph()`
+     */
+    setParameters({ biases, edgeWeights }) {
+        if (biases) {
+            this.biases.set(biases);
+        }
+        if (edgeWeights) {
+            for (let e = 0; e < this.edgeCount; e++) {
+                this._setEdgeWeight(e, edgeWeights[e]);
+            }
+        }
+    }
+    
+    /**
+     * Adds a higher-order term -w·Π_{k∈nodes} x_k and recolors the blocks so that
+     * nodes sharing the factor are never updated together.
+     * @param {Array<number>} nodes - Distinct node indices
+     * @param {number} weight - Coupling
+     * @returns {number} Factor index
+     */
+    addFactor(nodes, weight) {
+        const index = this.model.addFactor(nodes, weight);
+        this._recolor();
+        return index;
+    }
+    
+    /**
+     * Adds a table factor (an energy for every joint state of its nodes, see
+     * `EnergyModel.addTableFactor()`) and recolors the blocks. The conditionals follow
+     * from the table, so nothing else has to be supplied.
+     * @param {Array<number>} nodes - Distinct node indices
+     * @param {ArrayLike<number>} table - 2^nodes.length energies
+     * @returns {number} Factor index
+     */
+    addTableFactor(nodes, table) {
+        const index = this.model.addTableFactor(nodes, table);
+        this._recolor();
+        return index;
+    }
+    
+    /**
+     * Replaces all higher-order factors (and recolors the blocks).
+     * @param {Array<{nodes: Array<number>, weight?: number, table?: ArrayLike<number>}>} factors
+     */
+    setFactors(factors) {
+        this.model.setFactors(factors);
+        this._recolor();
+    }
+    
+    /**
+     * Removes all higher-order factors.
+     */
+    clearFactors() {
+        this.setFactors([]);
+    }
+    
+    /**
+     * Gets the higher-order factors.
+     * @returns {Array<{nodes: Array<number>, weight: number}>}
+     */
+    getFactors() {
+        return this.model.getFactors();
+    }
+    
+    /**
+     * Recomputes the blocks from the interaction graph (edges plus factors).
+     * @private
+     */
+    _recolor() {
+        const neighbors = this.model.getInteractionNeighbors();
+        const colors = this.coloring === 'greedy'
+            ? GraphColoring.greedy(neighbors)
+            : GraphColoring.dsatur(neighbors);
+        this.blocks = GraphColoring.toBlocks(colors).map(block => Int32Array.from(block));
+    }
+    
+    /**
+     * Shares another sampler's energy model (parameters and factors) with this one.
+     * Used by replica exchange so every replica samples the same model.
+     * @param {EnergyModel} model - Model with the same topology
+     */
+    setModel(model) {
+        this.model = model;
+        this._bindModel();
+    }
+    
+    /**
+     * Gets the energy model (parameters and energy function).
+     * @returns {EnergyModel}
+     */
+    getModel() {
+        return this.model;
     }
     
     /**
      * Gets current state.
      */
     getStates() {
-        return [...this.states];
+        return Array.from(this.states);
+    }
+    
+    /**
+     * Overwrites the current state (e.g. with a sample from another backend).
+     * Accepts ±1 spins or booleans/0-1 values (truthy = +1). Clamped nodes keep their values.
+     * @param {ArrayLike<number|boolean>} states - One value per node
+     */
+    setStates(states) {
+        const count = Math.min(states.length, this.nodeCount);
+        for (let i = 0; i < count; i++) {
+            this.states[i] = this._coerceState(states[i]);
+        }
+        this._applyClamps();
     }
     
     /**
@@ -236,10 +618,32 @@ export default class GibbsSampler {
     }
     
     /**
-     * Gets weights.
+     * Gets the topology (edges plus layout).
+     * @returns {GraphTopology}
+     */
+    getTopology() {
+        return this.topology;
+    }
+    
+    /**
+     * Gets weights keyed by "i,j" (both directions).
      */
     getWeights() {
-        return {...this.weights};
+        const weights = {};
+        for (let e = 0; e < this.edgeCount; e++) {
+            const [i, j] = this.graph[e];
+            weights[`${i},${j}`] = this.edgeWeights[e];
+            weights[`${j},${i}`] = this.edgeWeights[e];
+        }
+        return weights;
+    }
+    
+    /**
+     * Gets the per-edge weights aligned with `getGraph()` (no copy).
+     * @returns {Float32Array}
+     */
+    getEdgeWeights() {
+        return this.edgeWeights;
     }
 }
 
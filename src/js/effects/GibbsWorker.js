@@ -0,0 +1,126 @@
+import GibbsSampler from './GibbsSampler';
+import Random from '../core/Random';
+
+/**
+ * Gibbs Sampling Web Worker
+ * Runs GibbsSampler sweeps off the main thread for WorkerGibbsSampler.
+ * States are published either through a SharedArrayBuffer guarded by a seqlock
+ * (odd version = write in progress) or as a transferable ArrayBuffer copy.
+ */
+
+let sampler = null;
+let sharedStates = null; // Int8Array view on a SharedArrayBuffer
+let sharedVersion = null; // Int32Array view: [version, totalSweeps]
+let totalSweeps = 0;
+let runTimer = null;
+
+/**
+ * Publishes the current states to the main thread.
+ * @param {number} sweeps - Sweeps performed since the last publish
+ */
+function publish(sweeps) {
+    totalSweeps += sweeps;
+    
+    if (sharedStates) {
+        Atomics.add(sharedVersion, 0, 1); // Odd: write in progress
+        sharedStates.set(sampler.states);
+        Atomics.store(sharedVersion, 1, totalSweeps);
+        Atomics.add(sharedVersion, 0, 1); // Even: snapshot consistent
+        self.postMessage({ type: 'done', sweeps, totalSweeps });
+    } else {
+        const buffer = sampler.states.slice().buffer;
+        self.postMessage({ type: 'states', buffer, sweeps, totalSweeps }, [buffer]);
+    }
+}
+
+/**
+ * Performs a batch of sweeps and publishes the result.
+ * @param {number} sweeps - Number of full Gibbs sweeps
+ */
+function runSweeps(sweeps) {
+    for (let k = 0; k < sweeps; k++) {
+        sampler.gibbsStep();
+    }
+    publish(sweeps);
+}
+
+/**
+ * Loads biases, weights, factors, blocks, temperature and algorithm sent from the
+ * main thread. Factors come with the main thread's blocks, which replace the
+ * recoloring (they may be explicit blocks set by the caller).
+ */
+function applyParams(data) {
+    if (data.biases) sampler.biases.set(data.biases);
+    if (data.edgeWeights) {
+        for (let e = 0; e < sampler.edgeCount; e++) {
+            sampler._setEdgeWeight(e, data.edgeWeights[e]);
+        }
+    }
+    if (data.factors) sampler.model.setFactors(data.factors);
+    if (data.blocks) sampler.setBlocks(data.blocks);
+    if (data.temperature !== undefined) sampler.setTemperature(data.temperature);
+    if (data.algorithm) sampler.setAlgorithm(data.algorithm);
+}
+
+function stopRunning() {
+    if (runTimer !== null) {
+        clearTimeout(runTimer);
+        runTimer = null;
+    }
+}
+
+self.onmessage = (event) => {
+    const data = event.data;
+    
+    try {
+        switch (data.type) {
+            case 'init':
+                sampler = new GibbsSampler(data.options);
+                applyParams(data);
+                sampler.setStates(data.states);
+                if (data.clamped) {
+                    sampler.setClamped(data.clamped);
+                }
+                if (data.rngState) {
+                    sampler.rng = Random.fromState(data.rngState);
+                }
+                if (data.sharedStates) {
+                    sharedStates = new Int8Array(data.sharedStates);
+                    sharedVersion = new Int32Array(data.sharedVersion);
+                }
+                totalSweeps = 0;
+                break;
+            case 'params':
+                applyParams(data);
+                break;
+            case 'states':
+                sampler.setStates(data.states);
+                break;
+            case 'clamp':
+                sampler.setClamped(data.clamped);
+                break;
+            case 'seed':
+                sampler.setSeed(data.seed);
+                break;
+            case 'step':
+                runSweeps(data.sweeps || 1);
+                break;
+            case 'run': {
+                stopRunning();
+                const loop = () => {
+                    runSweeps(data.sweepsPerTick || 1);
+                    runTimer = setTimeout(loop, data.intervalMs || 16);
+                };
+                loop();
+                break;
+            }
+            case 'stop':
+                stopRunning();
+                break;
+            default:
+                console.warn('[GibbsWorker] Unknown message type:', data.type);
+        }
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
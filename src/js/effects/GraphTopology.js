@@ -0,0 +1,342 @@
+/**
+ * Graph Topology
+ * Describes the interaction graph of an energy-based model: node count, undirected
+ * edge list and a 2D layout used for rendering. Provides named presets (grid, king,
+ * triangular, chain, ring, complete, chimera, pegasus) and accepts a raw
+ * `{nodes, edges}` description so samplers are not tied to a square grid.
+ */
+export default class GraphTopology {
+    /**
+     * Creates a topology from a node count and edge list.
+     * @param {number} nodeCount - Number of nodes
+     * @param {Array<Array<number>>} edges - Undirected edges as [i, j] index pairs
+     * @param {object} [options] - Extra metadata
+     * @param {string} [options.name='custom'] - Preset name
+     * @param {Array<Array<number>>} [options.layout] - [x, y] position per node (defaults to a circle)
+     * @param {object} [options.params] - Parameters the preset was built with
+     */
+    constructor(nodeCount, edges, options = {}) {
+        if (!Number.isInteger(nodeCount) || nodeCount < 1) {
+            throw new Error(`[GraphTopology] Invalid node count: ${nodeCount}`);
+        }
+        
+        this.name = options.name || 'custom';
+        this.params = options.params || {};
+        this.nodeCount = nodeCount;
+        this.edges = GraphTopology._normalizeEdges(nodeCount, edges);
+        this.layout = options.layout && options.layout.length === nodeCount
+            ? options.layout.map(([x, y]) => [x, y])
+            : GraphTopology._circleLayout(nodeCount);
+    }
+    
+    /**
+     * Builds a topology from a preset name, a `{nodes, edges}` object or an existing topology.
+     * @param {string|object|GraphTopology} [spec='grid'] - Preset name or raw graph
+     * @param {object} [options] - Preset parameters (nodeCount, rows, cols, m, n, t, ...)
+     * @returns {GraphTopology}
+     */
+    static create(spec = 'grid', options = {}) {
+        if (spec instanceof GraphTopology) {
+            return spec;
+        }
+        
+        if (typeof spec === 'object' && spec !== null) {
+            const nodeCount = Array.isArray(spec.nodes) ? spec.nodes.length : spec.nodes;
+            return new GraphTopology(nodeCount, spec.edges || [], {
+                name: spec.name || 'custom',
+                layout: spec.layout
+            });
+        }
+        
+        const nodeCount = options.nodeCount || 16;
+        switch (spec) {
+            case 'grid':
+                return GraphTopology.grid(nodeCount, options);
+            case 'king':
+                return GraphTopology.grid(nodeCount, { ...options, neighborhood: 'king' });
+            case 'triangular':
+                return GraphTopology.grid(nodeCount, { ...options, neighborhood: 'triangular' });
+            case 'chain':
+                return GraphTopology.chain(nodeCount);
+            case 'ring':
+                return GraphTopology.ring(nodeCount);
+            case 'complete':
+                return GraphTopology.complete(nodeCount);
+            case 'chimera':
+                return GraphTopology.chimera(options.m || 2, options.n || options.m || 2, options.t || 4);
+            case 'pegasus':
+                return GraphTopology.pegasus(options.m || 2, options.n || options.m || 2, options.t || 4);
+            default:
+                throw new Error(`[GraphTopology] Unknown topology preset: ${spec}`);
+        }
+    }
+    
+    /**
+     * Lists the available preset names.
+     * @returns {Array<string>}
+     */
+    static presets() {
+        return ['grid', 'king', 'triangular', 'chain', 'ring', 'complete', 'chimera', 'pegasus'];
+    }
+    
+    /**
+     * Rectangular lattice. Rows and columns default to the most square shape that
+     * holds `nodeCount` nodes; a partially filled last row is allowed.
+     * @param {number} nodeCount - Number of nodes
+     * @param {object} [options]
+     * @param {number} [options.rows] - Row count
+     * @param {number} [options.cols] - Column count
+     * @param {string} [options.neighborhood='vonNeumann'] - 'vonNeumann', 'king' (Moore) or 'triangular'
+     * @returns {GraphTopology}
+     */
+    static grid(nodeCount, options = {}) {
+        const neighborhood = options.neighborhood || 'vonNeumann';
+        let rows = options.rows;
+        let cols = options.cols;
+        
+        if (rows && cols) {
+            nodeCount = rows * cols;
+        } else if (cols) {
+            rows = Math.ceil(nodeCount / cols);
+        } else if (rows) {
+            cols = Math.ceil(nodeCount / rows);
+        } else {
+            cols = Math.ceil(Math.sqrt(nodeCount));
+            rows = Math.ceil(nodeCount / cols);
+        }
+        
+        const edges = [];
+        const layout = [];
+        const index = (row, col) => row * cols + col;
+        const link = (i, row, col) => {
+            if (row < 0 || row >= rows || col < 0 || col >= cols) return;
+            const j = index(row, col);
+            if (j < nodeCount) edges.push([i, j]);
+        };
+        
+        for (let i = 0; i < nodeCount; i++) {
+            const row = Math.floor(i / cols);
+            const col = i % cols;
+            layout.push([col, row]);
+            
+            link(i, row, col + 1); // Right neighbor
+            link(i, row + 1, col); // Bottom neighbor
+            if (neighborhood === 'king' || neighborhood === 'triangular') {
+                link(i, row + 1, col + 1); // Bottom-right diagonal
+            }
+            if (neighborhood === 'king') {
+                link(i, row + 1, col - 1); // Bottom-left diagonal
+            }
+        }
+        
+        const names = { vonNeumann: 'grid', king: 'king', triangular: 'triangular' };
+        return new GraphTopology(nodeCount, edges, {
+            name: names[neighborhood] || 'grid',
+            layout,
+            params: { rows, cols, neighborhood }
+        });
+    }
+    
+    /**
+     * Open 1D chain (the model the thrml API builds).
+     * @param {number} nodeCount - Number of nodes
+     * @returns {GraphTopology}
+     */
+    static chain(nodeCount) {
+        const edges = [];
+        const layout = [];
+        for (let i = 0; i < nodeCount; i++) {
+            layout.push([i, 0]);
+            if (i < nodeCount - 1) edges.push([i, i + 1]);
+        }
+        return new GraphTopology(nodeCount, edges, { name: 'chain', layout, params: { nodeCount } });
+    }
+    
+    /**
+     * Periodic 1D chain.
+     * @param {number} nodeCount - Number of nodes
+     * @returns {GraphTopology}
+     */
+    static ring(nodeCount) {
+        const edges = [];
+        for (let i = 0; i < nodeCount; i++) {
+            edges.push([i, (i + 1) % nodeCount]);
+        }
+        return new GraphTopology(nodeCount, edges, { name: 'ring', params: { nodeCount } });
+    }
+    
+    /**
+     * Fully connected graph (Sherrington-Kirkpatrick style).
+     * @param {number} nodeCount - Number of nodes
+     * @returns {GraphTopology}
+     */
+    static complete(nodeCount) {
+        const edges = [];
+        for (let i = 0; i < nodeCount; i++) {
+            for (let j = i + 1; j < nodeCount; j++) {
+                edges.push([i, j]);
+            }
+        }
+        return new GraphTopology(nodeCount, edges, { name: 'complete', params: { nodeCount } });
+    }
+    
+    /**
+     * Chimera graph C(m, n, t): an m×n grid of K(t,t) unit cells. The first t nodes
+     * of a cell are "vertical" and couple to the same index in the cell below; the
+     * last t are "horizontal" and couple to the same index in the cell to the right.
+     * @param {number} m - Cell rows
+     * @param {number} n - Cell columns
+     * @param {number} t - Shore size
+     * @returns {GraphTopology}
+     */
+    static chimera(m, n, t) {
+        const { edges, layout } = GraphTopology._chimeraCells(m, n, t);
+        return new GraphTopology(m * n * 2 * t, edges, { name: 'chimera', layout, params: { m, n, t } });
+    }
+    
+    /**
+     * Pegasus-like graph: a Chimera lattice extended with odd couplers (pairs within
+     * a shore) and diagonal inter-cell couplers, raising the degree in the spirit of
+     * D-Wave's Pegasus. It is an approximation, not the exact Pegasus construction.
+     * @param {number} m - Cell rows
+     * @param {number} n - Cell columns
+     * @param {number} t - Shore size
+     * @returns {GraphTopology}
+     */
+    static pegasus(m, n, t) {
+        const { edges, layout, index } = GraphTopology._chimeraCells(m, n, t);
+        
+        for (let r = 0; r < m; r++) {
+            for (let c = 0; c < n; c++) {
+                // Odd couplers: pair up neighbors within each shore
+                for (let k = 0; k + 1 < t; k += 2) {
+                    edges.push([index(r, c, k), index(r, c, k + 1)]);
+                    edges.push([index(r, c, t + k), index(r, c, t + k + 1)]);
+                }
+                // Diagonal couplers: vertical shore to horizontal shore of the next diagonal cell
+                if (r + 1 < m && c + 1 < n) {
+                    for (let k = 0; k < t; k++) {
+                        edges.push([index(r, c, k), index(r + 1, c + 1, t + k)]);
+                    }
+                }
+            }
+        }
+        
+        return new GraphTopology(m * n * 2 * t, edges, { name: 'pegasus', layout, params: { m, n, t } });
+    }
+    
+    /**
+     * Builds Chimera cells and inter-cell couplers.
+     * @private
+     */
+    static _chimeraCells(m, n, t) {
+        const edges = [];
+        const layout = [];
+        const index = (r, c, k) => ((r * n + c) * 2 * t) + k;
+        
+        for (let r = 0; r < m; r++) {
+            for (let c = 0; c < n; c++) {
+                for (let k = 0; k < 2 * t; k++) {
+                    // Vertical shore stacked in a column, horizontal shore along the row below it
+                    const x = c * (t + 2) + (k < t ? t : k - t);
+                    const y = r * (t + 2) + (k < t ? k : t);
+                    layout.push([x, y]);
+                }
+                
+                // Complete bipartite coupling inside the cell
+                for (let a = 0; a < t; a++) {
+                    for (let b = 0; b < t; b++) {
+                        edges.push([index(r, c, a), index(r, c, t + b)]);
+                    }
+                }
+                
+                for (let k = 0; k < t; k++) {
+                    if (r + 1 < m) edges.push([index(r, c, k), index(r + 1, c, k)]);
+                    if (c + 1 < n) edges.push([index(r, c, t + k), index(r, c + 1, t + k)]);
+                }
+            }
+        }
+        
+        return { edges, layout, index };
+    }
+    
+    /**
+     * Places nodes evenly on a circle.
+     * @private
+     */
+    static _circleLayout(nodeCount) {
+        const radius = Math.max(1, nodeCount / (2 * Math.PI));
+        const layout = [];
+        for (let i = 0; i < nodeCount; i++) {
+            const angle = (i / nodeCount) * Math.PI * 2;
+            layout.push([radius * Math.cos(angle), radius * Math.sin(angle)]);
+        }
+        return layout;
+    }
+    
+    /**
+     * Validates edges, orders each pair as [min, max] and drops self-loops and duplicates.
+     * @private
+     */
+    static _normalizeEdges(nodeCount, edges) {
+        const seen = new Set();
+        const normalized = [];
+        
+        for (const edge of edges) {
+            const i = Math.min(edge[0], edge[1]);
+            const j = Math.max(edge[0], edge[1]);
+            if (!Number.isInteger(i) || !Number.isInteger(j) || i < 0 || j >= nodeCount) {
+                throw new Error(`[GraphTopology] Invalid edge [${edge[0]}, ${edge[1]}] for ${nodeCount} nodes`);
+            }
+            if (i === j) continue;
+            
+            const key = `${i},${j}`;
+            if (seen.has(key)) continue;
+            seen.add(key);
+            normalized.push([i, j]);
+        }
+        
+        return normalized;
+    }
+    
+    /**
+     * Gets the neighbor lists of every node.
+     * @returns {Array<Array<number>>}
+     */
+    getNeighbors() {
+        const neighbors = Array.from({ length: this.nodeCount }, () => []);
+        for (const [i, j] of this.edges) {
+            neighbors[i].push(j);
+            neighbors[j].push(i);
+        }
+        return neighbors;
+    }
+    
+    /**
+     * Gets the layout bounds.
+     * @returns {{minX: number, maxX: number, minY: number, maxY: number}}
+     */
+    getBounds() {
+        let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+        for (const [x, y] of this.layout) {
+            minX = Math.min(minX, x);
+            maxX = Math.max(maxX, x);
+            minY = Math.min(minY, y);
+            maxY = Math.max(maxY, y);
+        }
+        return { minX, maxX, minY, maxY };
+    }
+    
+    /**
+     * Serializes the topology to a plain `{nodes, edges, layout}` object.
+     * @returns {object}
+     */
+    toJSON() {
+        return {
+            name: this.name,
+            nodes: this.nodeCount,
+            edges: this.edges.map(([i, j]) => [i, j]),
+            layout: this.layout.map(([x, y]) => [x, y])
+        };
+    }
+}
@@ -0,0 +1,57 @@
+/**
+ * Ground State Observer
+ * Tracks the lowest-energy configuration a sampler has visited. Paired with an
+ * annealing schedule this turns the sampler into an optimizer: cool slowly and
+ * keep the best state seen.
+ *
+ * Attach with `sampler.addObserver(observer)`.
+ */
+export default class GroundStateObserver {
+    constructor() {
+        this.reset();
+    }
+    
+    /**
+     * Forgets the best state found so far.
+     */
+    reset() {
+        this.bestEnergy = Infinity;
+        this.bestStates = null;
+        this.bestStep = -1;
+        this.bestTemperature = null;
+        this.step = 0;
+    }
+    
+    /**
+     * Records the sampler's state if it improves on the best so far.
+     * @param {GibbsSampler} sampler - Sampler after a sweep
+     */
+    observe(sampler) {
+        const energy = sampler.computeEnergy(); // H(x), comparable across temperatures
+        
+        if (energy < this.bestEnergy) {
+            this.bestEnergy = energy;
+            this.bestStep = this.step;
+            this.bestTemperature = sampler.temperature;
+            if (!this.bestStates || this.bestStates.length !== sampler.nodeCount) {
+                this.bestStates = new Int8Array(sampler.nodeCount);
+            }
+            this.bestStates.set(sampler.states);
+        }
+        this.step++;
+    }
+    
+    /**
+     * Gets the lowest-energy configuration seen.
+     * @returns {{energy: number, states: Array<number>, step: number, temperature: number}|null}
+     */
+    getGroundState() {
+        if (!this.bestStates) return null;
+        return {
+            energy: this.bestEnergy,
+            states: Array.from(this.bestStates),
+            step: this.bestStep,
+            temperature: this.bestTemperature
+        };
+    }
+}
@@ -0,0 +1,196 @@
+import Random from '../core/Random';
+
+/**
+ * Hopfield Memory
+ * Stores ±1 patterns in a GibbsSampler's couplings with the Hebbian rule
+ *
+ *   wᵢⱼ = (1/N) Σ_μ ξᵢ^μ ξⱼ^μ,   bᵢ = 0
+ *
+ * so each pattern becomes a low-energy attractor. Starting the sampler from a
+ * corrupted cue and sweeping at low temperature demonstrates associative recall.
+ * Only edges of the topology receive weights; a fully connected graph recalls best
+ * and holds about 0.138·N patterns before they interfere.
+ *
+ * Attach with `sampler.addObserver(memory)` to track the overlap with each pattern.
+ */
+export default class HopfieldMemory {
+    /**
+     * @param {GibbsSampler} sampler - Sampler whose weights hold the memory
+     * @param {object} [options]
+     * @param {Random} [options.rng] - Generator for corrupting cues
+     * @param {number|string} [options.seed] - PRNG seed (ignored if `rng` is given)
+     */
+    constructor(sampler, options = {}) {
+        this.sampler = sampler;
+        this.rng = options.rng || new Random(options.seed);
+        this.patterns = [];
+        this.overlaps = new Float64Array(0);
+    }
+    
+    /**
+     * Simple shapes for a rows×cols grid (row-major, +1 = on).
+     * @param {number} rows - Grid rows
+     * @param {number} cols - Grid columns
+     * @returns {Object<string, Int8Array>} Pattern per name
+     */
+    static presetPatterns(rows, cols) {
+        const make = on => {
+            const pattern = new Int8Array(rows * cols);
+            for (let r = 0; r < rows; r++) {
+                for (let c = 0; c < cols; c++) {
+                    pattern[r * cols + c] = on(r, c) ? 1 : -1;
+                }
+            }
+            return pattern;
+        };
+        const midRow = Math.floor((rows - 1) / 2);
+        const midCol = Math.floor((cols - 1) / 2);
+        
+        return {
+            cross: make((r, c) => r === midRow || c === midCol),
+            box: make((r, c) => r === 0 || c === 0 || r === rows - 1 || c === cols - 1),
+            diagonal: make((r, c) => r === c || r === cols - 1 - c),
+            stripes: make(r => r % 2 === 0),
+            halves: make((r, c) => c < cols / 2),
+            checker: make((r, c) => (r + c) % 2 === 0)
+        };
+    }
+    
+    /**
+     * Flips each value with probability `noise`.
+     * @param {ArrayLike<number>} pattern - ±1 pattern
+     * @param {number} [noise=0.25] - Flip probability
+     * @returns {Int8Array} Corrupted copy
+     */
+    corrupt(pattern, noise = 0.25) {
+        const cue = Int8Array.from(pattern);
+        for (let i = 0; i < cue.length; i++) {
+            if (this.rng.next() < noise) {
+                cue[i] = -cue[i];
+            }
+        }
+        return cue;
+    }
+    
+    /**
+     * Replaces the stored patterns and writes the Hebbian weights into the sampler.
+     * @param {Array<ArrayLike<number>>} patterns - ±1 patterns, one value per node
+     * @throws {Error} If a pattern does not match the sampler's node count
+     */
+    store(patterns) {
+        const nodeCount = this.sampler.nodeCount;
+        this.patterns = patterns.map((pattern, p) => {
+            if (pattern.length !== nodeCount) {
+                throw new Error(`[HopfieldMemory] Pattern ${p} has ${pattern.length} values, expected ${nodeCount}`);
+            }
+            return Int8Array.from(pattern, v => (v > 0 ? 1 : -1));
+        });
+        this._applyHebbianWeights();
+    }
+    
+    /**
+     * Adds one pattern to the memory.
+     * @param {ArrayLike<number>} pattern - ±1 pattern
+     */
+    add(pattern) {
+        this.store([...this.patterns, pattern]);
+    }
+    
+    /**
+     * Forgets all patterns (weights become zero).
+     */
+    clear() {
+        this.store([]);
+    }
+    
+    /**
+     * Hebbian rule on the sampler's edges.
+     * @private
+     */
+    _applyHebbianWeights() {
+        const { nodeCount, edgeCount, edgeSources, edgeTargets } = this.sampler;
+        const edgeWeights = new Float32Array(edgeCount);
+        for (const pattern of this.patterns) {
+            for (let e = 0; e < edgeCount; e++) {
+                edgeWeights[e] += pattern[edgeSources[e]] * pattern[edgeTargets[e]] / nodeCount;
+            }
+        }
+        this.sampler.setParameters({ biases: new Float32Array(nodeCount), edgeWeights });
+        this.overlaps = new Float64Array(this.patterns.length);
+    }
+    
+    /**
+     * Starts recall: sets the sampler's state to a corrupted copy of a stored pattern.
+     * @param {number|ArrayLike<number>} cue - Stored pattern index or an explicit cue
+     * @param {number} [noise=0.25] - Flip probability applied to the cue
+     * @returns {Int8Array} The cue the sampler starts from
+     */
+    recall(cue, noise = 0.25) {
+        const pattern = typeof cue === 'number' ? this.patterns[cue] : cue;
+        if (!pattern) {
+            throw new Error(`[HopfieldMemory] No stored pattern ${cue}`);
+        }
+        const start = this.corrupt(pattern, noise);
+        this.sampler.setStates(start);
+        this.observe(this.sampler);
+        return start;
+    }
+    
+    /**
+     * Overlap mᵤ = (1/N) Σᵢ ξᵢ^μ xᵢ of a state with every stored pattern.
+     * ±1 means the pattern (or its mirror image, also an attractor) is recalled.
+     * @param {ArrayLike<number>} states - ±1 configuration
+     * @returns {Float64Array}
+     */
+    computeOverlaps(states) {
+        const overlaps = new Float64Array(this.patterns.length);
+        for (let p = 0; p < this.patterns.length; p++) {
+            const pattern = this.patterns[p];
+            let sum = 0;
+            for (let i = 0; i < pattern.length; i++) {
+                sum += pattern[i] * states[i];
+            }
+            overlaps[p] = sum / pattern.length;
+        }
+        return overlaps;
+    }
+    
+    /**
+     * Records the overlaps of the sampler's current state.
+     * @param {GibbsSampler} sampler - Sampler after a sweep
+     */
+    observe(sampler) {
+        if (sampler.nodeCount !== this.sampler.nodeCount) return;
+        this.overlaps = this.computeOverlaps(sampler.states);
+    }
+    
+    /**
+     * Gets the latest overlap with each stored pattern.
+     * @returns {Array<number>}
+     */
+    getOverlaps() {
+        return Array.from(this.overlaps);
+    }
+    
+    /**
+     * Index of the pattern closest to the current state (by |overlap|), or -1 if empty.
+     * @returns {number}
+     */
+    getRecalledIndex() {
+        let best = -1;
+        for (let p = 0; p < this.overlaps.length; p++) {
+            if (best === -1 || Math.abs(this.overlaps[p]) > Math.abs(this.overlaps[best])) {
+                best = p;
+            }
+        }
+        return best;
+    }
+    
+    /**
+     * Approximate storage capacity 0.138·N for a fully connected network.
+     * @returns {number}
+     */
+    getCapacity() {
+        return Math.floor(0.138 * this.sampler.nodeCount);
+    }
+}
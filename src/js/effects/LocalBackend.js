@@ -0,0 +1,53 @@
+import SamplerBackend from './SamplerBackend';
+
+/**
+ * Local Backend
+ * Sweeps the GibbsSampler in the page: on the main thread ('local'), or in the Web
+ * Worker of a WorkerGibbsSampler ('worker'). The worker cannot run Potts nodes or
+ * replica exchange; for those models, or without Worker support, the manager falls
+ * back to the main thread.
+ */
+export default class LocalBackend extends SamplerBackend {
+    /**
+     * @param {object} [options]
+     * @param {boolean} [options.worker=false] - Run sweeps in a Web Worker
+     */
+    constructor(options = {}) {
+        const worker = options.worker || false;
+        super(worker ? 'worker' : 'local', {
+            label: worker ? 'Web Worker' : 'JavaScript',
+            fallback: worker ? 'local' : null
+        });
+        this.worker = worker;
+        this.healthy = !worker || typeof Worker !== 'undefined';
+    }
+    
+    /**
+     * @returns {object} See SamplerBackend.getCapabilities()
+     */
+    getCapabilities() {
+        return {
+            ...super.getCapabilities(),
+            worker: this.worker,
+            categorical: !this.worker,
+            replicaExchange: !this.worker
+        };
+    }
+    
+    /**
+     * @returns {Promise<boolean>} Whether Web Workers exist (always true on the main thread)
+     */
+    async checkHealth() {
+        return !this.worker || typeof Worker !== 'undefined';
+    }
+    
+    /**
+     * Runs one sweep (for the worker: adopts its newest snapshot and requests more).
+     * @param {GibbsSampler} sampler
+     * @returns {boolean} Always true
+     */
+    step(sampler) {
+        sampler.gibbsStep();
+        return true;
+    }
+}
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import Random from '../core/Random';
 
 /**
  * Mathematical Equation Rain Effect
@@ -12,6 +13,7 @@ export default class MathRainEffect {
         // Configuration options
         this.columnCount = options.columnCount || 30; // Fewer columns for readability
         this.speed = options.speed || 0.4;
+        this.rng = options.rng || new Random(options.seed); // Seedable randomness for reproducible demos
         
         // Mathematical equations from Extropic TSU research
         this.mathEquations = [
@@ -65,11 +67,11 @@ export default class MathRainEffect {
             const sprite = this._createTextSprite(equation);
             
             const x = (i / this.columnCount - 0.5) * visibleWidth;
-            const y = (Math.random() - 0.5) * visibleHeight * 2;
+            const y = (this.rng.next() - 0.5) * visibleHeight * 2;
             const z = -cameraDistance;
             
             sprite.position.set(x, y, z);
-            sprite.userData.velocity = 0.3 + Math.random() * 0.5;
+            sprite.userData.velocity = 0.3 + this.rng.next() * 0.5;
             sprite.userData.startY = y;
             sprite.userData.text = equation; // Store text for color updates
             
@@ -129,7 +131,7 @@ export default class MathRainEffect {
      * @private
      */
     _getRandomEquation() {
-        return this.mathEquations[Math.floor(Math.random() * this.mathEquations.length)];
+        return this.mathEquations[this.rng.nextInt(this.mathEquations.length)];
     }
     
     /**
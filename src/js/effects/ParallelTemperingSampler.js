@@ -0,0 +1,250 @@
+import GibbsSampler from './GibbsSampler';
+
+/**
+ * Parallel Tempering (Replica Exchange) Sampler
+ * Runs K replicas of the same model on a temperature ladder T₀ < T₁ < ... < T_{K-1}.
+ * After each sweep neighboring replicas propose to exchange configurations, accepted with
+ * probability min(1, exp((βₖ - βₖ₊₁)(Hₖ - Hₖ₊₁))). Hot replicas cross energy barriers and
+ * hand their configurations down the ladder, so the cold chain keeps moving where plain
+ * Gibbs sampling freezes.
+ *
+ * The sampler itself presents the cold replica: `states`, `temperature` and observers
+ * all refer to T₀, so it drops in wherever a GibbsSampler is expected. The energy model
+ * (biases, weights, factors) and the clamps are shared by every replica.
+ */
+export default class ParallelTemperingSampler extends GibbsSampler {
+    /**
+     * @param {object} options - GibbsSampler options plus:
+     * @param {Array<number>} [options.temperatures] - Explicit ladder (sorted ascending)
+     * @param {number} [options.replicaCount=4] - Replicas on a geometric ladder
+     * @param {number} [options.maxTemperature=4.0] - Hottest temperature of the geometric ladder
+     */
+    constructor(options = {}) {
+        super(options);
+        
+        const temperatures = options.temperatures
+            ? [...options.temperatures].sort((a, b) => a - b)
+            : ParallelTemperingSampler.geometricLadder(
+                this.temperature,
+                Math.max(options.maxTemperature || 4.0, this.temperature),
+                options.replicaCount || 4
+            );
+        
+        this.replicas = temperatures.map(temperature => {
+            const replica = new GibbsSampler({
+                topology: this.topology,
+                blocks: this.blocks,
+                algorithm: this.algorithm,
+                temperature,
+                rng: this.rng.fork()
+            });
+            // One model, many configurations: every replica reads the same parameters
+            replica.setModel(this.model);
+            replica.clampMask = this.clampMask;
+            replica.clampValues = this.clampValues;
+            replica._applyClamps();
+            return replica;
+        });
+        this.temperature = this.replicas[0].temperature;
+        this.states.set(this.replicas[0].states);
+        
+        this.swapParity = 0; // Alternates even/odd neighbor pairs each sweep
+        this.resetSwapStats();
+    }
+    
+    /**
+     * Temperatures spaced geometrically, Tₖ = T_min·(T_max/T_min)^(k/(K-1)).
+     * Gives roughly uniform swap acceptance when the heat capacity is flat.
+     * @param {number} minTemperature - Coldest temperature
+     * @param {number} maxTemperature - Hottest temperature
+     * @param {number} count - Number of replicas
+     * @returns {Array<number>}
+     */
+    static geometricLadder(minTemperature, maxTemperature, count) {
+        if (count < 2) return [minTemperature];
+        const ratio = maxTemperature / minTemperature;
+        const ladder = [];
+        for (let k = 0; k < count; k++) {
+            ladder.push(minTemperature * Math.pow(ratio, k / (count - 1)));
+        }
+        return ladder;
+    }
+    
+    /**
+     * Clears the swap acceptance counters.
+     */
+    resetSwapStats() {
+        const pairs = Math.max(0, this.replicas.length - 1);
+        this.swapAttempts = new Uint32Array(pairs);
+        this.swapAccepts = new Uint32Array(pairs);
+    }
+    
+    /**
+     * Sweeps every replica once, then attempts replica exchanges.
+     */
+    gibbsStep() {
+        this.advanceSchedule();
+        for (const replica of this.replicas) {
+            replica.gibbsStep();
+        }
+        this.exchangeReplicas();
+        this.states.set(this.replicas[0].states);
+        this.clusterMask.set(this.replicas[0].clusterMask);
+        this.notifyObservers();
+    }
+    
+    /**
+     * Switches the update rule of every replica.
+     */
+    setAlgorithm(algorithm) {
+        super.setAlgorithm(algorithm);
+        if (this.replicas) {
+            this.replicas.forEach(replica => replica.setAlgorithm(algorithm));
+        }
+    }
+    
+    /**
+     * Metropolis swaps between neighbors on the ladder. Even and odd pairs alternate
+     * between sweeps so each pair is tried every other sweep and no replica takes
+     * part in two swaps at once.
+     */
+    exchangeReplicas() {
+        const replicas = this.replicas;
+        const energies = replicas.map(replica => replica.computeEnergy());
+        
+        for (let k = this.swapParity; k + 1 < replicas.length; k += 2) {
+            const a = replicas[k];
+            const b = replicas[k + 1];
+            const delta = (1 / a.temperature - 1 / b.temperature) * (energies[k] - energies[k + 1]);
+            
+            this.swapAttempts[k]++;
+            if (delta >= 0 || this.rng.next() < Math.exp(delta)) {
+                // Exchange configurations; temperatures stay with their rung
+                const states = a.states;
+                a.states = b.states;
+                b.states = states;
+                this.swapAccepts[k]++;
+            }
+        }
+        this.swapParity = 1 - this.swapParity;
+    }
+    
+    /**
+     * Gets the replicas ordered from coldest to hottest.
+     * @returns {Array<GibbsSampler>}
+     */
+    getReplicas() {
+        return this.replicas;
+    }
+    
+    /**
+     * Gets the temperature ladder.
+     * @returns {Array<number>}
+     */
+    getTemperatures() {
+        return this.replicas.map(replica => replica.temperature);
+    }
+    
+    /**
+     * Swap acceptance per neighbor pair and overall.
+     * @returns {{pairs: Array<{temperatures: Array<number>, attempts: number, accepts: number, rate: number}>, rate: number}}
+     */
+    getSwapStats() {
+        let attempts = 0;
+        let accepts = 0;
+        const pairs = [];
+        for (let k = 0; k < this.swapAttempts.length; k++) {
+            attempts += this.swapAttempts[k];
+            accepts += this.swapAccepts[k];
+            pairs.push({
+                temperatures: [this.replicas[k].temperature, this.replicas[k + 1].temperature],
+                attempts: this.swapAttempts[k],
+                accepts: this.swapAccepts[k],
+                rate: this.swapAttempts[k] > 0 ? this.swapAccepts[k] / this.swapAttempts[k] : 0
+            });
+        }
+        return { pairs, rate: attempts > 0 ? accepts / attempts : 0 };
+    }
+    
+    /**
+     * Sets the cold temperature, rescaling the whole ladder to keep its ratios.
+     */
+    setTemperature(temperature) {
+        super.setTemperature(temperature);
+        if (!this.replicas) return;
+        
+        const scale = this.temperature / this.replicas[0].temperature;
+        for (const replica of this.replicas) {
+            replica.setTemperature(replica.temperature * scale);
+        }
+        this.temperature = this.replicas[0].temperature;
+    }
+    
+    /**
+     * Replaces the ladder. Must have one temperature per replica.
+     * @param {Array<number>} temperatures - New ladder (sorted ascending)
+     */
+    setTemperatures(temperatures) {
+        if (temperatures.length !== this.replicas.length) {
+            throw new Error(`[ParallelTemperingSampler] Expected ${this.replicas.length} temperatures, got ${temperatures.length}`);
+        }
+        const sorted = [...temperatures].sort((a, b) => a - b);
+        this.replicas.forEach((replica, k) => replica.setTemperature(sorted[k]));
+        this.temperature = this.replicas[0].temperature;
+        this.resetSwapStats();
+    }
+    
+    /**
+     * Overwrites the cold replica's configuration.
+     */
+    setStates(states) {
+        super.setStates(states);
+        if (this.replicas) {
+            this.replicas[0].states.set(this.states);
+        }
+    }
+    
+    /**
+     * Writes the clamped values into every replica.
+     * @private
+     */
+    _applyClamps() {
+        super._applyClamps();
+        if (this.replicas) {
+            this.replicas.forEach(replica => replica._applyClamps());
+        }
+    }
+    
+    /**
+     * Recolors after a factor change and hands the new blocks to every replica.
+     * @private
+     */
+    _recolor() {
+        super._recolor();
+        if (this.replicas) {
+            this.replicas.forEach(replica => {
+                replica.blocks = this.blocks;
+            });
+        }
+    }
+    
+    /**
+     * Replaces the block partition for every replica.
+     */
+    setBlocks(blocks) {
+        super.setBlocks(blocks);
+        if (this.replicas) {
+            this.replicas.forEach(replica => replica.setBlocks(blocks));
+        }
+    }
+    
+    /**
+     * Reseeds the swap PRNG and derives a fresh stream per replica.
+     */
+    setSeed(seed) {
+        super.setSeed(seed);
+        this.rng.split(this.replicas.length).forEach((rng, k) => {
+            this.replicas[k].rng = rng;
+        });
+    }
+}
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import Random from '../core/Random';
 
 /**
  * Manages a particle system visual effect based on audio input.
@@ -14,6 +15,7 @@ export default class ParticleEffect {
      * @param {number} [options.maxKickForce=10] - Maximum upward force applied based on audio frequency.
      * @param {number} [options.gravity=-9.8] - Gravity force applied to particles.
      * @param {THREE.Color} [options.initialColor=0xffffff] - The initial color for the particles.
+     * @param {Random} [options.rng] - Seeded generator (a randomly seeded one is created if omitted).
      */
     constructor(scene, options = {}) {
         this.scene = scene;
@@ -24,6 +26,7 @@ export default class ParticleEffect {
         this.maxKickForce = options.maxKickForce || 10; // Controls jump height sensitivity
         this.gravity = options.gravity || -19.8;        // Controls how fast particles fall
         this.expansionSpeed = options.expansionSpeed || 2.0; // Base speed of outward movement
+        this.rng = options.rng || new Random(options.seed); // Seedable randomness for reproducible demos
         // Store the initial color, default to white if not provided
         this.initialColor = options.initialColor || new THREE.Color(0xffffff); 
 
@@ -53,9 +56,9 @@ export default class ParticleEffect {
 
         // Initialize positions clustered at the center on the XZ plane (y=0)
         for (let i = 0; i < this.particleCount; i++) {
-            const angle = Math.random() * Math.PI * 2;
+            const angle = this.rng.next() * Math.PI * 2;
             // Distribute points within the very small initial radius
-            const r = initialSpawnRadius * Math.sqrt(Math.random()); 
+            const r = initialSpawnRadius * Math.sqrt(this.rng.next()); 
             
             positions[i * 3] = Math.cos(angle) * r;       // x (close to 0)
             positions[i * 3 + 1] = 0;                      // y (on the plane)
@@ -131,7 +134,7 @@ export default class ParticleEffect {
                 // Apply kick ONLY if frequency is high AND particle is outside the immediate spawn center
                 if (freqInfluence > kickThreshold && distSq > centerSpawnRadiusSq) { 
                     // Apply kick - add some randomness
-                    this.velocities[velIdx] = currentKickStrength * (0.5 + Math.random() * 0.5);
+                    this.velocities[velIdx] = currentKickStrength * (0.5 + this.rng.next() * 0.5);
                 } else {
                     // Otherwise, ensure velocity is zero (especially for newly spawned particles in the center)
                     this.velocities[velIdx] = 0; 
@@ -142,10 +145,10 @@ export default class ParticleEffect {
             const resetRadiusSq = resetRadius * resetRadius;
             
             // Reset particle if it goes too far or randomly sometimes (to ensure center fill)
-            if (distSq > resetRadiusSq || Math.random() < 0.0005) { 
+            if (distSq > resetRadiusSq || this.rng.next() < 0.0005) { 
                 // Reset to a random position near the center
-                const angle = Math.random() * Math.PI * 2;
-                const r = centerSpawnRadius * Math.sqrt(Math.random()); // Even distribution near center
+                const angle = this.rng.next() * Math.PI * 2;
+                const r = centerSpawnRadius * Math.sqrt(this.rng.next()); // Even distribution near center
                 positions[xIdx] = Math.cos(angle) * r;
                 positions[zIdx] = Math.sin(angle) * r;
                 positions[yIdx] = 0; // Ensure it starts on the ground
@@ -0,0 +1,205 @@
+import GibbsSampler from './GibbsSampler';
+
+/**
+ * Potts / Categorical Gibbs Sampler
+ * Each node takes one of q categories instead of a ±1 spin, like thrml's categorical
+ * nodes. The energy is
+ *
+ *   H(x) = -Σ_(i,j) J_ij δ(xᵢ, xⱼ) - Σᵢ hᵢ(xᵢ)
+ *
+ * and a node's conditional given its neighbors is a softmax over categories:
+ *
+ *   P(xᵢ = c | x₋ᵢ) ∝ exp(β(hᵢ(c) + Σⱼ J_ij δ(c, xⱼ)))
+ *
+ * Couplings reuse the edge weights of GibbsSampler (J > 0 favors agreement), so the
+ * topology, coloring and block updates carry over unchanged. Per-node fields are set
+ * per category with `setCategoryBias()`; the spin `biases` are unused.
+ * States are category indices 0..q-1.
+ */
+export default class PottsSampler extends GibbsSampler {
+    /**
+     * @param {object} options - GibbsSampler options plus:
+     * @param {number} [options.q=3] - Number of categories
+     * @param {number} [options.coupling=1.0] - Initial J on every edge (ferromagnetic by default)
+     */
+    constructor(options = {}) {
+        super({ ...options, clamped: null }); // Clamps need q, applied below
+        this.q = Math.max(2, Math.floor(options.q || 3));
+        this.categoryBiases = new Float32Array(this.nodeCount * this.q); // hᵢ(c) at i * q + c
+        this.conditional = new Float64Array(this.q); // Scratch buffer for softmax
+        
+        const coupling = options.coupling !== undefined ? options.coupling : 1.0;
+        for (let e = 0; e < this.edgeCount; e++) {
+            this._setEdgeWeight(e, coupling);
+        }
+        
+        for (let i = 0; i < this.nodeCount; i++) {
+            this.states[i] = this.rng.nextInt(this.q);
+        }
+        
+        if (options.clamped) {
+            this.setClamped(options.clamped);
+        }
+    }
+    
+    /**
+     * Computes the energy of the current state.
+     * H(x) = -(Σ J_ij δ(xᵢ, xⱼ) + Σ hᵢ(xᵢ)), temperature-free like GibbsSampler's.
+     */
+    computeEnergy() {
+        const states = this.states;
+        let energy = 0;
+        
+        for (let i = 0; i < this.nodeCount; i++) {
+            energy += this.categoryBiases[i * this.q + states[i]];
+        }
+        for (let e = 0; e < this.edgeCount; e++) {
+            if (states[this.edgeSources[e]] === states[this.edgeTargets[e]]) {
+                energy += this.edgeWeights[e];
+            }
+        }
+        
+        return -energy;
+    }
+    
+    /**
+     * Fills `out` with P(xᵢ = c | neighbors) for every category c.
+     * @param {number} nodeIndex - Node to condition
+     * @param {Float64Array} [out] - Length-q output buffer
+     * @returns {Float64Array} Category probabilities
+     */
+    computeConditional(nodeIndex, out = new Float64Array(this.q)) {
+        const q = this.q;
+        const beta = 1.0 / this.temperature;
+        const states = this.states;
+        const end = this.adjOffsets[nodeIndex + 1];
+        
+        for (let c = 0; c < q; c++) {
+            out[c] = this.categoryBiases[nodeIndex * q + c];
+        }
+        for (let k = this.adjOffsets[nodeIndex]; k < end; k++) {
+            out[states[this.adjIndices[k]]] += this.adjWeights[k];
+        }
+        
+        // Softmax with the max subtracted for stability
+        let max = -Infinity;
+        for (let c = 0; c < q; c++) {
+            out[c] *= beta;
+            if (out[c] > max) max = out[c];
+        }
+        let total = 0;
+        for (let c = 0; c < q; c++) {
+            out[c] = Math.exp(out[c] - max);
+            total += out[c];
+        }
+        for (let c = 0; c < q; c++) {
+            out[c] /= total;
+        }
+        return out;
+    }
+    
+    /**
+     * Log-odds of a node's current category against the rest, log(p / (1 - p)).
+     * Stands in for the Ising effective field so callers that show γᵢ keep working.
+     */
+    computeEffectiveBias(nodeIndex) {
+        const p = this.computeConditional(nodeIndex, this.conditional)[this.states[nodeIndex]];
+        return Math.log(p + 1e-12) - Math.log(1 - p + 1e-12);
+    }
+    
+    /**
+     * Draws a category from a probability vector.
+     * @param {Float64Array} probabilities - Sums to 1
+     * @returns {number} Category index
+     */
+    sampleCategory(probabilities) {
+        let u = this.rng.next();
+        for (let c = 0; c < probabilities.length - 1; c++) {
+            u -= probabilities[c];
+            if (u < 0) return c;
+        }
+        return probabilities.length - 1;
+    }
+    
+    /**
+     * Samples every node in a block from its softmax conditional.
+     * @param {Array<number>} block - Node indices (an independent set)
+     */
+    updateBlock(block) {
+        for (let k = 0; k < block.length; k++) {
+            const i = block[k];
+            if (this.clampMask[i]) continue;
+            this.states[i] = this.sampleCategory(this.computeConditional(i, this.conditional));
+        }
+    }
+    
+    /**
+     * Sets the field hᵢ(c) favoring category c at node i.
+     * @param {number} nodeIndex - Node
+     * @param {number} category - Category index
+     * @param {number} bias - Field strength
+     */
+    setCategoryBias(nodeIndex, category, bias) {
+        if (nodeIndex >= 0 && nodeIndex < this.nodeCount && category >= 0 && category < this.q) {
+            this.categoryBiases[nodeIndex * this.q + category] = bias;
+        }
+    }
+    
+    /**
+     * Higher-order factors are products and tables over ±1 spins, which Potts energies
+     * and conditionals do not include; they are rejected rather than silently dropped.
+     * @throws {Error} Always
+     */
+    addFactor() {
+        throw new Error('[PottsSampler] Higher-order factors need ±1 spins; categorical nodes support pairwise couplings only');
+    }
+    
+    /**
+     * @throws {Error} Always (see addFactor)
+     */
+    addTableFactor() {
+        return this.addFactor();
+    }
+    
+    /**
+     * Only accepts an empty list (`clearFactors()`); see addFactor.
+     * @param {Array<object>} factors
+     * @throws {Error} If the list is not empty
+     */
+    setFactors(factors) {
+        if (factors.length > 0) this.addFactor();
+        super.setFactors(factors);
+    }
+    
+    /**
+     * Potts nodes are sampled with block Gibbs only; other algorithms fall back to it.
+     */
+    setAlgorithm(algorithm) {
+        if (algorithm !== 'gibbs') {
+            console.warn(`[PottsSampler] ${algorithm} is not available for categorical nodes, using gibbs`);
+        }
+        super.setAlgorithm('gibbs');
+    }
+    
+    /**
+     * Converts an external value to a category index, limited to 0..q-1.
+     * Used by `setStates()` and `clamp()`.
+     * @private
+     */
+    _coerceState(value) {
+        const c = Math.floor(Number(value) || 0);
+        return Math.min(this.q - 1, Math.max(0, c));
+    }
+    
+    /**
+     * Fraction of nodes in each category.
+     * @returns {Float64Array} Length-q histogram
+     */
+    getCategoryFractions() {
+        const fractions = new Float64Array(this.q);
+        for (let i = 0; i < this.nodeCount; i++) {
+            fractions[this.states[i]] += 1 / this.nodeCount;
+        }
+        return fractions;
+    }
+}
@@ -0,0 +1,108 @@
+/**
+ * Sampler Backend
+ * Base class of the engines that advance the visualizer's sampler: JavaScript on the
+ * main thread, the Web Worker, and the thrml server (HTTP polling or a pushed stream).
+ * The GibbsSampler always holds the model and the displayed state; a backend moves
+ * that state forward, either by sweeping it or by fetching the next state elsewhere.
+ *
+ * Backends describe themselves through `getCapabilities()`, and `supports()` checks a
+ * sampler's model against those capabilities. SamplerBackendManager combines them
+ * with `checkHealth()` and the `fallback` chain to fail over and recover.
+ *
+ * Subclasses implement `step()` and override the capabilities and hooks they need.
+ */
+export default class SamplerBackend {
+    /**
+     * @param {string} name - Registry name, e.g. 'local'
+     * @param {object} [options]
+     * @param {string} [options.label] - Display name
+     * @param {string} [options.fallback] - Backend to use while this one is unavailable or unsupported
+     */
+    constructor(name, options = {}) {
+        this.name = name;
+        this.label = options.label || name;
+        this.fallback = options.fallback || null;
+        this.healthy = true; // true, false, or null until the first health check
+        this.failures = 0; // Consecutive failed steps
+        this.lastError = null;
+        this.lastErrorType = null; // Error class name, e.g. 'BackendUnavailable' (see ThrmlErrors)
+    }
+    
+    /**
+     * Describes what the backend can sample and how it delivers states.
+     *   remote: states are computed on a server
+     *   push: new states arrive without a request per step, so step() is called every frame
+     *   worker: the sampler must be a WorkerGibbsSampler
+     *   categorical, factors, clamps, replicaExchange: model features it can sample
+     * @returns {{remote: boolean, push: boolean, worker: boolean, categorical: boolean,
+     *   factors: boolean, clamps: boolean, replicaExchange: boolean}}
+     */
+    getCapabilities() {
+        return {
+            remote: false,
+            push: false,
+            worker: false,
+            categorical: true,
+            factors: true,
+            clamps: true,
+            replicaExchange: true
+        };
+    }
+    
+    /**
+     * Checks a sampler's model against the capabilities.
+     * @param {GibbsSampler} sampler
+     * @returns {boolean}
+     */
+    supports(sampler) {
+        const capabilities = this.getCapabilities();
+        return (capabilities.categorical || !sampler.q) &&
+            (capabilities.factors || sampler.getModel().factors.length === 0) &&
+            (capabilities.clamps || !sampler.clampMask.some(Boolean)) &&
+            (capabilities.replicaExchange || !sampler.replicas);
+    }
+    
+    /**
+     * Checks whether the backend can sample right now (e.g. whether its server answers).
+     * @returns {Promise<boolean>}
+     */
+    async checkHealth() {
+        return true;
+    }
+    
+    /**
+     * Advances the sampler's state by one step.
+     * @param {GibbsSampler} sampler - The visualizer's sampler; its state is updated in place
+     * @returns {boolean|Promise<boolean>} true if the state was updated synchronously, or a
+     *   promise of whether a new state was applied. Failures throw or reject, preferably
+     *   with a BackendUnavailable when the backend cannot be reached (see ThrmlErrors).
+     */
+    step(sampler) {
+        throw new Error(`[SamplerBackend] ${this.name} does not implement step()`);
+    }
+    
+    /**
+     * Request latency and throughput, for backends that have them.
+     * @returns {object|null}
+     */
+    getMetrics() {
+        return null;
+    }
+    
+    /**
+     * Called when the backend becomes the active one.
+     */
+    activate() {}
+    
+    /**
+     * Called when another backend takes over. Remote backends release server resources here.
+     */
+    deactivate() {}
+    
+    /**
+     * Releases all resources.
+     */
+    dispose() {
+        this.deactivate();
+    }
+}
@@ -0,0 +1,218 @@
+/**
+ * Sampler Backend Manager
+ * Registry of SamplerBackends with failover. The user selects a preferred backend;
+ * `resolve(sampler)` returns it while it is healthy and supports the sampler's model,
+ * and otherwise the first usable backend along its `fallback` chain ('thrml-stream' →
+ * 'thrml-http' → 'local'), with 'local' as the last resort.
+ *
+ * A backend whose steps fail `maxFailures` times in a row is marked unhealthy, and one
+ * that reports a BackendUnavailable error right away. Every
+ * `healthInterval` seconds the preferred chain is health-checked, which detects both
+ * outages and recovery: once the preferred backend answers again it takes over by itself.
+ *
+ *   const backends = new SamplerBackendManager({ onChange: backend => ... });
+ *   backends.register(new LocalBackend());
+ *   backends.register(new ThrmlBackend({ transport: 'sse' }));
+ *   backends.select('thrml-stream');
+ *   const backend = backends.resolve(sampler); // each frame
+ *   backends.update(deltaTime);
+ */
+export default class SamplerBackendManager {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.preferred='local'] - Initially preferred backend
+     * @param {number} [options.healthInterval=10] - Seconds between health checks
+     * @param {number} [options.maxFailures=3] - Consecutive failed steps before a backend is marked unhealthy
+     * @param {function(SamplerBackend, SamplerBackend|null, string|null): void} [options.onChange] -
+     *   Called with the new and previous active backend and the reason for a failover
+     */
+    constructor(options = {}) {
+        this.backends = new Map();
+        this.preferred = options.preferred || 'local';
+        this.defaultBackend = 'local'; // Last resort when no backend in the chain is usable
+        this.active = null;
+        this.reason = null; // Why the active backend is not the preferred one
+        this.healthInterval = options.healthInterval || 10;
+        this.maxFailures = options.maxFailures || 3;
+        this.healthTimer = 0;
+        this.checking = new Set(); // Backends with a health check in flight
+        this.onChange = options.onChange || null;
+    }
+    
+    /**
+     * Adds a backend under its name.
+     * @param {SamplerBackend} backend
+     * @returns {SamplerBackend} The backend
+     */
+    register(backend) {
+        this.backends.set(backend.name, backend);
+        return backend;
+    }
+    
+    /**
+     * Looks up a backend.
+     * @param {string} name - Backend name
+     * @returns {SamplerBackend|null}
+     */
+    get(name) {
+        return this.backends.get(name) || null;
+    }
+    
+    /**
+     * Chooses the preferred backend and checks its health right away.
+     * @param {string} name - Backend name
+     * @throws {Error} If no backend has that name
+     */
+    select(name) {
+        if (!this.backends.has(name)) {
+            throw new Error(`[SamplerBackendManager] Unknown backend: ${name}`);
+        }
+        this.preferred = name;
+        this.healthTimer = 0;
+        this.checkHealth();
+    }
+    
+    /**
+     * Picks the backend for the next step and switches to it if it changed.
+     * @param {GibbsSampler} sampler - Sampler whose model the backend must support
+     * @returns {SamplerBackend}
+     */
+    resolve(sampler) {
+        let reason = null;
+        const backend = this._chain(this.preferred).find(candidate => {
+            if (candidate.healthy === true && candidate.supports(sampler)) return true;
+            if (!reason) {
+                reason = candidate.healthy === true ? `${candidate.label} cannot sample this model` :
+                    candidate.healthy === null ? `${candidate.label} is being checked` :
+                    `${candidate.label} is unavailable${candidate.lastErrorType ? ` (${candidate.lastErrorType})` : ''}`;
+            }
+            return false;
+        }) || this.get(this.defaultBackend);
+        
+        this.reason = backend.name === this.preferred ? null : reason;
+        if (backend !== this.active) {
+            const previous = this.active;
+            this.active = backend;
+            if (previous) previous.deactivate();
+            backend.activate();
+            if (this.reason) {
+                console.warn(`[SamplerBackendManager] Using ${backend.label} (${this.reason})`);
+            }
+            if (this.onChange) {
+                this.onChange(backend, previous, this.reason);
+            }
+        }
+        return backend;
+    }
+    
+    /**
+     * Runs the periodic health checks.
+     * @param {number} deltaTime - Seconds since the last call
+     */
+    update(deltaTime) {
+        this.healthTimer += deltaTime;
+        if (this.healthTimer < this.healthInterval) return;
+        this.healthTimer = 0;
+        this.checkHealth();
+    }
+    
+    /**
+     * Health-checks every backend in the preferred chain (skipping checks still running).
+     */
+    checkHealth() {
+        for (const backend of this._chain(this.preferred)) {
+            if (this.checking.has(backend)) continue;
+            this.checking.add(backend);
+            Promise.resolve()
+                .then(() => backend.checkHealth())
+                .then(healthy => this._setHealth(backend, healthy), error => this._setHealth(backend, false, error))
+                .finally(() => this.checking.delete(backend));
+        }
+    }
+    
+    /**
+     * Records a successful step.
+     * @param {SamplerBackend} backend
+     */
+    reportSuccess(backend) {
+        backend.failures = 0;
+    }
+    
+    /**
+     * Records a failed step; repeated failures, or one BackendUnavailable error, mark
+     * the backend unhealthy until a health check succeeds.
+     * @param {SamplerBackend} backend
+     * @param {Error} error
+     */
+    reportFailure(backend, error) {
+        backend.failures++;
+        backend.lastError = error ? error.message || String(error) : null;
+        backend.lastErrorType = error ? error.name || null : null;
+        const unreachable = backend.lastErrorType === 'BackendUnavailable';
+        if ((unreachable || backend.failures >= this.maxFailures) && backend.healthy) {
+            this._setHealth(backend, false);
+        }
+    }
+    
+    /**
+     * Preferred and active backend plus every backend's capabilities and health.
+     * @returns {{preferred: string, active: string|null, reason: string|null, backends: Array<object>}}
+     */
+    getStatus() {
+        return {
+            preferred: this.preferred,
+            active: this.active ? this.active.name : null,
+            reason: this.reason,
+            backends: Array.from(this.backends.values(), backend => ({
+                name: backend.name,
+                label: backend.label,
+                healthy: backend.healthy,
+                failures: backend.failures,
+                lastError: backend.lastError,
+                lastErrorType: backend.lastErrorType,
+                capabilities: backend.getCapabilities()
+            }))
+        };
+    }
+    
+    /**
+     * Releases every backend.
+     */
+    dispose() {
+        for (const backend of this.backends.values()) {
+            backend.dispose();
+        }
+        this.active = null;
+    }
+    
+    /**
+     * A backend followed by its fallbacks.
+     * @private
+     */
+    _chain(name) {
+        const chain = [];
+        for (let backend = this.get(name); backend && !chain.includes(backend); backend = this.get(backend.fallback)) {
+            chain.push(backend);
+        }
+        return chain;
+    }
+    
+    /**
+     * Updates a backend's health and warns when it becomes unavailable.
+     * @private
+     */
+    _setHealth(backend, healthy, error = null) {
+        if (healthy) {
+            backend.failures = 0;
+            backend.lastError = null;
+            backend.lastErrorType = null;
+        } else if (error) {
+            backend.lastError = error.message || String(error);
+            backend.lastErrorType = error.name || null;
+        }
+        if (!healthy && backend.healthy !== false) {
+            console.warn(`[SamplerBackendManager] ${backend.label} is unavailable`);
+        }
+        backend.healthy = healthy;
+    }
+}
@@ -0,0 +1,363 @@
+/**
+ * Statistics Observer
+ * Accumulates running estimates from a Gibbs sampler, in the spirit of thrml's
+ * observers (e.g. MomentAccumulatorObserver): mean magnetization, per-node marginals,
+ * pairwise correlations ⟨xᵢxⱼ⟩, energy mean/variance, heat capacity and the
+ * integrated autocorrelation time of the magnetization and energy.
+ * For categorical (Potts) samplers the magnetization is the Potts order parameter,
+ * pair correlations are agreement rates ⟨δ(xᵢ, xⱼ)⟩ and marginals are per category.
+ *
+ * Attach with `sampler.addObserver(observer)`; the sampler calls `observe(sampler)`
+ * after every sweep.
+ */
+export default class StatisticsObserver {
+    /**
+     * @param {object} [options] - Configuration options
+     * @param {string|Array<Array<number>>} [options.pairs='edges'] - Pairs for ⟨xᵢxⱼ⟩: 'edges', 'all' or explicit [i, j] list
+     * @param {number} [options.burnIn=0] - Sweeps to discard before accumulating
+     * @param {number} [options.historySize=1024] - Length of the time series kept for autocorrelation
+     */
+    constructor(options = {}) {
+        this.pairsOption = options.pairs || 'edges';
+        this.burnIn = options.burnIn || 0;
+        this.historySize = options.historySize || 1024;
+        
+        this.nodeCount = 0;
+        this.categories = 0; // q for Potts samplers, 0 for ±1 spins
+        this.graph = null;
+        this.pairs = [];
+        this.reset();
+    }
+    
+    /**
+     * Clears all accumulated statistics.
+     */
+    reset() {
+        this.seen = 0; // Observations including burn-in
+        this.count = 0; // Observations accumulated
+        this.sumMagnetization = 0;
+        this.sumAbsMagnetization = 0;
+        this.sumMagnetizationSq = 0;
+        this.sumEnergy = 0;
+        this.sumEnergySq = 0;
+        this.beta = 1;
+        this.nodeSums = new Float64Array(this.nodeCount * Math.max(1, this.categories)); // Σxᵢ, or category counts at i * q + c
+        this.pairSums = new Float64Array(this.pairs.length);
+        this.magnetizationHistory = new Float64Array(this.historySize);
+        this.energyHistory = new Float64Array(this.historySize);
+        this.historyLength = 0;
+        this.historyHead = 0;
+        this.tauCache = {};
+    }
+    
+    /**
+     * Sizes the accumulators for a sampler's graph.
+     * @private
+     */
+    _bind(sampler) {
+        this.nodeCount = sampler.nodeCount;
+        this.categories = sampler.q || 0;
+        this.graph = sampler.getGraph();
+        
+        if (this.pairsOption === 'all') {
+            this.pairs = [];
+            for (let i = 0; i < this.nodeCount; i++) {
+                for (let j = i + 1; j < this.nodeCount; j++) {
+                    this.pairs.push([i, j]);
+                }
+            }
+        } else if (Array.isArray(this.pairsOption)) {
+            this.pairs = this.pairsOption.map(([i, j]) => [i, j]);
+        } else {
+            this.pairs = sampler.getGraph().map(([i, j]) => [i, j]);
+        }
+        
+        this.reset();
+    }
+    
+    /**
+     * Records the sampler's current state.
+     * @param {GibbsSampler} sampler - Sampler after a sweep
+     */
+    observe(sampler) {
+        if (sampler.nodeCount !== this.nodeCount || sampler.getGraph() !== this.graph ||
+            (sampler.q || 0) !== this.categories) {
+            this._bind(sampler);
+        }
+        
+        this.seen++;
+        if (this.seen <= this.burnIn) return;
+        
+        const states = sampler.states;
+        const magnetization = this.categories
+            ? this._accumulateCategorical(states)
+            : this._accumulateSpins(states);
+        
+        this.beta = 1.0 / sampler.temperature;
+        const energy = sampler.computeEnergy(); // H(x), no β
+        
+        this.count++;
+        this.sumMagnetization += magnetization;
+        this.sumAbsMagnetization += Math.abs(magnetization);
+        this.sumMagnetizationSq += magnetization * magnetization;
+        this.sumEnergy += energy;
+        this.sumEnergySq += energy * energy;
+        
+        this.magnetizationHistory[this.historyHead] = magnetization;
+        this.energyHistory[this.historyHead] = energy;
+        this.historyHead = (this.historyHead + 1) % this.historySize;
+        this.historyLength = Math.min(this.historyLength + 1, this.historySize);
+    }
+    
+    /**
+     * Accumulates ±1 spin moments.
+     * @returns {number} Magnetization (1/N)Σxᵢ
+     * @private
+     */
+    _accumulateSpins(states) {
+        let total = 0;
+        for (let i = 0; i < this.nodeCount; i++) {
+            this.nodeSums[i] += states[i];
+            total += states[i];
+        }
+        for (let p = 0; p < this.pairs.length; p++) {
+            const [i, j] = this.pairs[p];
+            this.pairSums[p] += states[i] * states[j];
+        }
+        return total / this.nodeCount;
+    }
+    
+    /**
+     * Accumulates category counts and agreement rates.
+     * @returns {number} Potts order parameter (q·maxₖ nₖ/N - 1) / (q - 1)
+     * @private
+     */
+    _accumulateCategorical(states) {
+        const q = this.categories;
+        const counts = new Float64Array(q);
+        for (let i = 0; i < this.nodeCount; i++) {
+            this.nodeSums[i * q + states[i]]++;
+            counts[states[i]]++;
+        }
+        for (let p = 0; p < this.pairs.length; p++) {
+            const [i, j] = this.pairs[p];
+            if (states[i] === states[j]) this.pairSums[p]++;
+        }
+        let largest = 0;
+        for (let c = 0; c < q; c++) {
+            if (counts[c] > largest) largest = counts[c];
+        }
+        return (q * largest / this.nodeCount - 1) / (q - 1);
+    }
+    
+    /**
+     * Mean magnetization ⟨m⟩ with m = (1/N)Σxᵢ (Potts: the order parameter).
+     * @returns {number}
+     */
+    getMagnetization() {
+        return this.count > 0 ? this.sumMagnetization / this.count : 0;
+    }
+    
+    /**
+     * Mean absolute magnetization ⟨|m|⟩ (symmetric under global flip, so useful at h = 0).
+     * @returns {number}
+     */
+    getAbsMagnetization() {
+        return this.count > 0 ? this.sumAbsMagnetization / this.count : 0;
+    }
+    
+    /**
+     * Magnetic susceptibility χ = βN(⟨m²⟩ - ⟨m⟩²).
+     * @returns {number}
+     */
+    getSusceptibility() {
+        if (this.count < 2) return 0;
+        const mean = this.sumMagnetization / this.count;
+        const variance = this.sumMagnetizationSq / this.count - mean * mean;
+        return this.beta * this.nodeCount * Math.max(0, variance);
+    }
+    
+    /**
+     * Per-node marginals P(xᵢ = +1) = (1 + ⟨xᵢ⟩) / 2.
+     * For Potts samplers, P(xᵢ = c) for every category (one array per node).
+     * @returns {Float64Array|Array<Float64Array>}
+     */
+    getMarginals() {
+        if (this.categories) {
+            const q = this.categories;
+            const marginals = [];
+            for (let i = 0; i < this.nodeCount; i++) {
+                const row = new Float64Array(q);
+                for (let c = 0; c < q; c++) {
+                    row[c] = this.count > 0 ? this.nodeSums[i * q + c] / this.count : 1 / q;
+                }
+                marginals.push(row);
+            }
+            return marginals;
+        }
+        const marginals = new Float64Array(this.nodeCount);
+        for (let i = 0; i < this.nodeCount; i++) {
+            marginals[i] = this.count > 0 ? (1 + this.nodeSums[i] / this.count) / 2 : 0.5;
+        }
+        return marginals;
+    }
+    
+    /**
+     * Pairwise correlations ⟨xᵢxⱼ⟩ (Potts: ⟨δ(xᵢ, xⱼ)⟩) for the tracked pairs.
+     * @returns {Array<{i: number, j: number, value: number}>}
+     */
+    getCorrelations() {
+        return this.pairs.map(([i, j], p) => ({
+            i,
+            j,
+            value: this.count > 0 ? this.pairSums[p] / this.count : 0
+        }));
+    }
+    
+    /**
+     * Connected correlation ⟨xᵢxⱼ⟩ - ⟨xᵢ⟩⟨xⱼ⟩ for the tracked pairs.
+     * @returns {Array<{i: number, j: number, value: number}>}
+     */
+    getConnectedCorrelations() {
+        if (this.count === 0) return this.getCorrelations();
+        if (this.categories) {
+            // ⟨δ(xᵢ, xⱼ)⟩ - Σ_c P(xᵢ = c) P(xⱼ = c)
+            const q = this.categories;
+            return this.pairs.map(([i, j], p) => {
+                let independent = 0;
+                for (let c = 0; c < q; c++) {
+                    independent += (this.nodeSums[i * q + c] / this.count) * (this.nodeSums[j * q + c] / this.count);
+                }
+                return { i, j, value: this.pairSums[p] / this.count - independent };
+            });
+        }
+        return this.pairs.map(([i, j], p) => ({
+            i,
+            j,
+            value: this.pairSums[p] / this.count -
+                (this.nodeSums[i] / this.count) * (this.nodeSums[j] / this.count)
+        }));
+    }
+    
+    /**
+     * Mean energy ⟨H⟩ (without the β factor).
+     * @returns {number}
+     */
+    getEnergyMean() {
+        return this.count > 0 ? this.sumEnergy / this.count : 0;
+    }
+    
+    /**
+     * Energy variance ⟨H²⟩ - ⟨H⟩².
+     * @returns {number}
+     */
+    getEnergyVariance() {
+        if (this.count < 2) return 0;
+        const mean = this.sumEnergy / this.count;
+        return Math.max(0, this.sumEnergySq / this.count - mean * mean);
+    }
+    
+    /**
+     * Heat capacity C = β²Var(H) (k_B = 1).
+     * @returns {number}
+     */
+    getHeatCapacity() {
+        return this.beta * this.beta * this.getEnergyVariance();
+    }
+    
+    /**
+     * Integrated autocorrelation time τ_int = 1/2 + Σₜ ρ(t), using Sokal's automatic
+     * window (stop at the first W ≥ c·τ_int(W)). Measured in sweeps.
+     * @param {string} [series='magnetization'] - 'magnetization' or 'energy'
+     * @param {number} [c=5] - Window constant
+     * @returns {number} τ_int, or NaN if there is too little data
+     */
+    getAutocorrelationTime(series = 'magnetization', c = 5) {
+        // Cached for a few sweeps: the UI polls this every frame
+        const cached = this.tauCache[series];
+        if (cached && cached.c === c && this.count - cached.count < 16) {
+            return cached.value;
+        }
+        const value = this._computeAutocorrelationTime(series, c);
+        this.tauCache[series] = { value, c, count: this.count };
+        return value;
+    }
+    
+    /**
+     * Computes τ_int from the stored history.
+     * @private
+     */
+    _computeAutocorrelationTime(series, c) {
+        const n = this.historyLength;
+        if (n < 8) return NaN;
+        
+        const values = this._orderedHistory(series === 'energy' ? this.energyHistory : this.magnetizationHistory);
+        let mean = 0;
+        for (let t = 0; t < n; t++) mean += values[t];
+        mean /= n;
+        
+        let c0 = 0;
+        for (let t = 0; t < n; t++) c0 += (values[t] - mean) * (values[t] - mean);
+        c0 /= n;
+        if (c0 === 0) return NaN; // Frozen chain: no fluctuations to correlate
+        
+        let tau = 0.5;
+        for (let lag = 1; lag < n / 2; lag++) {
+            let ct = 0;
+            for (let t = 0; t + lag < n; t++) {
+                ct += (values[t] - mean) * (values[t + lag] - mean);
+            }
+            tau += ct / (n - lag) / c0;
+            if (lag >= c * tau) break;
+        }
+        
+        return Math.max(0.5, tau);
+    }
+    
+    /**
+     * Unrolls a ring buffer into chronological order.
+     * @private
+     */
+    _orderedHistory(buffer) {
+        const n = this.historyLength;
+        const values = new Float64Array(n);
+        const start = n < this.historySize ? 0 : this.historyHead;
+        for (let t = 0; t < n; t++) {
+            values[t] = buffer[(start + t) % this.historySize];
+        }
+        return values;
+    }
+    
+    /**
+     * Compact summary for UI display.
+     * @returns {object}
+     */
+    getSummary() {
+        return {
+            samples: this.count,
+            categories: this.categories || null,
+            magnetization: this.getMagnetization(),
+            absMagnetization: this.getAbsMagnetization(),
+            susceptibility: this.getSusceptibility(),
+            energyMean: this.getEnergyMean(),
+            energyVariance: this.getEnergyVariance(),
+            heatCapacity: this.getHeatCapacity(),
+            autocorrelationTime: this.getAutocorrelationTime('magnetization')
+        };
+    }
+    
+    /**
+     * Full export of the accumulated statistics.
+     * @returns {object}
+     */
+    toJSON() {
+        return {
+            ...this.getSummary(),
+            burnIn: this.burnIn,
+            beta: this.beta,
+            energyAutocorrelationTime: this.getAutocorrelationTime('energy'),
+            marginals: Array.from(this.getMarginals(), m => (typeof m === 'number' ? m : Array.from(m))),
+            correlations: this.getCorrelations()
+        };
+    }
+}
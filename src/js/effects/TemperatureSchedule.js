@@ -0,0 +1,197 @@
+/**
+ * Temperature Schedule
+ * Maps a sweep counter to a temperature for simulated annealing. A sampler with a
+ * schedule calls `next()` once per sweep and uses the returned temperature.
+ * Factories cover linear, exponential, logarithmic, cosine, keyframed and
+ * audio-driven schedules.
+ */
+export default class TemperatureSchedule {
+    /**
+     * @param {function(number): number} temperatureAt - Temperature for a given step
+     * @param {object} [options]
+     * @param {string} [options.name='custom'] - Schedule name
+     * @param {number} [options.steps=Infinity] - Steps until the schedule completes
+     * @param {boolean} [options.loop=false] - Restart from step 0 after completing
+     * @param {number} [options.minTemperature=0.1] - Floor applied to every value
+     */
+    constructor(temperatureAt, options = {}) {
+        this.temperatureAt = temperatureAt;
+        this.name = options.name || 'custom';
+        this.steps = options.steps !== undefined ? options.steps : Infinity;
+        this.loop = options.loop || false;
+        this.minTemperature = options.minTemperature || 0.1;
+        this.step = 0;
+        this.input = 0; // External signal (audio level) for driven schedules
+    }
+    
+    /**
+     * T(k) = T₀ + (T₁ - T₀)·k/K
+     * @param {number} start - Initial temperature T₀
+     * @param {number} end - Final temperature T₁
+     * @param {number} steps - Schedule length K
+     * @returns {TemperatureSchedule}
+     */
+    static linear(start, end, steps) {
+        return new TemperatureSchedule(
+            k => start + (end - start) * Math.min(1, k / steps),
+            { name: 'linear', steps }
+        );
+    }
+    
+    /**
+     * Geometric cooling T(k) = T₀·αᵏ with α = (T₁/T₀)^(1/K).
+     * @param {number} start - Initial temperature T₀
+     * @param {number} end - Final temperature T₁
+     * @param {number} steps - Schedule length K
+     * @returns {TemperatureSchedule}
+     */
+    static exponential(start, end, steps) {
+        const alpha = Math.pow(end / start, 1 / steps);
+        return new TemperatureSchedule(
+            k => start * Math.pow(alpha, Math.min(k, steps)),
+            { name: 'exponential', steps }
+        );
+    }
+    
+    /**
+     * Logarithmic cooling T(k) = T₀·ln 2 / ln(k + 2) (Geman & Geman). Slow, but
+     * the classic schedule with convergence guarantees.
+     * @param {number} start - Initial temperature T₀
+     * @param {number} [steps=Infinity] - Schedule length
+     * @returns {TemperatureSchedule}
+     */
+    static logarithmic(start, steps = Infinity) {
+        return new TemperatureSchedule(
+            k => start * Math.LN2 / Math.log(Math.min(k, steps) + 2),
+            { name: 'logarithmic', steps }
+        );
+    }
+    
+    /**
+     * Cosine annealing T(k) = T₁ + (T₀ - T₁)(1 + cos(πk/K))/2.
+     * @param {number} start - Initial temperature T₀
+     * @param {number} end - Final temperature T₁
+     * @param {number} steps - Schedule length K
+     * @param {boolean} [loop=false] - Restart after each period (warm restarts)
+     * @returns {TemperatureSchedule}
+     */
+    static cosine(start, end, steps, loop = false) {
+        return new TemperatureSchedule(
+            k => end + (start - end) * (1 + Math.cos(Math.PI * Math.min(k, steps) / steps)) / 2,
+            { name: 'cosine', steps, loop }
+        );
+    }
+    
+    /**
+     * Piecewise-linear interpolation between keyframes.
+     * @param {Array<{step: number, temperature: number}>} keyframes - Points on the curve
+     * @param {boolean} [loop=false] - Restart after the last keyframe
+     * @returns {TemperatureSchedule}
+     */
+    static keyframes(keyframes, loop = false) {
+        if (!keyframes.length) {
+            throw new Error('[TemperatureSchedule] At least one keyframe is required');
+        }
+        const frames = [...keyframes].sort((a, b) => a.step - b.step);
+        const last = frames[frames.length - 1];
+        
+        return new TemperatureSchedule(k => {
+            if (k <= frames[0].step) return frames[0].temperature;
+            for (let f = 1; f < frames.length; f++) {
+                if (k <= frames[f].step) {
+                    const a = frames[f - 1];
+                    const b = frames[f];
+                    const t = (k - a.step) / (b.step - a.step);
+                    return a.temperature + (b.temperature - a.temperature) * t;
+                }
+            }
+            return last.temperature;
+        }, { name: 'keyframes', steps: last.step, loop });
+    }
+    
+    /**
+     * Audio-driven temperature: louder input heats the system.
+     * T = T_min + (T_max - T_min)·level, with exponential smoothing of the level.
+     * Feed the signal with `setInput(level)` (0-1). Never completes.
+     * @param {number} min - Temperature at silence
+     * @param {number} max - Temperature at full level
+     * @param {number} [smoothing=0.9] - Smoothing factor (0 = none)
+     * @returns {TemperatureSchedule}
+     */
+    static audio(min, max, smoothing = 0.9) {
+        let level = 0;
+        const schedule = new TemperatureSchedule(() => {
+            level = smoothing * level + (1 - smoothing) * schedule.input;
+            return min + (max - min) * level;
+        }, { name: 'audio' });
+        return schedule;
+    }
+    
+    /**
+     * Builds a schedule from a plain description, e.g. `{type: 'exponential', start: 5, end: 0.1, steps: 500}`.
+     * @param {object} spec - Schedule description
+     * @returns {TemperatureSchedule}
+     */
+    static fromSpec(spec) {
+        switch (spec.type) {
+            case 'linear':
+                return TemperatureSchedule.linear(spec.start, spec.end, spec.steps);
+            case 'exponential':
+                return TemperatureSchedule.exponential(spec.start, spec.end, spec.steps);
+            case 'logarithmic':
+                return TemperatureSchedule.logarithmic(spec.start, spec.steps);
+            case 'cosine':
+                return TemperatureSchedule.cosine(spec.start, spec.end, spec.steps, spec.loop);
+            case 'keyframes':
+                return TemperatureSchedule.keyframes(spec.keyframes, spec.loop);
+            case 'audio':
+                return TemperatureSchedule.audio(spec.min, spec.max, spec.smoothing);
+            default:
+                throw new Error(`[TemperatureSchedule] Unknown schedule type: ${spec.type}`);
+        }
+    }
+    
+    /**
+     * Returns the temperature for the current step and advances the counter.
+     * @returns {number}
+     */
+    next() {
+        if (this.loop && this.steps !== Infinity && this.step > this.steps) {
+            this.step = 0;
+        }
+        const temperature = Math.max(this.minTemperature, this.temperatureAt(this.step));
+        this.step++;
+        return temperature;
+    }
+    
+    /**
+     * Current temperature without advancing.
+     * @returns {number}
+     */
+    current() {
+        return Math.max(this.minTemperature, this.temperatureAt(this.step));
+    }
+    
+    /**
+     * Sets the external input level for driven schedules.
+     * @param {number} level - Signal level (0-1)
+     */
+    setInput(level) {
+        this.input = Math.max(0, Math.min(1, level || 0));
+    }
+    
+    /**
+     * Whether a finite, non-looping schedule has run its course.
+     * @returns {boolean}
+     */
+    isComplete() {
+        return !this.loop && this.step > this.steps;
+    }
+    
+    /**
+     * Restarts the schedule from step 0.
+     */
+    reset() {
+        this.step = 0;
+    }
+}
@@ -1,6 +1,23 @@
 import * as THREE from 'three';
 import GibbsSampler from './GibbsSampler';
-import ThrmlSampler from './ThrmlSampler';
+import WorkerGibbsSampler from './WorkerGibbsSampler';
+import ParallelTemperingSampler from './ParallelTemperingSampler';
+import PottsSampler from './PottsSampler';
+import StatisticsObserver from './StatisticsObserver';
+import GroundStateObserver from './GroundStateObserver';
+import TemperatureSchedule from './TemperatureSchedule';
+import ContrastiveDivergenceTrainer from './ContrastiveDivergenceTrainer';
+import HopfieldMemory from './HopfieldMemory';
+import ExactEnumerator from './ExactEnumerator';
+import FactorGraph from './FactorGraph';
+import ContinuousTimeDynamics from './ContinuousTimeDynamics';
+import GraphTopology from './GraphTopology';
+import SamplerBackendManager from './SamplerBackendManager';
+import LocalBackend from './LocalBackend';
+import ThrmlBackend from './ThrmlBackend';
+import Random from '../core/Random';
+
+const EXACT_LIVE_MAX_STATES = 1 << 16; // Enumerated on the main thread while sampling (about 40 ms)
 
 /**
  * Thermodynamic Model Visualizer
@@ -22,35 +39,75 @@ export default class ThermodynamicVisualizer {
         // Energy-based model parameters
         this.temperature = options.temperature || 1.0;
         this.energyScale = options.energyScale || 1.0;
-        this.useThrml = options.useThrml || false; // Use Python thrml API if available
         this.thrmlApiUrl = options.thrmlApiUrl || 'http://localhost:5000';
         
-        // Gibbs sampling engine
-        this.gibbsSampler = new GibbsSampler({
-            nodeCount: 16, // 4x4 grid for visualization
-            temperature: this.temperature
+        // Sampling backend: 'local', 'worker', 'thrml-http' or 'thrml-stream' (useThrml selects the stream)
+        this.backend = options.backend || (options.useThrml ? 'thrml-stream' : options.useWorker ? 'worker' : 'local');
+        
+        // Graph topology: preset name ('grid', 'king', 'chimera', ...) or raw {nodes, edges}
+        this.topology = options.topology || 'grid';
+        this.topologyOptions = options.topologyOptions || { nodeCount: 16 }; // 4x4 grid for visualization
+        this.factorGraph = null; // Loaded FactorGraph, re-applied whenever the sampler is rebuilt
+        
+        this.useWorker = this.backend === 'worker'; // Run Gibbs sweeps in a Web Worker; follows the active backend
+        this.algorithm = options.algorithm || 'gibbs'; // Update rule, see GibbsSampler.algorithms()
+        this.clusterColor = new THREE.Color(0xffffff); // Nodes flipped by the last cluster move blend toward this
+        
+        // Asynchronous pbits: null for frame-driven sweeps, or {rate} for Poisson-clock dynamics
+        this.asyncMode = options.asyncMode || null;
+        this.asyncDynamics = null;
+        this.flipFlashDuration = 0.15; // Seconds a node stays lit after an asynchronous flip
+        
+        // Replica exchange: false, or {replicaCount, maxTemperature, temperatures}
+        this.replicaExchange = options.replicaExchange || null;
+        this.replicaView = options.replicaView || 'cold'; // 'cold' replica only, or 'all' side-by-side
+        
+        // Categorical nodes: q > 2 switches to a q-state Potts model, null keeps ±1 spins
+        this.categories = options.categories > 2 ? options.categories : null;
+        this.categoryColors = this._createCategoryColors();
+        this.marginalColor = new THREE.Color(0x00ff00); // Free nodes blend toward this as P(+1) → 1
+        
+        // Seedable randomness: one independent stream per consumer so runs are reproducible
+        this.rng = options.rng || new Random(options.seed);
+        [this.samplerRng, this.pbitRng, this.fieldRng, this.thrmlRng] = this.rng.split(4);
+        
+        // Running observables (magnetization, correlations, heat capacity, τ_int)
+        this.statistics = new StatisticsObserver({ burnIn: 10 });
+        
+        // Annealing: optional temperature schedule plus the best configuration seen
+        this.schedule = null;
+        this.groundState = new GroundStateObserver();
+        
+        // Contrastive divergence training of the sampler's weights
+        this.trainer = null;
+        this.trainingProgress = null;
+        
+        // Hopfield associative memory mode (Hebbian weights, recall from noisy cues)
+        this.hopfield = null;
+        this.hopfieldRestore = null; // Topology and temperature to return to
+        
+        // Exact enumeration (small models only): Z, exact marginals and sampler error
+        this.exactValidation = false; // Requested; survives rebuilds to models too large to enumerate
+        this.exact = null;
+        this.exactComparison = null; // Cached compare() result, refreshed every few sweeps
+        
+        // Sampling backends with failover; the Gibbs sampler always holds the displayed state
+        const [httpRng, streamRng] = this.thrmlRng.split(2);
+        this.backends = new SamplerBackendManager({
+            preferred: this.backend,
+            onChange: backend => this._onBackendChange(backend)
         });
+        this.backends.register(new LocalBackend());
+        this.backends.register(new LocalBackend({ worker: true }));
+        this.backends.register(new ThrmlBackend({ transport: 'http', apiUrl: this.thrmlApiUrl, rng: httpRng, stepsPerRequest: 4 }));
+        this.backends.register(new ThrmlBackend({ transport: 'sse', apiUrl: this.thrmlApiUrl, rng: streamRng, streamRate: 60 }));
+        this.backends.select(this.backend);
+        
+        // Gibbs sampling engine
+        this.gibbsSampler = this._createSampler();
         this.gibbsStepCounter = 0;
         this.gibbsUpdateInterval = 2; // Update every N frames
-        
-        // THRML sampler (optional, for Python thrml integration)
-        this.thrmlSampler = null;
-        if (this.useThrml) {
-            this.thrmlSampler = new ThrmlSampler({
-                apiUrl: this.thrmlApiUrl,
-                nNodes: 16,
-                beta: 1.0 / this.temperature
-            });
-            // Check if API is available
-            this.thrmlSampler.checkHealth().then(available => {
-                if (available) {
-                    console.log('[ThermodynamicVisualizer] THRML API connected');
-                } else {
-                    console.warn('[ThermodynamicVisualizer] THRML API not available, using JavaScript GibbsSampler');
-                    this.useThrml = false;
-                }
-            });
-        }
+        this._attachAsyncDynamics();
         
         // Visual elements
         this.pbitSpheres = [];
@@ -68,6 +125,66 @@ export default class ThermodynamicVisualizer {
         console.log('[ThermodynamicVisualizer] Initialized with', this.pbitCount, 'pbits and Gibbs sampling');
     }
     
+    /**
+     * Creates the Gibbs sampler for the current topology (replica exchange or
+     * worker-backed if enabled) and attaches the observers.
+     * @returns {GibbsSampler}
+     * @private
+     */
+    _createSampler() {
+        let SamplerClass = this.useWorker ? WorkerGibbsSampler : GibbsSampler;
+        if (this.categories) {
+            if (this.replicaExchange || this.useWorker) {
+                console.warn('[ThermodynamicVisualizer] Potts nodes run on the main thread without replica exchange');
+            }
+            SamplerClass = PottsSampler;
+        } else if (this.replicaExchange) {
+            SamplerClass = ParallelTemperingSampler;
+        }
+        const sampler = new SamplerClass({
+            ...this.replicaExchange,
+            q: this.categories,
+            algorithm: this.algorithm,
+            topology: this.topology,
+            topologyOptions: this.topologyOptions,
+            temperature: this.temperature,
+            rng: this.samplerRng.fork()
+        });
+        sampler.addObserver(this.statistics);
+        sampler.addObserver(this.groundState);
+        if (this.schedule) {
+            sampler.setSchedule(this.schedule);
+        }
+        return sampler;
+    }
+    
+    /**
+     * One color per Potts category, evenly spaced in hue.
+     * @returns {Array<THREE.Color>}
+     * @private
+     */
+    _createCategoryColors() {
+        const colors = [];
+        for (let c = 0; c < (this.categories || 0); c++) {
+            colors.push(new THREE.Color().setHSL(c / this.categories, 1.0, 0.55));
+        }
+        return colors;
+    }
+    
+    /**
+     * Switches between ±1 spins and q-state Potts (categorical) nodes.
+     * @param {number} q - Number of categories; 2 or less restores the Ising model
+     */
+    setCategories(q) {
+        this.categories = q > 2 ? Math.floor(q) : null;
+        if (this.categories && this.factorGraph) {
+            console.warn('[ThermodynamicVisualizer] Factor graphs need ±1 spins; the loaded one applies again after switching back to Ising nodes');
+        }
+        this.categoryColors = this._createCategoryColors();
+        this.statistics.reset();
+        this._rebuildSampler();
+    }
+    
     /**
      * Creates visual representations of probabilistic bits (pbits).
      * Each pbit can be in state 0 or 1 with a programmable probability.
@@ -85,7 +202,7 @@ export default class ThermodynamicVisualizer {
         
         // Select random vertices for pbits
         for (let i = 0; i < this.pbitCount; i++) {
-            const vertexIndex = Math.floor(Math.random() * vertexCount);
+            const vertexIndex = this.pbitRng.nextInt(vertexCount);
             pbitIndices.push(vertexIndex);
             
             // Get vertex position
@@ -126,8 +243,8 @@ export default class ThermodynamicVisualizer {
             this.pbitSpheres.push(sphere);
             
             // Initialize pbit state and probability
-            this.pbitProbabilities.push(Math.random()); // Random initial probability
-            this.pbitStates.push(Math.random() > 0.5 ? 1 : 0); // Random initial state
+            this.pbitProbabilities.push(this.pbitRng.next()); // Random initial probability
+            this.pbitStates.push(this.pbitRng.next() > 0.5 ? 1 : 0); // Random initial state
         }
         
         this.pbits = pbitIndices;
@@ -148,18 +265,18 @@ export default class ThermodynamicVisualizer {
             const i3 = i * 3;
             
             // Random position around icosahedron
-            const theta = Math.random() * Math.PI * 2;
-            const phi = Math.acos(Math.random() * 2 - 1);
-            const radius = 3 + Math.random() * 2;
+            const theta = this.fieldRng.next() * Math.PI * 2;
+            const phi = Math.acos(this.fieldRng.next() * 2 - 1);
+            const radius = 3 + this.fieldRng.next() * 2;
             
             positions[i3] = radius * Math.sin(phi) * Math.cos(theta);
             positions[i3 + 1] = radius * Math.sin(phi) * Math.sin(theta);
             positions[i3 + 2] = radius * Math.cos(phi);
             
             // Color based on energy (blue = low energy, red = high energy)
-            colors[i3] = Math.random() * 0.5; // R
-            colors[i3 + 1] = Math.random() * 0.3; // G
-            colors[i3 + 2] = 0.8 + Math.random() * 0.2; // B
+            colors[i3] = this.fieldRng.next() * 0.5; // R
+            colors[i3 + 1] = this.fieldRng.next() * 0.3; // G
+            colors[i3 + 2] = 0.8 + this.fieldRng.next() * 0.2; // B
         }
         
         geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
@@ -179,15 +296,18 @@ export default class ThermodynamicVisualizer {
     
     /**
      * Creates graph visualization showing nodes and edges.
+     * Node positions come from the sampler's topology layout, scaled to fit above the icosahedron.
      * @private
      */
     _createGraphVisualization() {
-        const states = this.gibbsSampler.getStates();
+        const panels = this._getDisplayedSamplers();
+        const nodeCount = this.gibbsSampler.nodeCount;
         const graph = this.gibbsSampler.getGraph();
-        const gridSize = Math.sqrt(this.gibbsSampler.nodeCount);
+        const positions = this._computeGraphLayout(panels.length);
         
-        // Create node spheres
-        const nodeGeometry = new THREE.SphereGeometry(0.15, 8, 8);
+        // Create node spheres (smaller for dense graphs or several panels)
+        const nodeRadius = nodeCount * panels.length > 64 ? 0.08 : 0.15;
+        const nodeGeometry = new THREE.SphereGeometry(nodeRadius, 8, 8);
         const nodeMaterial = new THREE.MeshBasicMaterial({
             color: 0x00ff00,
             transparent: true,
@@ -195,46 +315,51 @@ export default class ThermodynamicVisualizer {
         });
         
         this.graphNodes = [];
-        const spacing = 1.5;
-        const offset = (gridSize - 1) * spacing / 2;
         
-        for (let i = 0; i < states.length; i++) {
-            const row = Math.floor(i / gridSize);
-            const col = i % gridSize;
-            
-            const node = nodeGeometry.clone();
-            const mesh = new THREE.Mesh(node, nodeMaterial.clone());
-            mesh.position.set(
-                (col - offset) * spacing,
-                5, // Position above icosahedron
-                (row - offset) * spacing
-            );
-            
-            mesh.userData.nodeIndex = i;
-            mesh.userData.state = states[i];
-            
-            this.scene.add(mesh);
-            this.graphNodes.push(mesh);
+        // Ring drawn around clamped nodes (shared by all nodes, lies flat in the graph plane)
+        this.clampRing = {
+            geometry: new THREE.TorusGeometry(nodeRadius * 1.8, nodeRadius * 0.25, 6, 24),
+            material: new THREE.MeshBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.9 })
+        };
+        
+        // One copy of the graph per panel; node p·N + i is node i of panel p
+        for (let p = 0; p < panels.length; p++) {
+            for (let i = 0; i < nodeCount; i++) {
+                const node = nodeGeometry.clone();
+                const mesh = new THREE.Mesh(node, nodeMaterial.clone());
+                mesh.position.copy(positions[p * nodeCount + i]);
+                
+                mesh.userData.nodeIndex = i;
+                mesh.userData.replica = p;
+                mesh.userData.state = panels[p].states[i];
+                
+                const ring = new THREE.Mesh(this.clampRing.geometry, this.clampRing.material);
+                ring.rotation.x = Math.PI / 2;
+                ring.visible = false;
+                mesh.add(ring);
+                mesh.userData.clampRing = ring;
+                
+                this.scene.add(mesh);
+                this.graphNodes.push(mesh);
+            }
         }
         
         // Create edge lines
         const edgeGeometry = new THREE.BufferGeometry();
-        const edgePositions = new Float32Array(graph.length * 6); // 2 points per edge
+        const edgePositions = new Float32Array(panels.length * graph.length * 6); // 2 points per edge
         
         let idx = 0;
-        for (const [i, j] of graph) {
-            const iRow = Math.floor(i / gridSize);
-            const iCol = i % gridSize;
-            const jRow = Math.floor(j / gridSize);
-            const jCol = j % gridSize;
-            
-            edgePositions[idx++] = (iCol - offset) * spacing;
-            edgePositions[idx++] = 5;
-            edgePositions[idx++] = (iRow - offset) * spacing;
-            
-            edgePositions[idx++] = (jCol - offset) * spacing;
-            edgePositions[idx++] = 5;
-            edgePositions[idx++] = (jRow - offset) * spacing;
+        for (let p = 0; p < panels.length; p++) {
+            const offset = p * nodeCount;
+            for (const [i, j] of graph) {
+                edgePositions[idx++] = positions[offset + i].x;
+                edgePositions[idx++] = positions[offset + i].y;
+                edgePositions[idx++] = positions[offset + i].z;
+                
+                edgePositions[idx++] = positions[offset + j].x;
+                edgePositions[idx++] = positions[offset + j].y;
+                edgePositions[idx++] = positions[offset + j].z;
+            }
         }
         
         edgeGeometry.setAttribute('position', new THREE.BufferAttribute(edgePositions, 3));
@@ -254,6 +379,345 @@ export default class ThermodynamicVisualizer {
         };
     }
     
+    /**
+     * Maps the topology layout onto the plane above the icosahedron.
+     * Keeps the original 1.5 unit spacing for small graphs and shrinks larger ones to fit.
+     * Several panels (replicas) are laid out side-by-side along x, coldest on the left.
+     * @param {number} [panelCount=1] - Copies of the graph to place
+     * @returns {Array<THREE.Vector3>} World position per node, panel by panel
+     * @private
+     */
+    _computeGraphLayout(panelCount = 1) {
+        const topology = this.gibbsSampler.getTopology();
+        const { minX, maxX, minY, maxY } = topology.getBounds();
+        const span = Math.max(maxX - minX, maxY - minY, 1);
+        const maxExtent = 6; // World units available above the icosahedron
+        const rowExtent = 14; // Width available for side-by-side panels
+        const gap = 1.0; // Space between panels
+        const spacing = Math.min(1.5, maxExtent / span, (rowExtent - (panelCount - 1) * gap) / (panelCount * span));
+        const centerX = (minX + maxX) / 2;
+        const centerY = (minY + maxY) / 2;
+        const panelWidth = span * spacing + gap;
+        
+        const positions = [];
+        for (let p = 0; p < panelCount; p++) {
+            const panelX = (p - (panelCount - 1) / 2) * panelWidth;
+            for (const [x, y] of topology.layout) {
+                positions.push(new THREE.Vector3(
+                    panelX + (x - centerX) * spacing,
+                    5, // Position above icosahedron
+                    (y - centerY) * spacing
+                ));
+            }
+        }
+        return positions;
+    }
+    
+    /**
+     * Samplers whose states are drawn: every replica in the side-by-side view,
+     * otherwise just the (cold) sampler.
+     * @returns {Array<GibbsSampler>}
+     * @private
+     */
+    _getDisplayedSamplers() {
+        if (this.replicaView === 'all' && this.gibbsSampler.getReplicas) {
+            return this.gibbsSampler.getReplicas();
+        }
+        return [this.gibbsSampler];
+    }
+    
+    /**
+     * Removes the graph nodes and edges from the scene.
+     * @private
+     */
+    _disposeGraphVisualization() {
+        this.graphNodes.forEach(node => {
+            this.scene.remove(node);
+            node.geometry.dispose();
+            node.material.dispose();
+        });
+        this.graphNodes = [];
+        
+        if (this.clampRing) {
+            this.clampRing.geometry.dispose();
+            this.clampRing.material.dispose();
+            this.clampRing = null;
+        }
+        
+        if (this.graphEdges && this.graphEdges.isObject3D) {
+            this.scene.remove(this.graphEdges);
+            this.graphEdges.geometry.dispose();
+            this.graphEdges.material.dispose();
+        }
+        this.graphEdges = [];
+        this.graphVisualization = null;
+    }
+    
+    /**
+     * Replaces the sampled graph with a new topology and rebuilds its visualization.
+     * @param {string|object} topology - Preset name ('grid', 'king', 'triangular', 'chain', 'ring',
+     *   'complete', 'chimera', 'pegasus') or a raw `{nodes, edges, layout?}` graph
+     * @param {object} [topologyOptions] - Preset parameters (nodeCount, rows, cols, m, n, t)
+     */
+    setTopology(topology, topologyOptions = {}) {
+        this.topology = topology;
+        this.topologyOptions = topologyOptions;
+        this.factorGraph = null; // A new graph replaces the loaded model
+        this._rebuildSampler();
+    }
+    
+    /**
+     * Samples a factor-graph model (biases, couplings, 3-body terms, tables). The
+     * topology is taken from the graph's couplings, and the model survives sampler
+     * rebuilds (replica exchange, worker) until another topology is chosen.
+     * @param {FactorGraph|object} graph - A FactorGraph or its `toJSON()` form
+     * @returns {boolean} False if Potts nodes are active (factor graphs are ±1 spins)
+     */
+    loadFactorGraph(graph) {
+        if (this.categories) {
+            console.warn('[ThermodynamicVisualizer] Factor graphs need ±1 spins; switch back to Ising nodes first');
+            return false;
+        }
+        const factorGraph = graph instanceof FactorGraph ? graph : FactorGraph.fromJSON(graph);
+        this.topology = factorGraph.toTopology();
+        this.topologyOptions = {};
+        this.factorGraph = factorGraph;
+        this.statistics.reset();
+        this._rebuildSampler();
+        return true;
+    }
+    
+    /**
+     * Describes the current spin model as a factor graph (e.g. to save it or send it
+     * to another backend).
+     * @returns {FactorGraph|null} Null for Potts nodes
+     */
+    getFactorGraph() {
+        return this.categories ? null : FactorGraph.fromSampler(this.gibbsSampler);
+    }
+    
+    /**
+     * Replaces the sampler (after a topology or mode change) and redraws the graph.
+     * @private
+     */
+    _rebuildSampler() {
+        this.stopTraining(); // The trainer holds the old sampler
+        this.hopfield = null; // So does the memory; enableHopfield() re-creates it
+        this.hopfieldRestore = null; // The new topology or mode is the one to keep
+        if (this.gibbsSampler.dispose) {
+            this.gibbsSampler.dispose();
+        }
+        this.gibbsSampler = this._createSampler();
+        if (this.factorGraph && !this.categories) {
+            this.factorGraph.applyTo(this.gibbsSampler);
+        }
+        this.groundState.reset();
+        if (this.exactValidation) {
+            this._attachExactEnumerator(); // The new sampler may be too large, or small again
+        }
+        this._attachAsyncDynamics();
+        
+        this._disposeGraphVisualization();
+        this._createGraphVisualization();
+        this.updateGraphVisualization();
+    }
+    
+    /**
+     * Chooses the update rule: block Gibbs, Metropolis–Hastings, or a Swendsen–Wang /
+     * Wolff cluster move. Cluster moves highlight the nodes they flip. Potts nodes
+     * always use block Gibbs.
+     * @param {string} algorithm - 'gibbs', 'metropolis', 'swendsen-wang' or 'wolff'
+     */
+    setAlgorithm(algorithm) {
+        this.gibbsSampler.setAlgorithm(algorithm);
+        this.algorithm = algorithm;
+        this.statistics.reset(); // A sweep means something else now, so τ_int restarts
+    }
+    
+    /**
+     * Switches between frame-driven block sweeps and asynchronous pbits, where every
+     * node flips on its own Poisson clock in wall-clock time (see ContinuousTimeDynamics).
+     * Replica exchange, the worker and the thrml backend keep synchronous sweeps.
+     * @param {boolean} enabled - Use asynchronous dynamics
+     * @param {object} [options]
+     * @param {number} [options.rate=20] - Attempt rate of each pbit, in 1/s
+     * @returns {boolean} Whether asynchronous dynamics are active
+     */
+    setAsyncMode(enabled, options = {}) {
+        this.asyncMode = enabled ? { rate: 20, ...this.asyncMode, ...options } : null;
+        this.statistics.reset(); // Samples are now taken per sweep-equivalent of simulated time
+        return this._attachAsyncDynamics();
+    }
+    
+    /**
+     * Changes the attempt rate of the asynchronous pbits.
+     * @param {number} rate - Attempts per second per pbit
+     */
+    setAsyncRate(rate) {
+        if (this.asyncMode) {
+            this.asyncMode.rate = rate;
+        }
+        if (this.asyncDynamics) {
+            this.asyncDynamics.setRate(rate);
+        }
+    }
+    
+    /**
+     * Creates the asynchronous dynamics for the current sampler when the mode is on.
+     * @returns {boolean} Whether they are active
+     * @private
+     */
+    _attachAsyncDynamics() {
+        this.asyncDynamics = null;
+        if (!this.asyncMode) return false;
+        const remote = this.backends.active && this.backends.active.getCapabilities().remote;
+        if (!ContinuousTimeDynamics.supports(this.gibbsSampler) || remote) {
+            console.warn('[ThermodynamicVisualizer] Asynchronous pbits need a local main-thread sampler without replica exchange');
+            return false;
+        }
+        this.asyncDynamics = new ContinuousTimeDynamics(this.gibbsSampler, this.asyncMode);
+        return true;
+    }
+    
+    /**
+     * Chooses the preferred sampling backend: 'local', 'worker', 'thrml-http' or
+     * 'thrml-stream'. The switch happens on the next frame and keeps the model, state
+     * and scene. While the backend is unavailable or cannot sample the current model
+     * its fallback runs, and it takes over again once it recovers.
+     * @param {string} name - Backend name
+     * @throws {Error} If no backend has that name
+     */
+    setBackend(name) {
+        this.backends.select(name);
+        this.backend = name;
+    }
+    
+    /**
+     * Preferred and active backend plus the capabilities and health of every backend.
+     * @returns {object} See SamplerBackendManager.getStatus()
+     */
+    getBackendStatus() {
+        return this.backends.getStatus();
+    }
+    
+    /**
+     * Adapts the sampler to a new active backend: the worker backend needs a
+     * WorkerGibbsSampler and the others a main-thread one, and remote backends
+     * pause asynchronous pbits.
+     * @param {SamplerBackend} backend - Newly active backend
+     * @private
+     */
+    _onBackendChange(backend) {
+        const worker = backend.getCapabilities().worker;
+        this.gibbsStepCounter = 0;
+        this.useWorker = worker;
+        if (!this.categories && worker !== this.gibbsSampler instanceof WorkerGibbsSampler) { // Potts nodes stay on the main thread
+            this._migrateSampler();
+        } else {
+            this._attachAsyncDynamics();
+        }
+    }
+    
+    /**
+     * Re-creates the sampler (moving it into or out of the worker, or into or out of
+     * replica exchange) with the current model, state and clamps. Unlike `_rebuildSampler()` the topology is
+     * unchanged, so a running training loop and the Hopfield memory move to the new
+     * sampler instead of being dropped.
+     * @private
+     */
+    _migrateSampler() {
+        const previous = this.gibbsSampler;
+        const model = FactorGraph.fromSampler(previous);
+        const states = Int8Array.from(previous.states);
+        const clamped = previous.getClamped();
+        
+        if (previous.dispose) {
+            previous.dispose();
+        }
+        this.gibbsSampler = this._createSampler();
+        model.applyTo(this.gibbsSampler);
+        this.gibbsSampler.setStates(states);
+        this.gibbsSampler.setClamped(clamped);
+        
+        if (this.trainer) {
+            this.trainer.sampler = this.gibbsSampler;
+        }
+        if (this.hopfield) {
+            previous.removeObserver(this.hopfield);
+            this.hopfield.sampler = this.gibbsSampler;
+            this.gibbsSampler.addObserver(this.hopfield);
+        }
+        if (this.exactValidation) {
+            this._attachExactEnumerator();
+        }
+        this._attachAsyncDynamics();
+        
+        this._disposeGraphVisualization();
+        this._createGraphVisualization();
+        this.updateGraphVisualization();
+    }
+    
+    /**
+     * Runs one step on a backend. A failed step counts against the backend (see
+     * SamplerBackendManager.reportFailure) and is replaced by a local sweep.
+     * @param {SamplerBackend} backend - Active backend
+     * @private
+     */
+    _stepBackend(backend) {
+        let result;
+        try {
+            result = backend.step(this.gibbsSampler);
+        } catch (error) {
+            result = Promise.reject(error);
+        }
+        if (result === true) {
+            this.updateGraphVisualization();
+            return;
+        }
+        
+        Promise.resolve(result).then(applied => {
+            this.backends.reportSuccess(backend);
+            if (applied) {
+                this.updateGraphVisualization();
+            }
+        }).catch(error => {
+            console.warn(`[ThermodynamicVisualizer] ${backend.label} step failed, sampling locally:`, error);
+            this.backends.reportFailure(backend, error);
+            this.gibbsSampler.gibbsStep();
+            this.updateGraphVisualization();
+        });
+    }
+    
+    /**
+     * Turns replica exchange (parallel tempering) on or off. The cold replica runs
+     * at the current temperature; hotter replicas follow a geometric ladder. The model,
+     * state, clamps, training and Hopfield memory carry over to the new sampler.
+     * @param {boolean} enabled - Use a ParallelTemperingSampler
+     * @param {object} [options]
+     * @param {number} [options.replicaCount=4] - Number of replicas
+     * @param {number} [options.maxTemperature=4.0] - Hottest replica's temperature
+     * @param {Array<number>} [options.temperatures] - Explicit ladder instead of the geometric one
+     */
+    setReplicaExchange(enabled, options = {}) {
+        this.replicaExchange = enabled ? { replicaCount: 4, maxTemperature: 4.0, ...options } : null;
+        if (this.categories) {
+            console.warn('[ThermodynamicVisualizer] Potts nodes run on the main thread without replica exchange');
+            return;
+        }
+        this._migrateSampler(); // The replicas share the current model
+    }
+    
+    /**
+     * Chooses what the graph shows under replica exchange.
+     * @param {string} view - 'cold' (the T₀ replica) or 'all' (every replica side-by-side)
+     */
+    setReplicaView(view) {
+        this.replicaView = view;
+        this._disposeGraphVisualization();
+        this._createGraphVisualization();
+        this.updateGraphVisualization();
+    }
+    
     /**
      * Updates pbit states based on their probabilities (Bernoulli sampling).
      * @param {number} deltaTime - Time since last frame
@@ -262,7 +726,7 @@ export default class ThermodynamicVisualizer {
         for (let i = 0; i < this.pbitCount; i++) {
             // Sample from Bernoulli distribution based on probability
             const probability = this.pbitProbabilities[i];
-            const randomValue = Math.random();
+            const randomValue = this.pbitRng.next();
             
             // Update state based on probability
             if (randomValue < probability) {
@@ -398,49 +862,104 @@ export default class ThermodynamicVisualizer {
     updateGraphVisualization() {
         if (!this.gibbsSampler || !this.graphNodes.length) return;
         
-        const states = this.gibbsSampler.getStates();
-        const weights = this.gibbsSampler.getWeights();
+        const panels = this._getDisplayedSamplers();
+        const edgeWeights = this.gibbsSampler.getEdgeWeights();
+        
+        // With clamps set, free nodes of the (cold) sampler show their conditional marginals
+        const marginals = this.hasClamps() && !this.categories ? this.getConditionalMarginals() : null;
         
         // Update node colors and sizes based on state
-        for (let i = 0; i < this.graphNodes.length; i++) {
-            const node = this.graphNodes[i];
-            const state = states[i];
+        for (let n = 0; n < this.graphNodes.length; n++) {
+            const node = this.graphNodes[n];
+            const sampler = panels[node.userData.replica] || this.gibbsSampler;
+            const i = node.userData.nodeIndex;
+            const state = sampler.states[i];
+            const clamped = sampler.isClamped(i);
+            node.userData.clampRing.visible = clamped;
             
-            // Color: green for +1, red for -1
-            const color = state === 1 ? 0x00ff00 : 0xff0088;
-            node.material.color.setHex(color);
+            if (sampler.q) {
+                this._updateCategoricalNode(node, sampler, i);
+                continue;
+            }
             
-            // Size based on state
-            const baseScale = state === 1 ? 1.2 : 0.8;
-            node.scale.setScalar(baseScale);
+            if (marginals && !clamped && sampler === this.gibbsSampler) {
+                // Blend red → green with P(xᵢ = +1 | clamped nodes)
+                node.material.color.setHex(0xff0088).lerp(this.marginalColor, marginals[i]);
+                node.scale.setScalar(0.8 + 0.4 * marginals[i]);
+            } else {
+                // Color: green for +1, red for -1
+                const color = state === 1 ? 0x00ff00 : 0xff0088;
+                node.material.color.setHex(color);
+                
+                // Size based on state
+                const baseScale = state === 1 ? 1.2 : 0.8;
+                node.scale.setScalar(baseScale);
+            }
             
-            // Pulse animation
-            const pulse = Math.sin(Date.now() * 0.005 + i) * 0.1 + 1.0;
+            // Highlight the cluster flipped by the last Swendsen–Wang / Wolff move
+            const inCluster = sampler.clusterMask[i] === 1;
+            if (inCluster) {
+                node.material.color.lerp(this.clusterColor, 0.5);
+                node.scale.multiplyScalar(1.25);
+            }
+            
+            // Asynchronous flips light up and fade over a fraction of a second
+            if (this.asyncDynamics && sampler === this.gibbsSampler) {
+                const glow = 1 - this.asyncDynamics.timeSinceFlip(i) / this.flipFlashDuration;
+                if (glow > 0) {
+                    node.material.color.lerp(this.clusterColor, 0.6 * glow);
+                }
+            }
+            
+            // Pulse animation (clamped nodes hold still)
+            const pulse = clamped ? 1.0 : Math.sin(Date.now() * 0.005 + i) * 0.1 + 1.0;
             node.scale.multiplyScalar(pulse);
             
             // Store math info in userData for potential tooltip display
-            const gamma = this.gibbsSampler.computeEffectiveBias(i);
-            const prob = this.gibbsSampler.sigmoid(gamma);
+            const gamma = sampler.computeEffectiveBias(i);
+            const prob = sampler.sigmoid(gamma);
             node.userData.mathInfo = {
                 state: state,
+                clamped: clamped,
+                inCluster: inCluster,
                 gamma: gamma.toFixed(2),
                 probability: prob.toFixed(3),
-                formula: `γ${i} = 2(b${i} + Σw${i}ⱼxⱼ)`,
+                marginal: marginals ? marginals[i].toFixed(3) : null,
+                formula: `γ${i} = 2β(b${i} + Σw${i}ⱼxⱼ)`,
                 probFormula: `P(x${i}=+1) = σ(γ${i}) = 1/(1+e^(-γ${i}))`
             };
         }
         
         // Update edge opacity based on weight strength
         if (this.graphEdges) {
-            const weightValues = Object.values(weights);
-            if (weightValues.length > 0) {
-                const avgWeight = Math.abs(weightValues.reduce((a, b) => a + b, 0) / weightValues.length);
+            if (edgeWeights.length > 0) {
+                const avgWeight = Math.abs(edgeWeights.reduce((a, b) => a + b, 0) / edgeWeights.length);
                 const opacity = Math.min(0.8, avgWeight * 0.5 + 0.2);
                 this.graphEdges.material.opacity = opacity;
             }
         }
     }
     
+    /**
+     * Colors a Potts node by its category and sizes it by the conditional
+     * probability of that category.
+     * @private
+     */
+    _updateCategoricalNode(node, sampler, i) {
+        const category = sampler.states[i];
+        const probabilities = sampler.computeConditional(i);
+        node.material.color.copy(this.categoryColors[category]);
+        
+        const pulse = sampler.isClamped(i) ? 1.0 : Math.sin(Date.now() * 0.005 + i) * 0.1 + 1.0;
+        node.scale.setScalar((0.8 + 0.5 * probabilities[category]) * pulse);
+        
+        node.userData.mathInfo = {
+            state: category,
+            probabilities: Array.from(probabilities, p => p.toFixed(3)),
+            formula: `P(x${i}=c) ∝ exp(β(h${i}(c) + Σⱼ J${i}ⱼ δ(c, xⱼ)))`
+        };
+    }
+    
     /**
      * Updates the thermodynamic visualizer.
      * @param {number} deltaTime - Time since last frame
@@ -456,31 +975,34 @@ export default class ThermodynamicVisualizer {
             this.setPbitsFromAudio(audioData.frequency);
         }
         
-        // Perform Gibbs sampling steps
+        // Audio-driven schedules heat the system with the input level
+        if (this.schedule && audioData.frequency !== undefined) {
+            this.schedule.setInput(audioData.frequency);
+        }
+        
+        // Schedules and training change the model every sweep; exact validation waits them out
+        if (this.exact) {
+            this.exact.setSuspended(this.isAnnealing() || !!(this.trainer && this.trainer.isTraining));
+        }
+        
+        // Pick the backend for this frame (fails over and recovers by itself)
+        const backend = this.backends.resolve(this.gibbsSampler);
+        this.backends.update(deltaTime);
+        
+        // Asynchronous pbits follow wall-clock time instead of frame counts
+        if (this.asyncDynamics) {
+            this.asyncDynamics.advance(deltaTime);
+            this.temperature = this.gibbsSampler.temperature; // Follows the schedule while annealing
+            this.updateGraphVisualization();
+            return;
+        }
+        
+        // Perform sampling steps; pushed states are picked up every frame
         this.gibbsStepCounter++;
-        if (this.gibbsStepCounter >= this.gibbsUpdateInterval) {
-            // Use THRML API if available, otherwise use JavaScript GibbsSampler
-            if (this.useThrml && this.thrmlSampler) {
-                this.thrmlSampler.gibbsStep({
-                    beta: 1.0 / this.temperature,
-                    randomKey: Math.floor(Date.now() / 1000)
-                }).then(sample => {
-                    if (sample) {
-                        // Update states from thrml sample
-                        const states = sample.map(s => s === 1 ? 1 : -1);
-                        this.gibbsSampler.states = states;
-                        this.updateGraphVisualization();
-                    }
-                }).catch(error => {
-                    console.warn('[ThermodynamicVisualizer] THRML sampling failed, falling back to JS:', error);
-                    this.gibbsSampler.gibbsStep();
-                    this.updateGraphVisualization();
-                });
-            } else {
-                this.gibbsSampler.gibbsStep();
-                this.updateGraphVisualization();
-            }
+        if (backend.getCapabilities().push || this.gibbsStepCounter >= this.gibbsUpdateInterval) {
+            this._stepBackend(backend);
             this.gibbsStepCounter = 0;
+            this.temperature = this.gibbsSampler.temperature; // Follows the schedule while annealing
         }
         
         // Adjust Gibbs sampling speed based on audio
@@ -494,10 +1016,409 @@ export default class ThermodynamicVisualizer {
      * @param {number} temperature - Temperature value
      */
     setTemperature(temperature) {
+        this.stopAnnealing(); // A fixed temperature overrides any schedule
         this.temperature = Math.max(0.1, temperature);
         if (this.gibbsSampler) {
             this.gibbsSampler.setTemperature(temperature);
+            if (this.gibbsSampler.resetSwapStats) {
+                this.gibbsSampler.resetSwapStats(); // Acceptance depends on the ladder
+            }
+        }
+        this.statistics.reset(); // Old samples came from a different distribution
+    }
+    
+    /**
+     * Anneals the sampler with a temperature schedule, advanced once per sweep.
+     * @param {TemperatureSchedule|object} schedule - Schedule or spec, e.g. `{type: 'cosine', start: 4, end: 0.2, steps: 300}`
+     */
+    startAnnealing(schedule) {
+        this.schedule = schedule instanceof TemperatureSchedule ? schedule : TemperatureSchedule.fromSpec(schedule);
+        this.schedule.reset();
+        this.gibbsSampler.setSchedule(this.schedule);
+        this.temperature = this.gibbsSampler.temperature;
+        this.statistics.reset(); // Annealing samples are not from a single distribution
+    }
+    
+    /**
+     * Stops annealing and holds the current temperature.
+     */
+    stopAnnealing() {
+        this.schedule = null;
+        if (this.gibbsSampler) {
+            this.gibbsSampler.setSchedule(null);
+        }
+    }
+    
+    /**
+     * Whether a schedule is still changing the temperature.
+     * @returns {boolean}
+     */
+    isAnnealing() {
+        return !!this.schedule && !this.schedule.isComplete();
+    }
+    
+    /**
+     * Searches for the ground state: cools geometrically from hot to cold and
+     * records the lowest-energy configuration visited (see `getGroundState()`).
+     * @param {object} [options]
+     * @param {number} [options.start=5.0] - Initial temperature
+     * @param {number} [options.end=0.1] - Final temperature
+     * @param {number} [options.steps=500] - Sweeps in the schedule
+     */
+    findGroundState(options = {}) {
+        this.groundState.reset();
+        this.startAnnealing(TemperatureSchedule.exponential(
+            options.start || 5.0,
+            options.end || 0.1,
+            options.steps || 500
+        ));
+    }
+    
+    /**
+     * Gets the lowest-energy configuration seen since the last search.
+     * @returns {{energy: number, states: Array<number>, step: number, temperature: number}|null}
+     */
+    getGroundState() {
+        return this.groundState.getGroundState();
+    }
+    
+    /**
+     * Learns biases and weights from ±1 patterns with (persistent) contrastive divergence.
+     * Sampling continues while training, so the graph shows the model as it learns.
+     * @param {Array<ArrayLike<number>>} patterns - One value per node each
+     * @param {object} [options] - ContrastiveDivergenceTrainer options plus `epochs` (default 200)
+     * @returns {Promise<Array<object>>|null} Progress history when training ends, or null for Potts nodes
+     */
+    trainPatterns(patterns, options = {}) {
+        if (this.categories) {
+            console.warn('[ThermodynamicVisualizer] Contrastive divergence training needs ±1 spins');
+            return null;
+        }
+        this.stopTraining();
+        this.clearClamps(); // The negative phase must sample the full model
+        this.trainer = new ContrastiveDivergenceTrainer(this.gibbsSampler, {
+            persistent: true,
+            rng: this.samplerRng.fork(),
+            ...options,
+            onProgress: progress => {
+                this.trainingProgress = progress;
+                if (options.onProgress) options.onProgress(progress);
+            }
+        });
+        this.trainer.setData(patterns);
+        this.trainingProgress = null;
+        this.statistics.reset();
+        this.groundState.reset();
+        return this.trainer.train({ epochs: options.epochs || 200 });
+    }
+    
+    /**
+     * Trains on the bars-and-stripes dataset sized to a square grid topology.
+     * @param {object} [options] - Passed to `trainPatterns()`
+     * @returns {Promise<Array<object>>|null} Training promise, or null if the graph is not a square grid
+     */
+    trainBarsAndStripes(options = {}) {
+        const side = Math.round(Math.sqrt(this.gibbsSampler.nodeCount));
+        if (side * side !== this.gibbsSampler.nodeCount) {
+            console.warn('[ThermodynamicVisualizer] Bars and stripes needs a square number of nodes');
+            return null;
+        }
+        return this.trainPatterns(ContrastiveDivergenceTrainer.barsAndStripes(side, side), options);
+    }
+    
+    /**
+     * Stops a running training loop, keeping the parameters learned so far.
+     */
+    stopTraining() {
+        if (this.trainer) {
+            this.trainer.stop();
+        }
+    }
+    
+    /**
+     * Rows and columns of the current layout if it is a full grid, else null.
+     * @returns {{rows: number, cols: number}|null}
+     */
+    getGridShape() {
+        const topology = this.gibbsSampler.getTopology();
+        const { minX, maxX, minY, maxY } = topology.getBounds();
+        const cols = Math.round(maxX - minX) + 1;
+        const rows = Math.round(maxY - minY) + 1;
+        if (rows * cols === topology.nodeCount) {
+            return { rows, cols };
         }
+        const side = Math.round(Math.sqrt(topology.nodeCount));
+        return side * side === topology.nodeCount ? { rows: side, cols: side } : null;
+    }
+    
+    /**
+     * Enters Hopfield memory mode: keeps the grid layout but connects every pair of
+     * nodes (Hebbian recall needs the long-range couplings) and lowers the temperature.
+     * @param {object} [options]
+     * @param {boolean} [options.fullyConnected=true] - Switch to all-to-all couplings
+     * @param {number} [options.temperature=0.3] - Recall temperature
+     * @returns {{rows: number, cols: number}|null} Grid shape for drawing patterns, or null
+     *   (and no mode change) if the layout is not a grid
+     */
+    enableHopfield(options = {}) {
+        const shape = this.categories ? null : this.getGridShape(); // Hebbian weights need ±1 spins
+        if (this.hopfield || !shape) return shape;
+        
+        this.stopTraining();
+        this.stopAnnealing();
+        const restore = {
+            topology: this.topology,
+            topologyOptions: this.topologyOptions,
+            temperature: this.temperature
+        };
+        
+        if (options.fullyConnected !== false) {
+            const current = this.gibbsSampler.getTopology();
+            this.setTopology({
+                name: 'hopfield',
+                nodes: current.nodeCount,
+                edges: GraphTopology.complete(current.nodeCount).edges,
+                layout: current.layout
+            });
+        }
+        this.setTemperature(options.temperature || 0.3);
+        
+        this.hopfieldRestore = restore;
+        this.hopfield = new HopfieldMemory(this.gibbsSampler, { rng: this.samplerRng.fork() });
+        this.hopfield.clear();
+        this.gibbsSampler.addObserver(this.hopfield);
+        return shape;
+    }
+    
+    /**
+     * Leaves Hopfield mode and restores the previous topology and temperature.
+     */
+    disableHopfield() {
+        if (!this.hopfield) return;
+        const restore = this.hopfieldRestore;
+        this.gibbsSampler.removeObserver(this.hopfield);
+        this.hopfield = null;
+        this.hopfieldRestore = null;
+        this.setTopology(restore.topology, restore.topologyOptions);
+        this.setTemperature(restore.temperature);
+    }
+    
+    /**
+     * Adds a pattern to the Hopfield memory (Hebbian weights are recomputed).
+     * @param {ArrayLike<number>} pattern - ±1 values, one per node
+     */
+    storeHopfieldPattern(pattern) {
+        if (!this.hopfield) return;
+        this.hopfield.add(pattern);
+        this.statistics.reset();
+        this.groundState.reset();
+    }
+    
+    /**
+     * Starts recall from a noisy copy of a pattern; the sampler then relaxes toward
+     * the nearest stored attractor.
+     * @param {number|ArrayLike<number>} cue - Stored pattern index or explicit pattern
+     * @param {number} [noise=0.25] - Fraction of bits flipped
+     */
+    recallHopfieldPattern(cue, noise = 0.25) {
+        if (!this.hopfield) return;
+        this.hopfield.recall(cue, noise);
+        this.updateGraphVisualization();
+    }
+    
+    /**
+     * Forgets all stored patterns.
+     */
+    clearHopfieldPatterns() {
+        if (this.hopfield) {
+            this.hopfield.clear();
+        }
+    }
+    
+    /**
+     * Clamps a graph node to a fixed value. The remaining nodes then sample from the
+     * conditional distribution P(x_free | x_clamped), and statistics restart so the
+     * marginals they report are conditional ones.
+     * @param {number} nodeIndex - Node to clamp
+     * @param {number} value - ±1 spin, or a category index for Potts nodes
+     */
+    clampNode(nodeIndex, value) {
+        this.gibbsSampler.clamp(nodeIndex, value);
+        this._onClampsChanged();
+    }
+    
+    /**
+     * Releases a clamped node.
+     * @param {number} nodeIndex - Node to release
+     */
+    unclampNode(nodeIndex) {
+        this.gibbsSampler.unclamp(nodeIndex);
+        this._onClampsChanged();
+    }
+    
+    /**
+     * Click behavior for a graph node: free → clamped at each value in turn → free.
+     * Spins go +1 → -1; Potts nodes go through categories 0..q-1.
+     * @param {number} nodeIndex - Node that was clicked
+     * @returns {number|null} The new clamped value, or null if the node is now free
+     */
+    cycleClamp(nodeIndex) {
+        const sampler = this.gibbsSampler;
+        if (nodeIndex < 0 || nodeIndex >= sampler.nodeCount) return null;
+        
+        const values = this.categories ? Array.from({ length: this.categories }, (_, c) => c) : [1, -1];
+        const next = sampler.isClamped(nodeIndex) ? values.indexOf(sampler.states[nodeIndex]) + 1 : 0;
+        if (next >= values.length) {
+            this.unclampNode(nodeIndex);
+            return null;
+        }
+        this.clampNode(nodeIndex, values[next]);
+        return values[next];
+    }
+    
+    /**
+     * Releases every clamped node.
+     */
+    clearClamps() {
+        if (!this.hasClamps()) return;
+        this.gibbsSampler.clearClamps();
+        this._onClampsChanged();
+    }
+    
+    /**
+     * Checks whether any node is clamped.
+     * @returns {boolean}
+     */
+    hasClamps() {
+        return this.gibbsSampler.clampMask.includes(1);
+    }
+    
+    /**
+     * Gets the clamped nodes and their values.
+     * @returns {Object<number, number>} Value keyed by node index
+     */
+    getClamped() {
+        return this.gibbsSampler.getClamped();
+    }
+    
+    /**
+     * Running marginals of every node given the clamps: P(xᵢ = +1 | x_clamped) for spins,
+     * per-category probabilities for Potts nodes. Clamped nodes report their fixed value.
+     * @returns {Float64Array|Array<Float64Array>}
+     */
+    getConditionalMarginals() {
+        const sampler = this.gibbsSampler;
+        const q = this.categories;
+        let marginals = this.statistics.getMarginals();
+        if (marginals.length !== sampler.nodeCount) {
+            // No sweep observed since the reset yet: nothing known beyond the clamps
+            marginals = q
+                ? Array.from({ length: sampler.nodeCount }, () => new Float64Array(q).fill(1 / q))
+                : new Float64Array(sampler.nodeCount).fill(0.5);
+        }
+        for (let i = 0; i < sampler.nodeCount; i++) {
+            if (!sampler.isClamped(i)) continue;
+            if (q) {
+                marginals[i].fill(0);
+                marginals[i][sampler.clampValues[i]] = 1;
+            } else {
+                marginals[i] = sampler.clampValues[i] > 0 ? 1 : 0;
+            }
+        }
+        return marginals;
+    }
+    
+    /**
+     * Restarts statistics after the clamps change and redraws the graph.
+     * @private
+     */
+    _onClampsChanged() {
+        this.statistics.reset(); // Marginals are now conditioned on different evidence
+        this.groundState.reset();
+        this.updateGraphVisualization();
+    }
+    
+    /**
+     * Turns exact validation on or off. While on, every sweep is counted and compared
+     * against the exact Boltzmann distribution (given the clamps). Models up to 2^16
+     * states qualify. After the temperature, parameters or clamps change, the state
+     * space is re-enumerated once they hold still; counting pauses while annealing or
+     * training.
+     * @param {boolean} enabled - Enumerate the model
+     * @returns {boolean} Whether validation is active (false if the model is too large)
+     */
+    setExactValidation(enabled) {
+        this.exactValidation = enabled;
+        if (!enabled) {
+            if (this.exact) {
+                this.gibbsSampler.removeObserver(this.exact);
+                this.exact = null;
+            }
+            return false;
+        }
+        const active = this._attachExactEnumerator();
+        this.exactValidation = active;
+        return active;
+    }
+    
+    /**
+     * Attaches a fresh enumerator to the current sampler if its state space is small enough.
+     * @returns {boolean} Whether one was attached
+     * @private
+     */
+    _attachExactEnumerator() {
+        if (this.exact) {
+            this.gibbsSampler.removeObserver(this.exact);
+        }
+        this.exact = null;
+        this.exactComparison = null;
+        
+        if (!ExactEnumerator.canEnumerate(this.gibbsSampler, EXACT_LIVE_MAX_STATES)) {
+            console.warn(`[ThermodynamicVisualizer] ${ExactEnumerator.stateCount(this.gibbsSampler)} states are too many to enumerate`);
+            return false;
+        }
+        this.exact = new ExactEnumerator(this.gibbsSampler, { maxStates: EXACT_LIVE_MAX_STATES });
+        this.exact.compute();
+        this.gibbsSampler.addObserver(this.exact);
+        return true;
+    }
+    
+    /**
+     * Exact thermodynamic quantities of the current model, or null if validation is off.
+     * @returns {object|null} See `ExactEnumerator.compute()`
+     */
+    getExactResult() {
+        return this.exact ? this.exact.getResult() : null;
+    }
+    
+    /**
+     * Exact values plus the sampler's distance from them, for the stats display.
+     * The comparison walks every visited state, so it is refreshed every 25 samples.
+     * While a model change is waiting to be re-enumerated the previous values are
+     * shown (`pending`) without a comparison.
+     * @private
+     */
+    _getExactStats() {
+        const exact = this.exact;
+        const pending = exact.pending || exact.suspended;
+        const result = pending ? exact.result : exact.getResult();
+        const samples = exact.sampleCount;
+        if (pending) {
+            this.exactComparison = null;
+        } else if (!this.exactComparison || samples < this.exactComparison.samples || samples - this.exactComparison.samples >= 25) {
+            this.exactComparison = exact.compare() || { samples: 0 };
+        }
+        return {
+            logZ: result.logZ,
+            freeEnergy: result.freeEnergy,
+            entropy: result.entropy,
+            meanEnergy: result.meanEnergy,
+            heatCapacity: result.heatCapacity,
+            groundEnergy: result.groundEnergy,
+            stateCount: result.stateCount,
+            pending,
+            comparison: this.exactComparison && this.exactComparison.samples > 0 ? this.exactComparison : null
+        };
     }
     
     /**
@@ -506,12 +1427,15 @@ export default class ThermodynamicVisualizer {
      */
     setGraphPattern(pattern) {
         if (!this.gibbsSampler) return;
+        this.stopTraining(); // Fixed patterns replace learned weights
         
         if (pattern === 'checkerboard') {
             this.gibbsSampler.setCheckerboardPattern();
         } else if (pattern === 'split') {
             this.gibbsSampler.setSplitPattern();
         }
+        this.statistics.reset();
+        this.groundState.reset(); // Different couplings, different ground state
     }
     
     /**
@@ -538,6 +1462,7 @@ export default class ThermodynamicVisualizer {
             return sum + diff * diff;
         }, 0) / this.pbitCount;
         const variability = Math.sqrt(variance);
+        const preferredBackend = this.backends.get(this.backends.preferred);
         
         return {
             total: this.pbitCount,
@@ -546,7 +1471,89 @@ export default class ThermodynamicVisualizer {
             averageProbability: avgProbability, // Keep for internal use
             variability: variability, // Standard deviation of probabilities
             states: [...this.pbitStates],
-            probabilities: [...this.pbitProbabilities]
+            probabilities: [...this.pbitProbabilities],
+            observables: this.statistics.getSummary(), // Gibbs sampler observables
+            groundState: this.getGroundState(), // Lowest-energy configuration seen
+            replicaExchange: this.gibbsSampler.getSwapStats ? {
+                temperatures: this.gibbsSampler.getTemperatures(),
+                ...this.gibbsSampler.getSwapStats()
+            } : null,
+            annealing: this.isAnnealing() ? this.schedule.name : null,
+            algorithm: {
+                name: this.gibbsSampler.getAlgorithm(),
+                clusterSize: this.gibbsSampler.getLastCluster().length
+            },
+            backend: this.backends.active ? {
+                name: this.backends.active.name,
+                label: this.backends.active.label,
+                preferred: preferredBackend.label,
+                reason: this.backends.reason,
+                error: preferredBackend.lastError ? { type: preferredBackend.lastErrorType, message: preferredBackend.lastError } : null,
+                metrics: this.backends.active.getMetrics()
+            } : null,
+            async: this.asyncDynamics ? {
+                rate: this.asyncDynamics.rate,
+                time: this.asyncDynamics.time,
+                eventRate: this.asyncDynamics.eventRate
+            } : null,
+            hopfield: this.hopfield ? {
+                patterns: this.hopfield.patterns.length,
+                capacity: this.hopfield.getCapacity(),
+                overlaps: this.hopfield.getOverlaps(),
+                recalled: this.hopfield.getRecalledIndex()
+            } : null,
+            clamped: this.hasClamps() ? this._getClampStats() : null,
+            exact: this.exact ? this._getExactStats() : null,
+            categorical: this.categories ? {
+                q: this.categories,
+                states: Array.from(this.gibbsSampler.states),
+                probabilities: Array.from(this.gibbsSampler.states, (c, i) => this.gibbsSampler.computeConditional(i)[c])
+            } : null,
+            training: this.trainingProgress ? {
+                ...this.trainingProgress,
+                isTraining: this.trainer.isTraining
+            } : null
+        };
+    }
+    
+    /**
+     * Clamped nodes plus the mean conditional marginal of the free ones (spins only).
+     * @returns {{nodes: Object<number, number>, count: number, freeMagnetization: number|null}}
+     * @private
+     */
+    _getClampStats() {
+        const nodes = this.getClamped();
+        let freeMagnetization = null;
+        if (!this.categories) {
+            const marginals = this.getConditionalMarginals();
+            let sum = 0;
+            let free = 0;
+            for (let i = 0; i < marginals.length; i++) {
+                if (!this.gibbsSampler.isClamped(i)) {
+                    sum += 2 * marginals[i] - 1;
+                    free++;
+                }
+            }
+            freeMagnetization = free > 0 ? sum / free : 0;
+        }
+        return { nodes, count: Object.keys(nodes).length, freeMagnetization };
+    }
+    
+    /**
+     * Exports the accumulated sampler statistics (marginals, correlations, τ_int, ...).
+     * @returns {object} JSON-serializable statistics
+     */
+    exportStatistics() {
+        return {
+            topology: this.gibbsSampler.getTopology().name,
+            nodeCount: this.gibbsSampler.nodeCount,
+            temperature: this.temperature,
+            algorithm: this.gibbsSampler.getAlgorithm(),
+            backend: this.backends.active ? this.backends.active.name : null,
+            clamped: this.getClamped(), // Statistics are conditional on these values
+            factorGraph: this.factorGraph ? this.factorGraph.toJSON() : null,
+            exact: this.exact ? this._getExactStats() : null,
+            ...this.statistics.toJSON()
         };
     }
     
@@ -569,6 +1576,17 @@ export default class ThermodynamicVisualizer {
             this.energyField.material.dispose();
             this.energyField = null;
         }
+        
+        // Remove graph nodes and edges
+        this._disposeGraphVisualization();
+        
+        // Stop the sampling worker if one is running
+        if (this.gibbsSampler && this.gibbsSampler.dispose) {
+            this.gibbsSampler.dispose();
+        }
+        
+        // Free the server-side chain
+        this.backends.dispose();
     }
 }
 
@@ -0,0 +1,95 @@
+import SamplerBackend from './SamplerBackend';
+import ThrmlSampler from './ThrmlSampler';
+
+/**
+ * THRML Backend
+ * Samples on the thrml_api server through a ThrmlSampler session, either one request
+ * per step ('thrml-http') or from pushed states ('thrml-stream'). Before every step the
+ * session is synced with the GibbsSampler's graph, weights and biases, so the server
+ * samples the model that is drawn. thrml's Ising sampler has no Potts nodes,
+ * higher-order factors, clamps or replica exchange.
+ *
+ * The stream backend falls back to polling, and polling to the local sampler.
+ */
+export default class ThrmlBackend extends SamplerBackend {
+    /**
+     * @param {object} [options] - ThrmlSampler options (apiUrl, rng, streamRate, ...) plus:
+     * @param {string} [options.transport='http'] - 'http' to poll, 'sse' to stream
+     */
+    constructor(options = {}) {
+        const streaming = options.transport === 'sse';
+        super(streaming ? 'thrml-stream' : 'thrml-http', {
+            label: streaming ? 'THRML (Stream)' : 'THRML (HTTP)',
+            fallback: streaming ? 'thrml-http' : 'local'
+        });
+        this.streaming = streaming;
+        this.thrmlSampler = new ThrmlSampler({ ...options, transport: streaming ? 'sse' : 'http' });
+        this.healthy = null; // Unknown until the server answers
+    }
+    
+    /**
+     * @returns {object} See SamplerBackend.getCapabilities()
+     */
+    getCapabilities() {
+        return {
+            ...super.getCapabilities(),
+            remote: true,
+            push: this.thrmlSampler.usesStream(),
+            categorical: false,
+            factors: false,
+            clamps: false,
+            replicaExchange: false
+        };
+    }
+    
+    /**
+     * Asks the server for its health and, for streaming, whether it offers a push transport.
+     * @returns {Promise<boolean>}
+     */
+    async checkHealth() {
+        if (this.streaming && typeof EventSource === 'undefined') return false;
+        if (!(await this.thrmlSampler.checkHealth())) return false;
+        if (!this.streaming) return true;
+        
+        const info = await this.thrmlSampler.getModelInfo();
+        const transports = info && info.sessions ? info.sessions.transports || [] : [];
+        return transports.includes('sse'); // Older servers only answer requests
+    }
+    
+    /**
+     * Mirrors the model to the session and applies the next state from the server.
+     * @param {GibbsSampler} sampler
+     * @returns {Promise<boolean>} Whether a new state was applied (false while waiting)
+     */
+    async step(sampler) {
+        this.thrmlSampler.syncModel(sampler);
+        const state = await this.thrmlSampler.gibbsStep({ beta: 1.0 / sampler.temperature });
+        if (!state) return false;
+        
+        sampler.advanceSchedule();
+        sampler.setStates(state);
+        sampler.notifyObservers();
+        return true;
+    }
+    
+    /**
+     * @returns {object} See ThrmlSampler.getMetrics()
+     */
+    getMetrics() {
+        return this.thrmlSampler.getMetrics();
+    }
+    
+    /**
+     * Restores the push transport, which the ThrmlSampler drops after stream failures.
+     */
+    activate() {
+        if (this.streaming) this.thrmlSampler.transport = 'sse';
+    }
+    
+    /**
+     * Closes the server-side session.
+     */
+    deactivate() {
+        this.thrmlSampler.closeSession();
+    }
+}
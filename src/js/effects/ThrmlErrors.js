@@ -0,0 +1,87 @@
+/**
+ * THRML Errors
+ * Typed failures of thrml API requests, so callers and the UI can tell a model the
+ * server cannot accept from a server that cannot be reached:
+ *
+ *   ValidationError    - a request or response does not match thrml_api/schema.json, or
+ *                        the model is inconsistent (e.g. one weight too few). Retrying
+ *                        the same request fails again.
+ *   BackendUnavailable - the server did not answer, or answered without an API reply
+ *                        (network error, proxy error page).
+ *   SamplingFailed     - the server accepted the request but could not sample, or no
+ *                        longer has the session (`errorType` 'SessionNotFound').
+ *
+ * Every error keeps the HTTP `status`, the server's `errorType` and its `details`.
+ * Cancelled requests still reject with the fetch `AbortError`.
+ */
+export class ThrmlError extends Error {
+    /**
+     * @param {string} message
+     * @param {object} [options]
+     * @param {number} [options.status] - HTTP status, if the server answered
+     * @param {string} [options.errorType] - The server's `error_type`
+     * @param {Array<string>} [options.details] - Individual problems (e.g. one per invalid field)
+     * @param {Error} [options.cause] - Underlying error
+     */
+    constructor(message, options = {}) {
+        super(message);
+        this.name = 'ThrmlError';
+        this.status = options.status || null;
+        this.errorType = options.errorType || null;
+        this.details = options.details || [];
+        this.cause = options.cause;
+    }
+    
+    /**
+     * Builds the typed error for a failed reply.
+     * @param {Response} response - Fetch response
+     * @param {object|null} data - Parsed body, or null if it was not JSON
+     * @returns {ThrmlError}
+     */
+    static fromResponse(response, data) {
+        if (!data || typeof data.error_type !== 'string') {
+            return new BackendUnavailable(`HTTP ${response.status}: ${response.statusText}`, { status: response.status });
+        }
+        const options = { status: response.status, errorType: data.error_type, details: data.details };
+        const message = data.error || data.error_type;
+        return data.error_type === 'ValidationError'
+            ? new ValidationError(message, options)
+            : new SamplingFailed(message, options);
+    }
+}
+
+export class ValidationError extends ThrmlError {
+    /**
+     * @param {string} message
+     * @param {object} [options] - See ThrmlError, plus:
+     * @param {string} [options.source='request'] - 'request' (rejected before or by the
+     *   server) or 'response' (the server's reply broke the contract)
+     */
+    constructor(message, options = {}) {
+        super(message, { errorType: 'ValidationError', ...options });
+        this.name = 'ValidationError';
+        this.source = options.source || 'request';
+    }
+}
+
+export class BackendUnavailable extends ThrmlError {
+    /**
+     * @param {string} message
+     * @param {object} [options] - See ThrmlError
+     */
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'BackendUnavailable';
+    }
+}
+
+export class SamplingFailed extends ThrmlError {
+    /**
+     * @param {string} message
+     * @param {object} [options] - See ThrmlError
+     */
+    constructor(message, options = {}) {
+        super(message, { errorType: 'SamplingFailed', ...options });
+        this.name = 'SamplingFailed';
+    }
+}
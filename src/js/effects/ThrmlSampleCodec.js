@@ -0,0 +1,134 @@
+const MAGIC = [0x54, 0x48, 0x52, 0x53]; // 'THRS'
+const VERSION = 1;
+const PREFIX_BYTES = 12; // Magic, version, 3 reserved bytes, uint32 header length
+const MEDIA_TYPE = 'application/octet-stream';
+
+/**
+ * THRML Sample Codec
+ * Bit-packed binary encoding of /sample/ising replies, which as JSON spend several
+ * bytes of text per spin (1000 samples of a few hundred nodes are megabytes). The
+ * client asks for it with `Accept: application/octet-stream`; servers that do not
+ * support it answer JSON, and errors are always JSON. Layout (little-endian):
+ *
+ *   0   4  'THRS'
+ *   4   1  format version (1)
+ *   5   3  reserved (0)
+ *   8   4  uint32 header length H
+ *   12  H  UTF-8 JSON header: the reply without `samples` and `final_state`
+ *          (schema definition IsingSampleBinaryHeader)
+ *   12+H   n_samples rows of ceil(n_nodes / 8) bytes; node i is bit i % 8
+ *          (least significant first) of byte i / 8, set for +1
+ *
+ * app.py writes the same layout with `np.packbits(..., bitorder='little')`.
+ */
+export default class ThrmlSampleCodec {
+    /**
+     * Media type of the binary encoding.
+     * @returns {string}
+     */
+    static mediaType() {
+        return MEDIA_TYPE;
+    }
+    
+    /**
+     * Whether a reply's Content-Type is the binary encoding.
+     * @param {string|null} contentType
+     * @returns {boolean}
+     */
+    static isEncoded(contentType) {
+        return !!contentType && contentType.split(';')[0].trim().toLowerCase() === MEDIA_TYPE;
+    }
+    
+    /**
+     * Encodes samples and the reply's remaining fields.
+     * @param {object} header - Reply fields other than samples; `model_info.n_nodes`
+     *   and `n_samples` give the row count and width
+     * @param {Array<ArrayLike<boolean|number>>} samples - One state per sample (truthy = +1)
+     * @returns {Uint8Array}
+     */
+    static encode(header, samples) {
+        const nNodes = header.model_info.n_nodes;
+        const rowBytes = Math.ceil(nNodes / 8);
+        const json = new TextEncoder().encode(JSON.stringify(header));
+        const bytes = new Uint8Array(PREFIX_BYTES + json.length + samples.length * rowBytes);
+        bytes.set(MAGIC, 0);
+        bytes[4] = VERSION;
+        new DataView(bytes.buffer).setUint32(8, json.length, true);
+        bytes.set(json, PREFIX_BYTES);
+        
+        let offset = PREFIX_BYTES + json.length;
+        for (const sample of samples) {
+            for (let i = 0; i < nNodes; i++) {
+                if (sample[i] === true || sample[i] > 0) bytes[offset + (i >> 3)] |= 1 << (i & 7);
+            }
+            offset += rowBytes;
+        }
+        return bytes;
+    }
+    
+    /**
+     * Decodes a binary reply.
+     * @param {ArrayBuffer|Uint8Array} buffer
+     * @returns {{header: object, samples: Array<Uint8Array>}} Header as sent, and one
+     *   row of 0/1 per sample (views of a single buffer)
+     * @throws {Error} If the bytes are not a complete version 1 encoding
+     */
+    static decode(buffer) {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        if (bytes.length < PREFIX_BYTES || MAGIC.some((byte, k) => bytes[k] !== byte)) {
+            throw new Error('[ThrmlSampleCodec] Not a thrml sample encoding');
+        }
+        if (bytes[4] !== VERSION) {
+            throw new Error(`[ThrmlSampleCodec] Unsupported format version ${bytes[4]}`);
+        }
+        const headerBytes = new DataView(bytes.buffer, bytes.byteOffset, bytes.length).getUint32(8, true);
+        if (PREFIX_BYTES + headerBytes > bytes.length) {
+            throw new Error('[ThrmlSampleCodec] Truncated header');
+        }
+        const header = JSON.parse(new TextDecoder().decode(bytes.subarray(PREFIX_BYTES, PREFIX_BYTES + headerBytes)));
+        const nNodes = header && header.model_info ? header.model_info.n_nodes : undefined;
+        const nSamples = header ? header.n_samples : undefined;
+        if (!Number.isInteger(nNodes) || !Number.isInteger(nSamples)) {
+            throw new Error('[ThrmlSampleCodec] Header lacks n_samples or model_info.n_nodes');
+        }
+        
+        const rowBytes = Math.ceil(nNodes / 8);
+        const start = PREFIX_BYTES + headerBytes;
+        if (bytes.length !== start + nSamples * rowBytes) {
+            throw new Error(`[ThrmlSampleCodec] Expected ${nSamples * rowBytes} bytes of samples, got ${bytes.length - start}`);
+        }
+        const states = new Uint8Array(nSamples * nNodes);
+        for (let n = 0; n < nSamples; n++) {
+            const row = start + n * rowBytes;
+            for (let i = 0; i < nNodes; i++) {
+                states[n * nNodes + i] = (bytes[row + (i >> 3)] >> (i & 7)) & 1;
+            }
+        }
+        return { header, samples: ThrmlSampleCodec._rows(states, nSamples, nNodes) };
+    }
+    
+    /**
+     * Converts JSON samples (booleans or ±1) to the rows decode() returns, so callers
+     * get the same shape from either encoding.
+     * @param {Array<Array<boolean|number>>} samples
+     * @returns {Array<Uint8Array>}
+     */
+    static fromStates(samples) {
+        const nNodes = samples.length > 0 ? samples[0].length : 0;
+        const states = new Uint8Array(samples.length * nNodes);
+        samples.forEach((sample, n) => {
+            for (let i = 0; i < nNodes; i++) {
+                states[n * nNodes + i] = (sample[i] === true || sample[i] > 0) ? 1 : 0;
+            }
+        });
+        return ThrmlSampleCodec._rows(states, samples.length, nNodes);
+    }
+    
+    /**
+     * Splits a flat state buffer into per-sample views.
+     * @private
+     */
+    static _rows(states, nSamples, nNodes) {
+        return Array.from({ length: nSamples }, (_, n) => states.subarray(n * nNodes, (n + 1) * nNodes));
+    }
+}
@@ -1,24 +1,104 @@
+import Random from '../core/Random';
+import ThrmlSchema from './ThrmlSchema';
+import ThrmlSampleCodec from './ThrmlSampleCodec';
+import { ThrmlError, ValidationError, BackendUnavailable } from './ThrmlErrors';
+
 /**
  * THRML Sampler Integration
  * Wraps the Python thrml API for thermodynamic sampling.
  * Connects to the thrml_api Flask server for Ising model sampling.
+ *
+ * The model is a graph given as `edges` ([i, j] node pairs, one weight each) and free
+ * `blocks` for block Gibbs. Without edges the server samples its default 1D chain;
+ * `syncModel(gibbsSampler)` mirrors a JavaScript sampler's graph, weights, biases and
+ * coloring so both backends sample the same model.
+ *
+ * `gibbsStep()` advances a server-side session: the server keeps the model, the chain
+ * state and the random key, so consecutive steps form one Markov chain. The session is
+ * opened on first use, parameter changes are sent in place before the next step, and
+ * if the server forgets the session (restart, expiry) a new one resumes from the last
+ * state seen here.
+ *
+ * With a push transport (`transport: 'auto'` or `'sse'`, where `EventSource` exists)
+ * the server streams the session's states as Server-Sent Events at `streamRate` states
+ * per second instead of answering one request per step. `gibbsStep()` then returns the
+ * newest pushed state (or null if none arrived since the last call); older unread
+ * states are dropped. The client acknowledges only the states it consumed, and the
+ * server pauses once `streamWindow` states are unacknowledged, so a slow or hidden page
+ * throttles the stream instead of queueing it. If the stream cannot be established the
+ * sampler falls back to HTTP polling.
+ *
+ * When polling, each request draws `stepsPerRequest` consecutive samples, which
+ * `gibbsStep()` hands out one per call while the next batch is fetched in the
+ * background (up to `maxInFlight` requests at once). Every request can be cancelled
+ * through its AbortController (`cancel()`), and responses are ordered by the server's
+ * step count, so a late response never replaces a newer state. `getMetrics()` reports
+ * latency and throughput.
+ *
+ * Requests and replies are checked against thrml_api/schema.json (see ThrmlSchema):
+ * an inconsistent model is rejected before it is sent, and a reply that breaks the
+ * contract is not applied. Failures reject with the typed errors of ThrmlErrors
+ * (ValidationError, BackendUnavailable, SamplingFailed).
+ *
+ * `sample()` asks for bit-packed samples (ThrmlSampleCodec) unless `binarySamples` is
+ * false; a server that only speaks JSON answers JSON, and either way the samples come
+ * back as Uint8Array rows (1 = +1).
  */
 export default class ThrmlSampler {
     constructor(options = {}) {
         this.apiUrl = options.apiUrl || 'http://localhost:5000';
         this.nNodes = options.nNodes || 16;
+        this.edges = options.edges || null; // [i, j] node pairs; null = the server's default chain
+        this.blocks = options.blocks || null; // Free blocks; null lets the server color the graph
         this.weights = options.weights || null; // Will be auto-generated if null
         this.biases = options.biases || null; // Will be auto-generated if null
         this.beta = options.beta || 1.0;
         this.nWarmup = options.nWarmup || 100;
         this.nSamples = options.nSamples || 1000;
         this.stepsPerSample = options.stepsPerSample || 2;
+        this.rng = options.rng || new Random(options.seed); // Source of default JAX random keys
+        this.binarySamples = options.binarySamples !== false; // Ask sample() replies to be bit-packed
         
         // Current state
         this.currentState = null;
         this.samples = [];
         this.isSampling = false;
         
+        // Server-side session (a persistent chain), opened lazily by step()
+        this.sessionId = null;
+        this.sessionSteps = 0; // Steps the session's chain has taken
+        this.pendingParams = null; // Parameter changes not yet sent to the session
+        this.isStepping = false;
+        this.openingSession = null; // Promise while a session is being opened
+        
+        // Polling: batched requests, in-flight tracking and a playback queue
+        this.stepsPerRequest = options.stepsPerRequest || 1; // Samples drawn per step request
+        this.maxInFlight = options.maxInFlight || 1; // Step requests allowed at the same time
+        this.inFlight = new Map(); // Request number -> AbortController (or null)
+        this.requestCount = 0;
+        this.lastRequest = null; // Promise of the newest step request
+        this.sampleQueue = []; // Received samples not yet returned by gibbsStep()
+        this.modelVersion = 0; // Bumped by parameter changes; older batches only keep their final state
+        
+        // Latency and throughput
+        this.metricsWindow = options.metricsWindow || 2000; // ms over which throughput is averaged
+        this.metrics = { requests: 0, failures: 0, cancelled: 0, stale: 0, latency: null, meanLatency: null };
+        this.arrivals = []; // [time, states] received within the metrics window
+        
+        // Push transport
+        this.transport = options.transport || 'auto'; // 'auto' | 'sse' | 'http'
+        this.streamRate = options.streamRate || 60; // States per second requested from the server
+        this.streamWindow = options.streamWindow || 8; // Unacknowledged states before the server pauses
+        this.eventSource = null;
+        this.streamState = null; // Newest pushed state not yet returned
+        this.streamSeq = 0; // Sequence number of the newest pushed state
+        this.consumedSeq = 0; // Newest state returned by takeStreamState()
+        this.ackedSeq = 0; // Newest state acknowledged to the server
+        this.droppedStates = 0; // Pushed states replaced before they were read
+        this.streamErrors = 0; // Stream errors since the last received state
+        this.rateChanged = false; // streamRate changed since the last acknowledgement
+        this.isPumping = false;
+        
         // Initialize default weights and biases
         this._initializeDefaults();
     }
@@ -30,7 +110,7 @@ export default class ThrmlSampler {
     _initializeDefaults() {
         if (!this.weights) {
             // Default: checkerboard pattern (negative weights between neighbors)
-            this.weights = new Array(this.nNodes - 1).fill(-0.5);
+            this.weights = new Array(this.edges ? this.edges.length : this.nNodes - 1).fill(-0.5);
         }
         if (!this.biases) {
             this.biases = new Array(this.nNodes).fill(0.0);
@@ -55,46 +135,33 @@ export default class ThrmlSampler {
     /**
      * Sample from the Ising model using thrml.
      * @param {object} options - Sampling options
-     * @returns {Promise<Array>} Array of sample states
+     * @returns {Promise<Array<Uint8Array>>} One row of 0/1 per sample (1 = +1), whether
+     *   the server sent bit-packed or JSON samples
      */
     async sample(options = {}) {
         const params = {
             n_nodes: options.nNodes || this.nNodes,
+            edges: options.edges || this.edges,
+            blocks: options.blocks || this.blocks,
             weights: options.weights || this.weights,
             biases: options.biases || this.biases,
             beta: options.beta || this.beta,
             n_warmup: options.nWarmup || this.nWarmup,
             n_samples: options.nSamples || this.nSamples,
             steps_per_sample: options.stepsPerSample || this.stepsPerSample,
-            random_key: options.randomKey || Math.floor(Math.random() * 10000)
+            random_key: options.randomKey !== undefined ? options.randomKey : this.nextRandomKey()
         };
         
         try {
             this.isSampling = true;
-            const response = await fetch(`${this.apiUrl}/sample/ising`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(params)
-            });
-            
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
+            const data = await this._request('POST', '/sample/ising', params);
             
-            const data = await response.json();
-            
-            if (!data.success) {
-                throw new Error(data.error || 'Sampling failed');
-            }
-            
-            this.samples = data.samples;
+            this.samples = ThrmlSampleCodec.isEncoded(data.encoding) ? data.samples : ThrmlSampleCodec.fromStates(data.samples);
             this.currentState = data.final_state;
             this.isSampling = false;
             
-            return data.samples;
-            
+            return this.samples;
+        
         } catch (error) {
             this.isSampling = false;
             console.error('[ThrmlSampler] Sampling error:', error);
@@ -103,57 +170,568 @@ export default class ThrmlSampler {
     }
     
     /**
-     * Perform a single Gibbs step (for real-time updates).
-     * @param {object} options - Sampling options
-     * @returns {Promise<Array>} Single sample state
+     * Perform a single Gibbs step (for real-time updates) on the session's chain.
+     * Returns the next sample of the current batch and prefetches the next batch when
+     * the queue runs low. If no sample is queued it waits for the request in flight.
+     * @param {object} options - Parameter changes to apply first (beta, weights, biases)
+     * @returns {Promise<Array|null>} New state, or null if none is available yet
      */
     async gibbsStep(options = {}) {
-        const params = {
-            n_nodes: options.nNodes || this.nNodes,
-            weights: options.weights || this.weights,
-            biases: options.biases || this.biases,
-            beta: options.beta || this.beta,
-            steps_per_sample: options.stepsPerSample || this.stepsPerSample,
-            random_key: options.randomKey || Math.floor(Math.random() * 10000)
+        if (this.isStepping) return null;
+        if (options.beta !== undefined && options.beta !== this.beta) this.setBeta(options.beta);
+        if (options.weights) this.setWeights(options.weights);
+        if (options.biases) this.setBiases(options.biases);
+        
+        if (this.usesStream()) {
+            if (!this.eventSource) {
+                this.isStepping = true;
+                try {
+                    await this.startStream();
+                } finally {
+                    this.isStepping = false;
+                }
+            }
+            const state = this.takeStreamState();
+            this._pumpStream();
+            return state;
+        }
+        
+        this._prefetch();
+        if (this.sampleQueue.length === 0 && this.lastRequest) {
+            try {
+                await this.lastRequest;
+            } catch (error) {
+                console.error('[ThrmlSampler] Gibbs step error:', error);
+                throw error;
+            }
+        }
+        return this.sampleQueue.length > 0 ? this.sampleQueue.shift() : null;
+    }
+    
+    /**
+     * Advances the session's chain, opening a session first if needed.
+     * @param {number} [nSteps=1] - Samples to draw, each `stepsPerSample` sweeps apart
+     * @returns {Promise<Array<Array>>} The drawn samples (the last is the new state);
+     *   empty if the request was cancelled or overtaken by a newer one
+     */
+    async step(nSteps = 1) {
+        return (await this._requestSteps(nSteps)) || [];
+    }
+    
+    /**
+     * Aborts every step request in flight and discards queued samples.
+     */
+    cancel() {
+        for (const controller of this.inFlight.values()) {
+            if (controller) controller.abort();
+        }
+        this.sampleQueue = [];
+    }
+    
+    /**
+     * Request statistics for display.
+     * @returns {{transport: string, inFlight: number, queued: number, latency: number|null,
+     *   meanLatency: number|null, throughput: number, requests: number, failures: number,
+     *   cancelled: number, stale: number, dropped: number}} Latencies in ms (for a stream:
+     *   acknowledgement round trips), throughput in states per second
+     */
+    getMetrics() {
+        const now = performance.now();
+        this._pruneArrivals(now);
+        const states = this.arrivals.reduce((sum, [, count]) => sum + count, 0);
+        return {
+            transport: this.usesStream() ? 'sse' : 'http',
+            inFlight: this.inFlight.size,
+            queued: this.sampleQueue.length,
+            throughput: states * 1000 / this.metricsWindow,
+            dropped: this.droppedStates,
+            ...this.metrics
         };
+    }
+    
+    /**
+     * Starts another step request while fewer than `maxInFlight - ½` batches are
+     * queued or in flight, so the next batch arrives before the queue runs dry.
+     * @private
+     */
+    _prefetch() {
+        const expected = this.sampleQueue.length + this.inFlight.size * this.stepsPerRequest;
+        if (this.inFlight.size >= this.maxInFlight || expected > this.stepsPerRequest * (this.maxInFlight - 0.5)) return;
+        
+        const request = this._requestSteps(this.stepsPerRequest).then(samples => {
+            if (samples) this.sampleQueue.push(...samples);
+        });
+        request.catch(() => {}); // Surfaced by the gibbsStep() that awaits it
+        this.lastRequest = request;
+    }
+    
+    /**
+     * Sends one tracked step request: cancellable, timed, and dropped if the session
+     * changed or a newer response arrived first. Batches drawn before a parameter
+     * change only contribute their final state.
+     * @returns {Promise<Array<Array>|null>} Samples, or null if cancelled or stale
+     * @private
+     */
+    async _requestSteps(nSteps) {
+        const id = ++this.requestCount;
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const signal = controller ? controller.signal : undefined;
+        this.inFlight.set(id, controller);
+        this.metrics.requests++;
+        const started = performance.now();
         
         try {
-            const response = await fetch(`${this.apiUrl}/sample/ising/stream`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(params)
-            });
+            const sessionId = await this._ensureSession();
+            const version = this.modelVersion;
             
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            let data;
+            try {
+                await this._flushParams();
+                data = await this._request('POST', `/sessions/${sessionId}/step`, { n_steps: nSteps }, signal);
+            } catch (error) {
+                if (error.errorType !== 'SessionNotFound') throw error;
+                // The server restarted or expired the session: continue the chain from our last state
+                if (this.sessionId === sessionId) {
+                    console.warn('[ThrmlSampler] Session lost, resuming in a new session');
+                }
+                const resumedId = await this._ensureSession(sessionId);
+                data = await this._request('POST', `/sessions/${resumedId}/step`, { n_steps: nSteps }, signal);
             }
             
-            const data = await response.json();
-            
-            if (!data.success) {
-                throw new Error(data.error || 'Gibbs step failed');
+            this._recordLatency(performance.now() - started);
+            if (data.session_id !== this.sessionId || data.steps <= this.sessionSteps) {
+                this.metrics.stale++;
+                return null;
             }
-            
-            if (data.state) {
-                this.currentState = data.state;
+            this.currentState = data.state;
+            this.sessionSteps = data.steps;
+            this._recordArrival(data.samples.length);
+            return version === this.modelVersion ? data.samples : [data.state];
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.metrics.cancelled++;
+                return null;
+            }
+            this.metrics.failures++;
+            throw error;
+        } finally {
+            this.inFlight.delete(id);
+        }
+    }
+    
+    /**
+     * Adds a latency measurement (ms) to the last and running mean values.
+     * @private
+     */
+    _recordLatency(latency) {
+        this.metrics.latency = latency;
+        this.metrics.meanLatency = this.metrics.meanLatency === null ? latency : 0.9 * this.metrics.meanLatency + 0.1 * latency;
+    }
+    
+    /**
+     * Counts received states for the throughput estimate.
+     * @private
+     */
+    _recordArrival(states) {
+        const now = performance.now();
+        this.arrivals.push([now, states]);
+        this._pruneArrivals(now);
+    }
+    
+    /**
+     * Forgets arrivals older than the metrics window.
+     * @private
+     */
+    _pruneArrivals(now) {
+        while (this.arrivals.length > 0 && now - this.arrivals[0][0] > this.metricsWindow) {
+            this.arrivals.shift();
+        }
+    }
+    
+    /**
+     * Creates a session with the current model. Resumes from `currentState` if known.
+     * @param {object} [options] - Overrides for nNodes, stepsPerSample and randomKey
+     * @returns {Promise<string>} Session id
+     */
+    async openSession(options = {}) {
+        this.pendingParams = null; // The new session is created with the current parameters
+        const data = await this._request('POST', '/sessions', {
+            n_nodes: options.nNodes || this.nNodes,
+            edges: this.edges,
+            blocks: this.blocks,
+            weights: this.weights,
+            biases: this.biases,
+            beta: this.beta,
+            steps_per_sample: options.stepsPerSample || this.stepsPerSample,
+            random_key: options.randomKey !== undefined ? options.randomKey : this.nextRandomKey(),
+            state: this.currentState
+        });
+        this.sessionId = data.session_id;
+        this.sessionSteps = data.steps;
+        this.currentState = data.state;
+        return this.sessionId;
+    }
+    
+    /**
+     * Opens a session unless one is open, sharing a single `openSession()` call
+     * between concurrent callers. A lost session is replaced only while it is still
+     * the current one, so requests that all fail on it open one successor.
+     * @param {string|null} [lostId] - Session the server no longer knows
+     * @returns {Promise<string>} Current session id
+     * @private
+     */
+    async _ensureSession(lostId = null) {
+        if (lostId && this.sessionId === lostId) {
+            this.sessionId = null;
+        }
+        if (!this.sessionId) {
+            this.openingSession = this.openingSession || this.openSession().finally(() => {
+                this.openingSession = null;
+            });
+            await this.openingSession;
+        }
+        return this.sessionId;
+    }
+    
+    /**
+     * Closes the session on the server. Safe to call without one.
+     * @returns {Promise<void>}
+     */
+    async closeSession() {
+        this.stopStream();
+        this.cancel();
+        const sessionId = this.sessionId;
+        if (!sessionId) return;
+        this.sessionId = null;
+        this.pendingParams = null;
+        try {
+            await this._request('DELETE', `/sessions/${sessionId}`);
+        } catch (error) {
+            if (error.errorType !== 'SessionNotFound') {
+                console.warn('[ThrmlSampler] Failed to close session:', error);
+            }
+        }
+    }
+    
+    /**
+     * Whether states are pushed by the server rather than polled.
+     * @returns {boolean}
+     */
+    usesStream() {
+        return this.transport !== 'http' && typeof EventSource !== 'undefined';
+    }
+    
+    /**
+     * Opens the push stream of the session (opening a session first if needed).
+     * @returns {Promise<void>}
+     */
+    async startStream() {
+        if (this.eventSource) return;
+        await this._ensureSession();
+        await this._flushParams();
+        
+        this.streamState = null;
+        this.streamSeq = 0;
+        this.consumedSeq = 0;
+        this.ackedSeq = 0;
+        const query = `rate=${this.streamRate}&n_steps=1&window=${this.streamWindow}`;
+        const eventSource = new EventSource(`${this.apiUrl}/sessions/${this.sessionId}/events?${query}`);
+        eventSource.addEventListener('state', event => this._onStreamState(event));
+        eventSource.addEventListener('closed', () => this.stopStream());
+        eventSource.onerror = () => this._onStreamError();
+        this.eventSource = eventSource;
+    }
+    
+    /**
+     * Closes the push stream. The session stays open.
+     */
+    stopStream() {
+        if (!this.eventSource) return;
+        this.eventSource.close();
+        this.eventSource = null;
+        this.streamState = null;
+    }
+    
+    /**
+     * Returns the newest pushed state and marks it consumed.
+     * @returns {Array|null} State, or null if none arrived since the last call
+     */
+    takeStreamState() {
+        if (!this.streamState) return null;
+        const state = this.streamState;
+        this.streamState = null;
+        this.currentState = state;
+        this.consumedSeq = this.streamSeq;
+        return state;
+    }
+    
+    /**
+     * Changes the rate at which the server pushes states.
+     * @param {number} rate - States per second
+     */
+    setStreamRate(rate) {
+        this.streamRate = rate;
+        this.rateChanged = true; // Sent with the next acknowledgement
+    }
+    
+    /**
+     * Stores a pushed state, replacing one that was never read. Events that break the
+     * contract are ignored.
+     * @private
+     */
+    _onStreamState(event) {
+        const data = JSON.parse(event.data);
+        const errors = ThrmlSchema.validate('StreamState', data);
+        if (errors.length > 0) {
+            console.warn(`[ThrmlSampler] ${ThrmlSchema.describe('StreamState', errors)}`);
+            return;
+        }
+        if (this.streamState) this.droppedStates++;
+        this.streamState = data.state;
+        this.streamSeq = data.seq;
+        this.sessionSteps = data.steps;
+        this.streamErrors = 0;
+        this._recordArrival(1);
+    }
+    
+    /**
+     * Handles a stream failure. EventSource reconnects by itself after a dropped
+     * connection; a refused stream (e.g. the session expired) is reopened in a new
+     * session, and repeated failures switch to HTTP polling.
+     * @private
+     */
+    _onStreamError() {
+        const refused = this.eventSource && this.eventSource.readyState === EventSource.CLOSED;
+        this.streamErrors++;
+        if (!refused && this.streamErrors < 3) return;
+        
+        this.stopStream();
+        if (this.streamErrors < 3) {
+            console.warn('[ThrmlSampler] Stream refused, resuming in a new session');
+            this._ensureSession(this.sessionId)
+                .then(() => this.startStream())
+                .catch(() => this._fallBackToPolling());
+            return;
+        }
+        this._fallBackToPolling();
+    }
+    
+    /**
+     * Switches to one HTTP request per step.
+     * @private
+     */
+    _fallBackToPolling() {
+        this.stopStream();
+        this.transport = 'http';
+        console.warn('[ThrmlSampler] Push stream unavailable, falling back to HTTP polling');
+    }
+    
+    /**
+     * Sends queued parameters and acknowledges consumed states, at most one request
+     * pair at a time. Acknowledging every half window keeps the stream flowing
+     * without a request per frame.
+     * @private
+     */
+    async _pumpStream() {
+        if (this.isPumping || !this.sessionId) return;
+        const due = this.rateChanged ||
+            this.consumedSeq - this.ackedSeq >= Math.max(1, Math.floor(this.streamWindow / 2));
+        if (!due && !this.pendingParams) return;
+        
+        this.isPumping = true;
+        try {
+            await this._flushParams();
+            if (due) {
+                const seq = this.consumedSeq;
+                const started = performance.now();
+                this.rateChanged = false;
+                await this._request('POST', `/sessions/${this.sessionId}/ack`, { seq, rate: this.streamRate });
+                this._recordLatency(performance.now() - started);
+                this.ackedSeq = seq;
             }
-            
-            return data.sample || data.state;
-            
         } catch (error) {
-            console.error('[ThrmlSampler] Gibbs step error:', error);
+            if (due) this.rateChanged = true; // Retry on the next call
+            console.warn('[ThrmlSampler] Stream acknowledgement failed:', error);
+        } finally {
+            this.isPumping = false;
+        }
+    }
+    
+    /**
+     * Sends queued parameter changes to the session (in place, the chain keeps its state).
+     * @private
+     */
+    async _flushParams() {
+        if (!this.pendingParams || !this.sessionId) return;
+        const params = this.pendingParams;
+        this.pendingParams = null;
+        try {
+            await this._request('PATCH', `/sessions/${this.sessionId}`, params);
+        } catch (error) {
+            this.pendingParams = { ...params, ...this.pendingParams }; // Retry with the next step
             throw error;
         }
     }
     
+    /**
+     * Queues a parameter change for the session.
+     * @private
+     */
+    _queueParams(params) {
+        this.pendingParams = { ...this.pendingParams, ...params };
+        this.modelVersion++;
+        this.sampleQueue = []; // Drawn with the old parameters
+    }
+    
+    /**
+     * Sends a JSON request to the API and unwraps `{success, error}` replies. The body
+     * and the reply are validated against the endpoint's schema definitions. Endpoints
+     * with a bit-packed encoding are asked for it (see `binarySamples`); a binary reply
+     * is returned as its header plus decoded `samples` rows, `final_state` and the
+     * `encoding` it arrived in.
+     * @throws {ValidationError} If the body or the reply breaks the contract
+     * @throws {BackendUnavailable} If the server cannot be reached
+     * @throws {SamplingFailed} If the server reports a failure (`errorType` tells which)
+     * @private
+     */
+    async _request(method, path, body, signal) {
+        const route = ThrmlSchema.route(method, path);
+        if (route && route.request) {
+            this._validateRequest(route.request, body || {});
+        }
+        
+        let response;
+        try {
+            response = await fetch(`${this.apiUrl}${path}`, {
+                method,
+                headers: this._requestHeaders(route, body),
+                body: body !== undefined ? JSON.stringify(body) : undefined,
+                signal
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            throw new BackendUnavailable(`${this.apiUrl} is unreachable: ${error.message}`, { cause: error });
+        }
+        
+        if (response.ok && route && route.binary && ThrmlSampleCodec.isEncoded(response.headers.get('Content-Type'))) {
+            return this._decodeBinary(route.binary, response);
+        }
+        
+        let data = null;
+        try {
+            data = await response.json();
+        } catch (parseError) {
+            data = null;
+        }
+        
+        if (!response.ok || !data || data.success === false) {
+            throw ThrmlError.fromResponse(response, data);
+        }
+        if (route) {
+            const errors = ThrmlSchema.validate(route.response, data);
+            if (errors.length > 0) {
+                throw new ValidationError(ThrmlSchema.describe(route.response, errors), {
+                    status: response.status,
+                    details: errors,
+                    source: 'response'
+                });
+            }
+        }
+        return data;
+    }
+    
+    /**
+     * Request headers: the JSON body type, and for endpoints with a bit-packed encoding
+     * an Accept header preferring it over JSON.
+     * @private
+     */
+    _requestHeaders(route, body) {
+        const headers = {};
+        if (body !== undefined) headers['Content-Type'] = 'application/json';
+        if (this.binarySamples && route && route.binary) {
+            headers.Accept = `${ThrmlSampleCodec.mediaType()}, application/json;q=0.9`;
+        }
+        return Object.keys(headers).length > 0 ? headers : undefined;
+    }
+    
+    /**
+     * Decodes a bit-packed reply and validates its header.
+     * @throws {ValidationError} If the bytes or the header break the contract
+     * @throws {BackendUnavailable} If the reply breaks off
+     * @private
+     */
+    async _decodeBinary(name, response) {
+        let bytes;
+        try {
+            bytes = await response.arrayBuffer();
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            throw new BackendUnavailable(`${this.apiUrl} broke off the reply: ${error.message}`, {
+                status: response.status,
+                cause: error
+            });
+        }
+        
+        let decoded;
+        try {
+            decoded = ThrmlSampleCodec.decode(bytes);
+        } catch (error) {
+            throw new ValidationError(`Invalid ${name}: ${error.message}`, {
+                status: response.status,
+                details: [error.message],
+                source: 'response',
+                cause: error
+            });
+        }
+        const errors = ThrmlSchema.validate(name, decoded.header);
+        if (errors.length > 0) {
+            throw new ValidationError(ThrmlSchema.describe(name, errors), {
+                status: response.status,
+                details: errors,
+                source: 'response'
+            });
+        }
+        const { samples } = decoded;
+        return {
+            ...decoded.header,
+            samples,
+            final_state: samples.length > 0 ? Array.from(samples[samples.length - 1], Boolean) : null,
+            encoding: ThrmlSampleCodec.mediaType()
+        };
+    }
+    
+    /**
+     * Checks a request body against its schema definition and the model's cross-field
+     * rules. Parameter updates are checked against the session's graph.
+     * @throws {ValidationError}
+     * @private
+     */
+    _validateRequest(name, body) {
+        const errors = ThrmlSchema.validate(name, body);
+        if (errors.length === 0) {
+            const model = name === 'SessionUpdateRequest' ? { n_nodes: this.nNodes, edges: this.edges, ...body } : body;
+            errors.push(...ThrmlSchema.checkModel(model));
+        }
+        if (errors.length > 0) {
+            throw new ValidationError(ThrmlSchema.describe(name, errors), { details: errors });
+        }
+    }
+    
+    /**
+     * Draw the next JAX random key from the seeded generator.
+     * @returns {number} Non-negative 31-bit integer
+     */
+    nextRandomKey() {
+        return this.rng.nextInt(0x7fffffff);
+    }
+    
     /**
      * Set the temperature parameter (beta = 1/T).
      * @param {number} beta - Temperature parameter
      */
     setBeta(beta) {
         this.beta = beta;
+        this._queueParams({ beta });
     }
     
     /**
@@ -162,6 +740,79 @@ export default class ThrmlSampler {
      */
     setWeights(weights) {
         this.weights = weights;
+        this._queueParams({ weights });
+    }
+    
+    /**
+     * Replaces the model graph. A session cannot change its graph, so an open session
+     * is closed and the next step opens a new one (resuming from the current state
+     * when the node count is unchanged).
+     * @param {object} graph
+     * @param {number} graph.nNodes - Number of nodes
+     * @param {Array<Array<number>>} graph.edges - [i, j] node index pairs
+     * @param {Array<number>} graph.weights - One weight per edge
+     * @param {Array<number>} [graph.biases] - One bias per node (default 0)
+     * @param {Array<Array<number>>} [graph.blocks] - Free blocks (default: colored by the server)
+     */
+    setGraph({ nNodes, edges, weights, biases, blocks = null }) {
+        if (nNodes !== this.nNodes) this.currentState = null;
+        this.nNodes = nNodes;
+        this.edges = edges;
+        this.weights = weights;
+        this.biases = biases || new Array(nNodes).fill(0.0);
+        this.blocks = blocks;
+        if (this.sessionId) this.closeSession();
+    }
+    
+    /**
+     * Mirrors a JavaScript sampler's model: graph, per-edge weights, biases and block
+     * coloring. Only changes are sent (weights and biases in place, a new graph through
+     * a new session), so this is cheap to call before every step.
+     * @param {GibbsSampler} sampler - Spin sampler, see `ThrmlSampler.supports()`
+     */
+    syncModel(sampler) {
+        const edges = sampler.getGraph();
+        const weights = sampler.getEdgeWeights();
+        const biases = sampler.getModel().biases;
+        const blocks = sampler.getBlocks();
+        
+        if (sampler.nodeCount !== this.nNodes || !ThrmlSampler._sameValues(this.edges, edges) ||
+            !ThrmlSampler._sameValues(this.blocks, blocks)) {
+            this.setGraph({
+                nNodes: sampler.nodeCount,
+                edges: edges.map(([i, j]) => [i, j]),
+                weights: Array.from(weights),
+                biases: Array.from(biases),
+                blocks
+            });
+            return;
+        }
+        if (!ThrmlSampler._sameValues(this.weights, weights)) this.setWeights(Array.from(weights));
+        if (!ThrmlSampler._sameValues(this.biases, biases)) this.setBiases(Array.from(biases));
+    }
+    
+    /**
+     * Checks whether thrml's Ising model can represent a sampler's model: ±1 spins with
+     * biases and pairwise couplings, without Potts categories, higher-order factors or
+     * clamped nodes.
+     * @param {GibbsSampler} sampler
+     * @returns {boolean}
+     */
+    static supports(sampler) {
+        return !sampler.q && sampler.getModel().factors.length === 0 && !sampler.clampMask.some(Boolean);
+    }
+    
+    /**
+     * Element-wise equality of (nested) arrays; false if `a` is null.
+     * @private
+     */
+    static _sameValues(a, b) {
+        if (!a || a.length !== b.length) return false;
+        for (let k = 0; k < a.length; k++) {
+            const same = typeof a[k] === 'object' ? ThrmlSampler._sameValues(a[k], b[k]) : a[k] === b[k];
+            if (!same) return false;
+        }
+        return true;
     }
     
     /**
@@ -170,6 +821,7 @@ export default class ThrmlSampler {
      */
     setBiases(biases) {
         this.biases = biases;
+        this._queueParams({ biases });
     }
     
     /**
@@ -182,7 +834,7 @@ export default class ThrmlSampler {
     
     /**
      * Get all samples.
-     * @returns {Array<Array<number>>}
+     * @returns {Array<Uint8Array>} One row of 0/1 per sample, as returned by sample()
      */
     getSamples() {
         return this.samples;
@@ -0,0 +1,195 @@
+import schema from '../../../thrml_api/schema.json';
+
+const MAX_ERRORS = 10; // Problems reported per validation
+
+// [method, path pattern, request definition, response definition, binary header definition]
+const ROUTES = [
+    ['GET', /^\/health$/, null, 'HealthResponse'],
+    ['GET', /^\/model\/info$/, null, 'ModelInfoResponse'],
+    ['POST', /^\/sample\/ising$/, 'IsingSampleRequest', 'IsingSampleResponse', 'IsingSampleBinaryHeader'],
+    ['POST', /^\/sample\/ising\/stream$/, 'IsingStreamRequest', 'IsingStreamResponse'],
+    ['POST', /^\/sessions$/, 'SessionCreateRequest', 'SessionInfoResponse'],
+    ['GET', /^\/sessions\/[^/]+$/, null, 'SessionInfoResponse'],
+    ['PATCH', /^\/sessions\/[^/]+$/, 'SessionUpdateRequest', 'SessionUpdateResponse'],
+    ['DELETE', /^\/sessions\/[^/]+$/, null, 'SessionCloseResponse'],
+    ['POST', /^\/sessions\/[^/]+\/step$/, 'SessionStepRequest', 'SessionStepResponse'],
+    ['POST', /^\/sessions\/[^/]+\/ack$/, 'SessionAckRequest', 'SessionAckResponse']
+];
+
+/**
+ * THRML Schema
+ * Validates thrml API payloads against thrml_api/schema.json, the contract shared with
+ * the Flask server and the mock server. Supports the subset of JSON Schema the file
+ * uses; app.py implements the same subset, and both report problems as
+ * `path message` strings such as `weights[3] must be number`.
+ *
+ * `checkModel()` adds the cross-field rules a schema cannot express: edges within
+ * range, one weight per edge, one bias and one state per node, and blocks that
+ * partition the nodes into independent sets.
+ */
+export default class ThrmlSchema {
+    /**
+     * Request and response definitions of an endpoint.
+     * @param {string} method - HTTP method
+     * @param {string} path - Request path, e.g. '/sessions/abc/step'
+     * @returns {{request: string|null, response: string, binary: string|null}|null} null
+     *   for unknown endpoints; `binary` names the header of a bit-packed reply (see
+     *   ThrmlSampleCodec) for endpoints that offer one
+     */
+    static route(method, path) {
+        const route = ROUTES.find(([routeMethod, pattern]) => routeMethod === method && pattern.test(path));
+        return route ? { request: route[2], response: route[3], binary: route[4] || null } : null;
+    }
+    
+    /**
+     * Validates a value against a definition of the schema.
+     * @param {string} name - Definition name, e.g. 'SessionStepRequest'
+     * @param {*} value - Parsed JSON
+     * @returns {Array<string>} Problems (at most 10); empty if the value is valid
+     * @throws {Error} If the schema has no such definition
+     */
+    static validate(name, value) {
+        const definition = schema.definitions[name];
+        if (!definition) {
+            throw new Error(`[ThrmlSchema] Unknown definition: ${name}`);
+        }
+        const errors = [];
+        ThrmlSchema._check(definition, value, '', errors);
+        return errors;
+    }
+    
+    /**
+     * Checks the cross-field rules of a model. Fields that are missing or null are
+     * skipped (edges default to the chain i -- i+1), so partial models such as
+     * parameter updates can be checked against a known graph.
+     * @param {object} model - `{n_nodes, edges, blocks, weights, biases, state}` as sent
+     * @returns {Array<string>} Problems; empty if the model is consistent
+     */
+    static checkModel({ n_nodes: nNodes, edges, blocks, weights, biases, state }) {
+        if (!Number.isInteger(nNodes)) return [];
+        const errors = [];
+        const graph = edges || Array.from({ length: Math.max(0, nNodes - 1) }, (_, i) => [i, i + 1]);
+        for (const [i, j] of graph) {
+            if (i === j || !(i >= 0 && i < nNodes && j >= 0 && j < nNodes)) {
+                errors.push(`Invalid edge (${i}, ${j}) for ${nNodes} nodes`);
+            }
+        }
+        
+        if (blocks) {
+            const blockOf = new Array(nNodes).fill(-1);
+            let partition = true;
+            blocks.forEach((block, b) => block.forEach(node => {
+                if (node >= nNodes || blockOf[node] !== -1) partition = false;
+                else blockOf[node] = b;
+            }));
+            if (!partition || blockOf.includes(-1)) {
+                errors.push('Blocks must contain every node exactly once');
+            } else if (errors.length === 0) { // Only meaningful once every edge is valid
+                for (const [i, j] of graph) {
+                    if (blockOf[i] === blockOf[j]) {
+                        errors.push(`Edge (${i}, ${j}) joins two nodes of block ${blockOf[i]}; blocks must be independent sets`);
+                    }
+                }
+            }
+        }
+        
+        if (weights && weights.length !== graph.length) {
+            errors.push(`Expected ${graph.length} weights (one per edge), got ${weights.length}`);
+        }
+        if (biases && biases.length !== nNodes) {
+            errors.push(`Expected ${nNodes} biases (one per node), got ${biases.length}`);
+        }
+        if (state && state.length !== nNodes) {
+            errors.push(`Expected ${nNodes} states (one per node), got ${state.length}`);
+        }
+        return errors.slice(0, MAX_ERRORS);
+    }
+    
+    /**
+     * One-line summary of a list of problems.
+     * @param {string} name - What was validated
+     * @param {Array<string>} errors - Problems from validate() or checkModel()
+     * @returns {string}
+     */
+    static describe(name, errors) {
+        const more = errors.length > 1 ? ` (+${errors.length - 1} more)` : '';
+        return `Invalid ${name}: ${errors[0]}${more}`;
+    }
+    
+    /**
+     * Recursively checks a value against a schema node, appending problems.
+     * @private
+     */
+    static _check(node, value, path, errors) {
+        if (errors.length >= MAX_ERRORS) return;
+        if (node.$ref) {
+            node = schema.definitions[node.$ref.replace('#/definitions/', '')];
+        }
+        const at = path || 'body';
+        
+        if (node.type) {
+            const types = [].concat(node.type);
+            if (!types.some(type => ThrmlSchema._isType(value, type))) {
+                errors.push(`${at} must be ${types.join(' or ')}`);
+                return;
+            }
+        }
+        if (node.enum && !node.enum.includes(value)) {
+            errors.push(`${at} must be one of ${JSON.stringify(node.enum)}`);
+            return;
+        }
+        
+        if (typeof value === 'number') {
+            if (node.minimum !== undefined && value < node.minimum) {
+                errors.push(`${at} must be >= ${node.minimum}`);
+            }
+            if (node.exclusiveMinimum !== undefined && value <= node.exclusiveMinimum) {
+                errors.push(`${at} must be > ${node.exclusiveMinimum}`);
+            }
+            if (node.maximum !== undefined && value > node.maximum) {
+                errors.push(`${at} must be <= ${node.maximum}`);
+            }
+        } else if (Array.isArray(value)) {
+            if (node.minItems !== undefined && value.length < node.minItems) {
+                errors.push(`${at} must have at least ${node.minItems} items`);
+            }
+            if (node.maxItems !== undefined && value.length > node.maxItems) {
+                errors.push(`${at} must have at most ${node.maxItems} items`);
+            }
+            if (node.items) {
+                for (let k = 0; k < value.length && errors.length < MAX_ERRORS; k++) {
+                    ThrmlSchema._check(node.items, value[k], `${path}[${k}]`, errors);
+                }
+            }
+        } else if (value !== null && typeof value === 'object') {
+            for (const key of node.required || []) {
+                if (!(key in value)) errors.push(`${path ? `${path}.` : ''}${key} is required`);
+            }
+            for (const [key, child] of Object.entries(value)) {
+                const property = node.properties && node.properties[key];
+                if (property) {
+                    ThrmlSchema._check(property, child, path ? `${path}.${key}` : key, errors);
+                } else if (node.additionalProperties === false) {
+                    errors.push(`${path ? `${path}.` : ''}${key} is not allowed`);
+                }
+            }
+        }
+    }
+    
+    /**
+     * JSON Schema type test ('integer' is a whole number).
+     * @private
+     */
+    static _isType(value, type) {
+        switch (type) {
+            case 'null': return value === null;
+            case 'boolean': return typeof value === 'boolean';
+            case 'integer': return Number.isInteger(value);
+            case 'number': return typeof value === 'number' && Number.isFinite(value);
+            case 'string': return typeof value === 'string';
+            case 'array': return Array.isArray(value);
+            case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+            default: return false;
+        }
+    }
+}
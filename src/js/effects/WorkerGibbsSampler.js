@@ -0,0 +1,349 @@
+import GibbsSampler from './GibbsSampler';
+
+/**
+ * Worker-backed Gibbs Sampler
+ * Same interface as GibbsSampler, but sweeps run in a Web Worker (GibbsWorker.js).
+ * The main thread keeps a mirror of the model: parameter changes are applied locally
+ * and forwarded to the worker, and `gibbsStep()` never blocks — it requests more
+ * sweeps and adopts the newest snapshot the worker has published.
+ *
+ * Snapshots travel through a SharedArrayBuffer when the page is cross-origin
+ * isolated (COOP/COEP headers), otherwise as transferable ArrayBuffers.
+ * Falls back to synchronous sampling when Workers are unavailable.
+ * Observers see each adopted snapshot once, not every worker sweep.
+ */
+export default class WorkerGibbsSampler extends GibbsSampler {
+    /**
+     * @param {object} options - GibbsSampler options plus:
+     * @param {number} [options.sweepsPerStep=1] - Sweeps requested per `gibbsStep()` call
+     * @param {number} [options.maxPendingSweeps=4] - Cap on sweeps queued in the worker
+     * @param {boolean} [options.useSharedMemory=true] - Use SharedArrayBuffer when available
+     */
+    constructor(options = {}) {
+        super(options);
+        
+        this.sweepsPerStep = options.sweepsPerStep || 1;
+        this.maxPendingSweeps = options.maxPendingSweeps || 4;
+        this.pendingSweeps = 0;
+        this.totalSweeps = 0; // Sweeps reflected in the current snapshot
+        this.isRunning = false;
+        this.worker = null;
+        this.sharedStates = null;
+        this.sharedVersion = null;
+        this.lastVersion = 0;
+        this.syncedFactorVersion = -1; // model.factorVersion the worker last received
+        
+        this._startWorker(options.useSharedMemory !== false);
+    }
+    
+    /**
+     * Spawns the worker and sends it the model.
+     * @private
+     */
+    _startWorker(useSharedMemory) {
+        if (typeof Worker === 'undefined') {
+            console.warn('[WorkerGibbsSampler] Web Workers unavailable, sampling on main thread');
+            return;
+        }
+        
+        try {
+            this.worker = new Worker(new URL('./GibbsWorker.js', import.meta.url), { type: 'module' });
+        } catch (error) {
+            console.warn('[WorkerGibbsSampler] Failed to start worker, sampling on main thread:', error);
+            this.worker = null;
+            return;
+        }
+        
+        const canShare = useSharedMemory &&
+            typeof SharedArrayBuffer !== 'undefined' &&
+            typeof self !== 'undefined' && self.crossOriginIsolated;
+        
+        const init = {
+            type: 'init',
+            options: {
+                topology: this.topology.toJSON(),
+                temperature: this.temperature,
+                blocks: this.getBlocks(),
+                algorithm: this.algorithm
+            },
+            biases: this.biases,
+            edgeWeights: this.edgeWeights,
+            factors: this.getFactors(),
+            blocks: this.getBlocks(), // After the factors, so they are not recolored away
+            temperature: this.temperature,
+            states: this.states,
+            clamped: this.getClamped(),
+            rngState: this.rng.getState() // Worker continues this stream for reproducible runs
+        };
+        
+        if (canShare) {
+            this.sharedStates = new Int8Array(new SharedArrayBuffer(this.nodeCount));
+            this.sharedVersion = new Int32Array(new SharedArrayBuffer(8));
+            this.sharedStates.set(this.states);
+            init.sharedStates = this.sharedStates.buffer;
+            init.sharedVersion = this.sharedVersion.buffer;
+        }
+        
+        this.worker.onmessage = (event) => this._handleMessage(event.data);
+        this.worker.onerror = (event) => {
+            console.error('[WorkerGibbsSampler] Worker error, sampling on main thread:', event.message);
+            this.dispose();
+        };
+        this.worker.postMessage(init);
+        this.syncedFactorVersion = this.model.factorVersion;
+    }
+    
+    /**
+     * Handles snapshots and errors from the worker.
+     * @private
+     */
+    _handleMessage(data) {
+        switch (data.type) {
+            case 'states':
+                this.states.set(new Int8Array(data.buffer));
+                this.totalSweeps = data.totalSweeps;
+                this.pendingSweeps = Math.max(0, this.pendingSweeps - data.sweeps);
+                this.notifyObservers();
+                break;
+            case 'done':
+                this.pendingSweeps = Math.max(0, this.pendingSweeps - data.sweeps);
+                break;
+            case 'error':
+                console.error('[WorkerGibbsSampler] Worker reported:', data.message);
+                break;
+        }
+    }
+    
+    /**
+     * Copies the shared snapshot into the mirror if a consistent newer one exists.
+     * Uses the worker's seqlock: the version is odd while a write is in progress.
+     * @private
+     */
+    _pullSharedSnapshot() {
+        if (!this.sharedStates) return;
+        
+        const before = Atomics.load(this.sharedVersion, 0);
+        if (before === this.lastVersion || before % 2 === 1) return;
+        
+        const snapshot = this.sharedStates.slice();
+        const totalSweeps = Atomics.load(this.sharedVersion, 1);
+        if (Atomics.load(this.sharedVersion, 0) !== before) return; // Torn read, retry next frame
+        
+        this.states.set(snapshot);
+        this.totalSweeps = totalSweeps;
+        this.lastVersion = before;
+        this.notifyObservers();
+    }
+    
+    /**
+     * Forwards biases, weights, temperature and algorithm to the worker. Factors and
+     * the blocks they were colored into are only sent after a factor change, since
+     * this runs on every parameter edit and every annealing step.
+     * @private
+     */
+    _syncParams() {
+        if (!this.worker) return;
+        const message = {
+            type: 'params',
+            biases: this.biases,
+            edgeWeights: this.edgeWeights,
+            temperature: this.temperature,
+            algorithm: this.algorithm
+        };
+        if (this.model.factorVersion !== this.syncedFactorVersion) {
+            message.factors = this.getFactors();
+            message.blocks = this.getBlocks();
+            this.syncedFactorVersion = this.model.factorVersion;
+        }
+        this.worker.postMessage(message);
+    }
+    
+    /**
+     * Adopts the latest worker snapshot and requests more sweeps without blocking.
+     */
+    gibbsStep() {
+        if (!this.worker) {
+            super.gibbsStep();
+            return;
+        }
+        
+        this._pullSharedSnapshot();
+        this.advanceSchedule();
+        
+        if (!this.isRunning && this.pendingSweeps < this.maxPendingSweeps) {
+            this.pendingSweeps += this.sweepsPerStep;
+            this.worker.postMessage({ type: 'step', sweeps: this.sweepsPerStep });
+        }
+    }
+    
+    /**
+     * Lets the worker sweep continuously instead of on request.
+     * @param {object} [options]
+     * @param {number} [options.sweepsPerTick=1] - Sweeps between published snapshots
+     * @param {number} [options.intervalMs=16] - Delay between ticks
+     */
+    start(options = {}) {
+        if (!this.worker) return;
+        this.isRunning = true;
+        this.worker.postMessage({
+            type: 'run',
+            sweepsPerTick: options.sweepsPerTick || this.sweepsPerStep,
+            intervalMs: options.intervalMs || 16
+        });
+    }
+    
+    /**
+     * Stops continuous sweeping.
+     */
+    stop() {
+        if (!this.worker) return;
+        this.isRunning = false;
+        this.worker.postMessage({ type: 'stop' });
+    }
+    
+    /**
+     * Gets the latest published state without blocking.
+     */
+    getStates() {
+        this._pullSharedSnapshot();
+        return super.getStates();
+    }
+    
+    /**
+     * Sets the temperature locally and in the worker.
+     */
+    setTemperature(temperature) {
+        super.setTemperature(temperature);
+        this._syncParams();
+    }
+    
+    /**
+     * Sets a bias locally and in the worker.
+     */
+    setBias(nodeIndex, bias) {
+        super.setBias(nodeIndex, bias);
+        this._syncParams();
+    }
+    
+    /**
+     * Sets biases and weights locally, then syncs the worker once.
+     */
+    setParameters(parameters) {
+        super.setParameters(parameters);
+        this._syncParams();
+    }
+    
+    /**
+     * Sets an edge weight locally and in the worker.
+     */
+    setWeight(i, j, weight) {
+        super.setWeight(i, j, weight);
+        this._syncParams();
+    }
+    
+    /**
+     * Adds a higher-order factor locally and in the worker.
+     */
+    addFactor(nodes, weight) {
+        const index = super.addFactor(nodes, weight);
+        this._syncParams();
+        return index;
+    }
+    
+    /**
+     * Switches the update rule locally and in the worker. Cluster highlights stay
+     * empty: the worker only publishes states.
+     */
+    setAlgorithm(algorithm) {
+        super.setAlgorithm(algorithm);
+        this._syncParams();
+    }
+    
+    /**
+     * Adds a table factor locally and in the worker.
+     */
+    addTableFactor(nodes, table) {
+        const index = super.addTableFactor(nodes, table);
+        this._syncParams();
+        return index;
+    }
+    
+    /**
+     * Replaces the higher-order factors locally and in the worker.
+     */
+    setFactors(factors) {
+        super.setFactors(factors);
+        this._syncParams();
+    }
+    
+    /**
+     * Applies the checkerboard weights locally and in the worker.
+     */
+    setCheckerboardPattern() {
+        super.setCheckerboardPattern();
+        this._syncParams();
+    }
+    
+    /**
+     * Applies the split weights locally and in the worker.
+     */
+    setSplitPattern() {
+        super.setSplitPattern();
+        this._syncParams();
+    }
+    
+    /**
+     * Replaces the block partition locally and in the worker.
+     */
+    setBlocks(blocks) {
+        super.setBlocks(blocks);
+        if (this.worker) {
+            this.worker.postMessage({ type: 'params', blocks: this.getBlocks() });
+        }
+    }
+    
+    /**
+     * Reseeds the PRNG locally and in the worker.
+     */
+    setSeed(seed) {
+        super.setSeed(seed);
+        if (this.worker) {
+            this.worker.postMessage({ type: 'seed', seed });
+        }
+    }
+    
+    /**
+     * Overwrites the state locally and in the worker.
+     */
+    setStates(states) {
+        super.setStates(states);
+        if (this.worker) {
+            this.worker.postMessage({ type: 'states', states: this.states });
+        }
+    }
+    
+    /**
+     * Writes the clamped values locally and sends the clamps to the worker.
+     * @private
+     */
+    _applyClamps() {
+        super._applyClamps();
+        if (this.worker) {
+            this.worker.postMessage({ type: 'clamp', clamped: this.getClamped() });
+        }
+    }
+    
+    /**
+     * Terminates the worker; subsequent steps run on the main thread.
+     */
+    dispose() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.sharedStates = null;
+        this.sharedVersion = null;
+        this.pendingSweeps = 0;
+        this.isRunning = false;
+    }
+}
@@ -16,6 +16,20 @@ export default class GuiManager {
      * @param {function(): void} callbacks.onFileUploadRequest - Called when the user clicks the upload button.
      * @param {function(): void} callbacks.onMicInputRequest - Called when the user clicks the microphone input button.
      * @param {function(): void} callbacks.onCameraInputRequest - Called when the user clicks the camera input button.
+     * @param {function(number): void} callbacks.onTemperatureChange - Called when the sampling temperature changes.
+     * @param {function(string): void} callbacks.onAnnealingChange - Called when the annealing schedule selection changes.
+     * @param {function(): void} callbacks.onFindGroundStateRequest - Called when the user starts a ground state search.
+     * @param {function(): void} callbacks.onClearClampsRequest - Called when the user releases all clamped nodes.
+     * @param {function(boolean): void} callbacks.onReplicaExchangeChange - Called when replica exchange is toggled.
+     * @param {function(string): void} callbacks.onReplicaViewChange - Called when the replica view ('cold' or 'all') changes.
+     * @param {function(boolean): void} callbacks.onExactValidationChange - Called when exact enumeration is toggled.
+     * @param {function(): void} callbacks.onTrainRequest - Called when the user starts contrastive divergence training.
+     * @param {function(boolean): void} callbacks.onHopfieldToggleRequest - Called when Hopfield memory mode is toggled.
+     * @param {function(number): void} callbacks.onCategoriesChange - Called when the number of node categories changes.
+     * @param {function(string): void} callbacks.onAlgorithmChange - Called when the sampling update rule changes.
+     * @param {function(boolean): void} callbacks.onAsyncModeChange - Called when asynchronous (Poisson-clock) pbits are toggled.
+     * @param {function(number): void} callbacks.onAsyncRateChange - Called when the pbit attempt rate changes.
+     * @param {function(string): void} callbacks.onBackendChange - Called when the preferred sampling backend changes.
      */
     constructor(params, callbacks) {
         /** @type {GUI} The dat.gui instance */
@@ -28,7 +42,8 @@ export default class GuiManager {
         /** @type {object} Store references to GUI controls for programmatic updates */
         this.controls = {
             colors: {},
-            bloom: {}
+            bloom: {},
+            thermodynamics: {}
         };
         
         /** @type {boolean} Track microphone state */
@@ -39,12 +54,15 @@ export default class GuiManager {
         this.voiceAssistantActive = false;
         /** @type {boolean} Track pbit sonifier state */
         this.pbitSonifierActive = false;
+        /** @type {boolean} Track Hopfield memory mode */
+        this.hopfieldActive = false;
         
         /** @type {MathTooltip} Tooltip system for mathematical explanations */
         this.tooltip = new MathTooltip();
-
+        
         this._setupColorControls();
         this._setupBloomControls();
+        this._setupThermodynamicControls();
         this._setupEffectControls();
         this._setupUploadControl();
         this._setupMicInputControl();
@@ -82,7 +100,7 @@ export default class GuiManager {
         // so we'll add tooltips via title attributes or custom overlays
         // For now, the main tooltips are in PbitDisplay
     }
-
+    
     /**
      * Sets up the dat.gui controls for color parameters.
      * @private
@@ -110,7 +128,7 @@ export default class GuiManager {
         });
         // colorsFolder.open(); // Optional: Keep the folder open by default
     }
-
+    
     /**
      * Sets up the dat.gui controls for bloom effect parameters.
      * @private
@@ -137,7 +155,120 @@ export default class GuiManager {
         });
         // bloomFolder.open(); // Optional: Keep the folder open by default
     }
-
+    
+    /**
+     * Sets up the controls for the Gibbs sampler temperature and annealing.
+     * @private
+     */
+    _setupThermodynamicControls() {
+        const thermoFolder = this.gui.addFolder('Thermodynamics');
+        this.controls.thermodynamics.temperature = thermoFolder.add(this.params, 'temperature', 0.1, 5).name('Temperature').onChange((value) => {
+            if (this.callbacks.onTemperatureChange && !this._silentUpdate) {
+                this.callbacks.onTemperatureChange(Number(value));
+            }
+        });
+        this.controls.thermodynamics.annealing = thermoFolder.add(this.params, 'annealing', ['fixed', 'linear', 'exponential', 'logarithmic', 'cosine', 'audio'])
+            .name('Annealing')
+            .onChange((value) => {
+                if (this.callbacks.onAnnealingChange && !this._silentUpdate) {
+                    this.callbacks.onAnnealingChange(value);
+                }
+            });
+        this.controls.thermodynamics.categories = thermoFolder.add(this.params, 'categories', { 'Ising (±1)': 2, 'Potts q=3': 3, 'Potts q=4': 4, 'Potts q=5': 5, 'Potts q=8': 8 })
+            .name('Node States')
+            .onChange((value) => {
+                if (this.callbacks.onCategoriesChange && !this._silentUpdate) {
+                    this.callbacks.onCategoriesChange(Number(value));
+                }
+            });
+        this.controls.thermodynamics.algorithm = thermoFolder.add(this.params, 'algorithm', {
+            'Block Gibbs': 'gibbs',
+            'Metropolis–Hastings': 'metropolis',
+            'Swendsen–Wang': 'swendsen-wang',
+            'Wolff': 'wolff'
+        })
+            .name('Update Rule')
+            .onChange((value) => {
+                if (this.callbacks.onAlgorithmChange && !this._silentUpdate) {
+                    this.callbacks.onAlgorithmChange(value);
+                }
+            });
+        this.controls.thermodynamics.asyncMode = thermoFolder.add(this.params, 'asyncMode').name('Async Pbits').onChange((value) => {
+            if (this.callbacks.onAsyncModeChange && !this._silentUpdate) {
+                this.callbacks.onAsyncModeChange(value);
+            }
+        });
+        this.controls.thermodynamics.asyncRate = thermoFolder.add(this.params, 'asyncRate', 1, 200).name('Pbit Rate (1/s)').onChange((value) => {
+            if (this.callbacks.onAsyncRateChange && !this._silentUpdate) {
+                this.callbacks.onAsyncRateChange(Number(value));
+            }
+        });
+        this.controls.thermodynamics.backend = thermoFolder.add(this.params, 'backend', {
+            'JavaScript': 'local',
+            'Web Worker': 'worker',
+            'THRML (HTTP)': 'thrml-http',
+            'THRML (Stream)': 'thrml-stream'
+        })
+            .name('Sampler Backend')
+            .onChange((value) => {
+                if (this.callbacks.onBackendChange && !this._silentUpdate) {
+                    this.callbacks.onBackendChange(value);
+                }
+            });
+        const groundStateTrigger = {
+            findGroundState: () => {
+                if (this.callbacks.onFindGroundStateRequest) {
+                    this.callbacks.onFindGroundStateRequest();
+                }
+            }
+        };
+        thermoFolder.add(groundStateTrigger, 'findGroundState').name('Find Ground State');
+        // Nodes are clamped by clicking them in the graph; this releases them all
+        const clampTrigger = {
+            clearClamps: () => {
+                if (this.callbacks.onClearClampsRequest) {
+                    this.callbacks.onClearClampsRequest();
+                }
+            }
+        };
+        thermoFolder.add(clampTrigger, 'clearClamps').name('Clear Clamped Nodes');
+        const trainTrigger = {
+            train: () => {
+                if (this.callbacks.onTrainRequest) {
+                    this.callbacks.onTrainRequest();
+                }
+            }
+        };
+        thermoFolder.add(trainTrigger, 'train').name('Train Bars & Stripes');
+        const hopfieldTrigger = {
+            toggleHopfield: () => {
+                if (this.callbacks.onHopfieldToggleRequest) {
+                    this.hopfieldActive = !this.hopfieldActive;
+                    this.callbacks.onHopfieldToggleRequest(this.hopfieldActive);
+                    this.updateHopfieldButtonText();
+                }
+            }
+        };
+        this.hopfieldButton = thermoFolder.add(hopfieldTrigger, 'toggleHopfield').name('🧠 Hopfield Memory: OFF');
+        this.controls.thermodynamics.replicaExchange = thermoFolder.add(this.params, 'replicaExchange').name('Replica Exchange').onChange((value) => {
+            if (this.callbacks.onReplicaExchangeChange && !this._silentUpdate) {
+                this.callbacks.onReplicaExchangeChange(value);
+            }
+        });
+        this.controls.thermodynamics.replicaView = thermoFolder.add(this.params, 'replicaView', ['cold', 'all'])
+            .name('Replica View')
+            .onChange((value) => {
+                if (this.callbacks.onReplicaViewChange && !this._silentUpdate) {
+                    this.callbacks.onReplicaViewChange(value);
+                }
+            });
+        this.controls.thermodynamics.exactValidation = thermoFolder.add(this.params, 'exactValidation').name('Exact Validation').onChange((value) => {
+            if (this.callbacks.onExactValidationChange && !this._silentUpdate) {
+                this.callbacks.onExactValidationChange(value);
+            }
+        });
+    }
+    
     /**
      * Sets up the dat.gui control for selecting the visual effect.
      * @private
@@ -152,7 +283,7 @@ export default class GuiManager {
                  }
             });
     }
-
+    
     /**
      * Sets up the dat.gui control for triggering the audio file upload.
      * @private
@@ -169,7 +300,7 @@ export default class GuiManager {
         // Add the button to the main GUI
         this.gui.add(uploadTrigger, 'upload').name('Upload Audio');
     }
-
+    
     /**
      * Sets up the dat.gui control for toggling microphone input.
      * @private
@@ -189,7 +320,7 @@ export default class GuiManager {
         // Add the button to the main GUI
         this.micButton = this.gui.add(micTrigger, 'toggleMic').name('🎤 Microphone: OFF');
     }
-
+    
     /**
      * Sets up the dat.gui control for toggling camera input for facial expressions.
      * @private
@@ -248,10 +379,10 @@ export default class GuiManager {
         this.pbitSonifierActive = false; // Track sonifier state
         this.pbitSonifierButton = this.gui.add(sonifierTrigger, 'toggleSonifier').name('🎵 Pbit Sonifier: OFF');
     }
-
+    
     /**
      * Updates a slider value programmatically without triggering callbacks.
-     * @param {string} category - Control category ('colors' or 'bloom')
+     * @param {string} category - Control category ('colors', 'bloom' or 'thermodynamics')
      * @param {string} name - Control name (e.g., 'red', 'threshold')
      * @param {number} value - New value to set
      * @param {boolean} silent - If true, don't trigger callbacks (default: true)
@@ -261,7 +392,7 @@ export default class GuiManager {
             console.warn(`Control not found: ${category}.${name}`);
             return;
         }
-
+        
         // Set silent flag to prevent callback execution
         this._silentUpdate = silent;
         
@@ -274,7 +405,7 @@ export default class GuiManager {
         // Clear silent flag
         this._silentUpdate = false;
     }
-
+    
     /**
      * Updates color sliders programmatically.
      * @param {object} colors - Object with u_red, u_green, u_blue values
@@ -300,7 +431,7 @@ export default class GuiManager {
             });
         }
     }
-
+    
     /**
      * Updates bloom sliders programmatically.
      * @param {object} bloom - Object with threshold, strength, radius values
@@ -326,7 +457,7 @@ export default class GuiManager {
             });
         }
     }
-
+    
     /**
      * Updates the microphone button text based on state.
      */
@@ -399,6 +530,24 @@ export default class GuiManager {
         this.updatePbitSonifierButtonText();
     }
     
+    /**
+     * Updates the Hopfield memory button text based on current state.
+     */
+    updateHopfieldButtonText() {
+        if (this.hopfieldButton) {
+            this.hopfieldButton.name(this.hopfieldActive ? '🧠 Hopfield Memory: ON' : '🧠 Hopfield Memory: OFF');
+        }
+    }
+    
+    /**
+     * Sets the Hopfield memory mode state.
+     * @param {boolean} active - Whether Hopfield mode is active
+     */
+    setHopfieldActive(active) {
+        this.hopfieldActive = active;
+        this.updateHopfieldButtonText();
+    }
+    
     // Optional: Method to hide/show GUI
     // toggleVisibility() { ... }
 } 
\ No newline at end of file
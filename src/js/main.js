@@ -11,6 +11,7 @@ import YouTubeAudioManager from './audio/YouTubeAudioManager';
 import VoiceAssistant from './voice/VoiceAssistant';
 import ConversationDisplay from './ui/ConversationDisplay';
 import PbitDisplay from './ui/PbitDisplay';
+import PatternEditor from './ui/PatternEditor';
 import PbitSonifier from './audio/PbitSonifier';
 import Navbar from './ui/Navbar';
 import WhitepaperView from './ui/WhitepaperView';
@@ -63,7 +64,26 @@ const effectParams = {
 	threshold: 0.3, // Adjusted bloom effect threshold
 	strength: 0.25,  // Adjusted bloom effect strength
 	radius: 0.8,    // Initial bloom effect radius
-	visualEffect: 'icosahedron' // Change default to icosahedron
+	visualEffect: 'icosahedron', // Change default to icosahedron
+	temperature: 1.0, // Gibbs sampler temperature
+	annealing: 'fixed', // Temperature schedule ('fixed' = no annealing)
+	replicaExchange: false, // Parallel tempering across a temperature ladder
+	replicaView: 'cold', // Show the cold replica or all replicas side-by-side
+	categories: 2, // Node states: 2 = ±1 spins, q > 2 = q-state Potts
+	algorithm: 'gibbs', // Update rule: block Gibbs, Metropolis or a cluster move
+	asyncMode: false, // Poisson-clock pbits in wall-clock time instead of frame-driven sweeps
+	asyncRate: 20, // Attempts per second of each asynchronous pbit
+	backend: 'local', // Sampling backend: 'local', 'worker', 'thrml-http' or 'thrml-stream'
+	exactValidation: false // Enumerate small models exactly and compare the sampler
+};
+
+// Annealing presets selectable from the GUI (see TemperatureSchedule.fromSpec)
+const annealingSchedules = {
+	linear: { type: 'linear', start: 5.0, end: 0.1, steps: 600 },
+	exponential: { type: 'exponential', start: 5.0, end: 0.1, steps: 600 },
+	logarithmic: { type: 'logarithmic', start: 5.0 },
+	cosine: { type: 'cosine', start: 4.0, end: 0.2, steps: 300, loop: true },
+	audio: { type: 'audio', min: 0.2, max: 5.0 }
 };
 
 // --- Module Instances ---
@@ -92,6 +112,8 @@ let voiceAssistant = null;
 let conversationDisplay = null;
 /** @type {PbitDisplay | null} */
 let pbitDisplay = null;
+/** @type {PatternEditor | null} */
+let patternEditor = null;
 /** @type {PbitSonifier | null} */
 let pbitSonifier = null;
 /** @type {Navbar | null} */
@@ -140,7 +162,9 @@ function init() {
 
     // 1. Initialize Core Scene
     updateLoadingText('Initializing 3D scene...');
-    sceneManager = new SceneManager();
+    // Optional ?seed=... makes every sampler and effect reproducible
+    const seedParam = new URLSearchParams(window.location.search).get('seed');
+    sceneManager = new SceneManager({ seed: seedParam !== null ? seedParam : undefined });
     console.log('✅ SceneManager initialized'); 
     
     // 2. Initialize Audio (needs the camera from SceneManager for the listener)
@@ -298,6 +322,137 @@ function init() {
                 console.warn('[Main] PbitSonifier not initialized');
                 if (guiManager) guiManager.setPbitSonifierActive(false);
             }
+        },
+        /** Sets a fixed sampling temperature (cancels annealing) */
+        onTemperatureChange: (temperature) => {
+            if (sceneManager && sceneManager.thermodynamicVisualizer) {
+                sceneManager.thermodynamicVisualizer.setTemperature(temperature);
+                effectParams.annealing = 'fixed';
+                if (guiManager) guiManager.controls.thermodynamics.annealing.updateDisplay();
+            }
+        },
+        /** Starts or stops annealing with the selected schedule */
+        onAnnealingChange: (scheduleName) => {
+            const visualizer = sceneManager && sceneManager.thermodynamicVisualizer;
+            if (!visualizer) return;
+            if (scheduleName === 'fixed') {
+                visualizer.stopAnnealing();
+            } else {
+                visualizer.startAnnealing(annealingSchedules[scheduleName]);
+            }
+        },
+        /** Anneals hot to cold and records the lowest-energy configuration */
+        onFindGroundStateRequest: () => {
+            if (sceneManager && sceneManager.thermodynamicVisualizer) {
+                sceneManager.thermodynamicVisualizer.findGroundState();
+                effectParams.annealing = 'exponential';
+                if (guiManager) guiManager.controls.thermodynamics.annealing.updateDisplay();
+            }
+        },
+        /** Releases every clamped node */
+        onClearClampsRequest: () => {
+            if (sceneManager && sceneManager.thermodynamicVisualizer) {
+                sceneManager.thermodynamicVisualizer.clearClamps();
+            }
+        },
+        /** Learns the bars-and-stripes patterns with persistent contrastive divergence */
+        onTrainRequest: () => {
+            if (sceneManager && sceneManager.thermodynamicVisualizer) {
+                sceneManager.thermodynamicVisualizer.trainBarsAndStripes();
+            }
+        },
+        /** Enters or leaves Hopfield memory mode and shows the pattern editor */
+        onHopfieldToggleRequest: (enable) => {
+            const visualizer = sceneManager && sceneManager.thermodynamicVisualizer;
+            if (!visualizer) return;
+            if (!enable) {
+                visualizer.disableHopfield();
+                if (patternEditor) patternEditor.hide();
+                return;
+            }
+            const shape = visualizer.enableHopfield();
+            if (!shape) {
+                console.warn('[Main] Hopfield mode needs a grid layout');
+                if (guiManager) guiManager.setHopfieldActive(false);
+                return;
+            }
+            // A rebuilt sampler (new topology or mode) drops the memory while the editor is open
+            const showStoredCount = () => {
+                const memory = visualizer.hopfield;
+                if (memory) patternEditor.setStoredCount(memory.patterns.length, memory.getCapacity());
+            };
+            if (!patternEditor) {
+                patternEditor = new PatternEditor(shape);
+                patternEditor.onStore = (pattern) => {
+                    visualizer.storeHopfieldPattern(pattern);
+                    showStoredCount();
+                };
+                patternEditor.onRecall = (pattern, noise) => visualizer.recallHopfieldPattern(pattern, noise);
+                patternEditor.onClear = () => {
+                    visualizer.clearHopfieldPatterns();
+                    showStoredCount();
+                };
+            } else {
+                patternEditor.setShape(shape.rows, shape.cols);
+            }
+            showStoredCount();
+            patternEditor.show();
+        },
+        /** Switches between ±1 spins and q-state Potts nodes */
+        onCategoriesChange: (q) => {
+            if (sceneManager && sceneManager.thermodynamicVisualizer) {
+                sceneManager.thermodynamicVisualizer.setCategories(q);
+            }
+        },
+        /** Switches between block Gibbs, Metropolis–Hastings and cluster updates */
+        onAlgorithmChange: (algorithm) => {
+            if (sceneManager && sceneManager.thermodynamicVisualizer) {
+                sceneManager.thermodynamicVisualizer.setAlgorithm(algorithm);
+            }
+        },
+        /** Lets every pbit flip on its own Poisson clock instead of in synchronous sweeps */
+        onAsyncModeChange: (enabled) => {
+            if (sceneManager && sceneManager.thermodynamicVisualizer) {
+                const active = sceneManager.thermodynamicVisualizer.setAsyncMode(enabled, { rate: effectParams.asyncRate });
+                if (enabled && !active) {
+                    effectParams.asyncMode = false;
+                    if (guiManager) guiManager.controls.thermodynamics.asyncMode.updateDisplay();
+                }
+            }
+        },
+        /** Sets how often each asynchronous pbit attempts a flip */
+        onAsyncRateChange: (rate) => {
+            if (sceneManager && sceneManager.thermodynamicVisualizer) {
+                sceneManager.thermodynamicVisualizer.setAsyncRate(rate);
+            }
+        },
+        /** Chooses where sweeps run; unavailable backends fail over to the next one */
+        onBackendChange: (backend) => {
+            if (sceneManager && sceneManager.thermodynamicVisualizer) {
+                sceneManager.thermodynamicVisualizer.setBackend(backend);
+            }
+        },
+        /** Switches between plain Gibbs sampling and replica exchange */
+        onReplicaExchangeChange: (enabled) => {
+            if (sceneManager && sceneManager.thermodynamicVisualizer) {
+                sceneManager.thermodynamicVisualizer.setReplicaExchange(enabled);
+            }
+        },
+        /** Compares the sampler against the exact distribution (small models only) */
+        onExactValidationChange: (enabled) => {
+            if (sceneManager && sceneManager.thermodynamicVisualizer) {
+                const active = sceneManager.thermodynamicVisualizer.setExactValidation(enabled);
+                if (enabled && !active) {
+                    effectParams.exactValidation = false;
+                    if (guiManager) guiManager.controls.thermodynamics.exactValidation.updateDisplay();
+                }
+            }
+        },
+        /** Shows the cold replica or every replica side-by-side */
+        onReplicaViewChange: (view) => {
+            if (sceneManager && sceneManager.thermodynamicVisualizer) {
+                sceneManager.thermodynamicVisualizer.setReplicaView(view);
+            }
         }
     };
     // Create the GUI, passing the initial parameters and the callbacks
@@ -609,9 +764,19 @@ function startAnimationLoop() {
                 const temperature = sceneManager.thermodynamicVisualizer.temperature;
                 pbitDisplay.update(pbitStats, energy, temperature);
                 
+                // Keep the temperature slider in step with the annealing schedule
+                if (guiManager && sceneManager.thermodynamicVisualizer.isAnnealing()) {
+                    guiManager.updateSliderValue('thermodynamics', 'temperature', temperature);
+                }
+                
                 // Update pbit sonifier (audio synthesis from pbit states)
                 if (pbitSonifier && pbitSonifier.isInitialized && pbitSonifier.isEnabled) {
-                    pbitSonifier.update(pbitStats.states, pbitStats.probabilities);
+                    if (pbitStats.categorical) {
+                        // Potts nodes: each category selects a scale degree
+                        pbitSonifier.updateCategorical(pbitStats.categorical.states, pbitStats.categorical.probabilities);
+                    } else {
+                        pbitSonifier.update(pbitStats.states, pbitStats.probabilities);
+                    }
                 }
             }
         }
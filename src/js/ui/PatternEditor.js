@@ -0,0 +1,263 @@
+import HopfieldMemory from '../effects/HopfieldMemory';
+
+/**
+ * Pattern editor for Hopfield memory mode.
+ * A small panel with a clickable grid for drawing ±1 patterns, a preset picker and
+ * buttons to store the drawing, start recall from a noisy copy, or clear the memory.
+ */
+export default class PatternEditor {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.rows=4] - Grid rows
+     * @param {number} [options.cols=4] - Grid columns
+     */
+    constructor(options = {}) {
+        this.rows = options.rows || 4;
+        this.cols = options.cols || 4;
+        this.pattern = new Int8Array(this.rows * this.cols).fill(-1);
+        this.noise = 0.25; // Fraction of cue bits flipped before recall
+        this.storedCount = 0;
+        this.displayElement = null;
+        this.gridElement = null;
+        this.isVisible = false;
+        
+        // Callbacks
+        this.onStore = null; // Called with the drawn pattern (Int8Array)
+        this.onRecall = null; // Called with (pattern, noise)
+        this.onClear = null;
+        
+        this._createDisplay();
+    }
+    
+    /**
+     * Creates the editor panel.
+     * @private
+     */
+    _createDisplay() {
+        this.displayElement = document.createElement('div');
+        this.displayElement.id = 'pattern-editor';
+        this.displayElement.style.cssText = `
+            position: fixed;
+            top: 80px;
+            left: 20px;
+            width: 220px;
+            background: linear-gradient(135deg, rgba(10, 10, 30, 0.95) 0%, rgba(20, 20, 50, 0.95) 100%);
+            color: #00ffff;
+            padding: 16px;
+            border-radius: 16px;
+            font-family: 'Courier New', monospace;
+            backdrop-filter: blur(20px);
+            border: 2px solid rgba(0, 255, 255, 0.3);
+            box-shadow: 0 8px 32px rgba(0, 0, 0, 0.5), 0 0 20px rgba(0, 255, 255, 0.2);
+            z-index: 999;
+            display: none;
+        `;
+        
+        const title = document.createElement('div');
+        title.textContent = '🧠 HOPFIELD MEMORY';
+        title.style.cssText = `
+            font-size: 14px;
+            font-weight: bold;
+            letter-spacing: 2px;
+            text-shadow: 0 0 10px rgba(0, 255, 255, 0.5);
+            margin-bottom: 10px;
+        `;
+        
+        const presetSelect = document.createElement('select');
+        presetSelect.style.cssText = this._controlStyle();
+        presetSelect.innerHTML = '<option value="">Draw or pick a pattern…</option>';
+        this.presetSelect = presetSelect;
+        presetSelect.addEventListener('change', () => {
+            const presets = HopfieldMemory.presetPatterns(this.rows, this.cols);
+            if (presets[presetSelect.value]) {
+                this.setPattern(presets[presetSelect.value]);
+            }
+        });
+        
+        this.gridElement = document.createElement('div');
+        this.gridElement.style.cssText = `
+            display: grid;
+            gap: 3px;
+            margin: 10px 0;
+        `;
+        
+        this.countElement = document.createElement('div');
+        this.countElement.style.cssText = `
+            font-size: 11px;
+            color: rgba(0, 255, 255, 0.7);
+            margin-bottom: 8px;
+        `;
+        
+        const storeButton = this._createButton('Store Pattern', () => {
+            if (this.onStore) this.onStore(Int8Array.from(this.pattern));
+        });
+        const recallButton = this._createButton('Recall from Noisy Copy', () => {
+            if (this.onRecall) this.onRecall(Int8Array.from(this.pattern), this.noise);
+        });
+        const clearButton = this._createButton('Clear Memory', () => {
+            if (this.onClear) this.onClear();
+        });
+        
+        const noiseLabel = document.createElement('label');
+        noiseLabel.style.cssText = 'display: block; font-size: 11px; margin: 6px 0;';
+        const noiseInput = document.createElement('input');
+        noiseInput.type = 'range';
+        noiseInput.min = '0';
+        noiseInput.max = '0.5';
+        noiseInput.step = '0.05';
+        noiseInput.value = String(this.noise);
+        noiseInput.style.cssText = 'width: 100%;';
+        const updateNoiseLabel = () => {
+            noiseLabel.firstChild.textContent = `Cue noise: ${Math.round(this.noise * 100)}%`;
+        };
+        noiseLabel.appendChild(document.createTextNode(''));
+        noiseLabel.appendChild(noiseInput);
+        noiseInput.addEventListener('input', () => {
+            this.noise = Number(noiseInput.value);
+            updateNoiseLabel();
+        });
+        updateNoiseLabel();
+        
+        this.displayElement.appendChild(title);
+        this.displayElement.appendChild(presetSelect);
+        this.displayElement.appendChild(this.gridElement);
+        this.displayElement.appendChild(this.countElement);
+        this.displayElement.appendChild(noiseLabel);
+        this.displayElement.appendChild(storeButton);
+        this.displayElement.appendChild(recallButton);
+        this.displayElement.appendChild(clearButton);
+        
+        this.setShape(this.rows, this.cols);
+        this.setStoredCount(0);
+        
+        document.body.appendChild(this.displayElement);
+    }
+    
+    /**
+     * Shared style for buttons and selects.
+     * @private
+     */
+    _controlStyle() {
+        return `
+            width: 100%;
+            margin-top: 6px;
+            padding: 6px;
+            background: rgba(0, 255, 255, 0.1);
+            color: #00ffff;
+            border: 1px solid rgba(0, 255, 255, 0.4);
+            border-radius: 6px;
+            font-family: inherit;
+            font-size: 11px;
+            cursor: pointer;
+        `;
+    }
+    
+    /**
+     * Creates a panel button.
+     * @private
+     */
+    _createButton(label, onClick) {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.style.cssText = this._controlStyle();
+        button.addEventListener('click', onClick);
+        return button;
+    }
+    
+    /**
+     * Resizes the drawing grid (clears the drawing).
+     * @param {number} rows - Grid rows
+     * @param {number} cols - Grid columns
+     */
+    setShape(rows, cols) {
+        this.rows = rows;
+        this.cols = cols;
+        this.pattern = new Int8Array(rows * cols).fill(-1);
+        
+        const presets = HopfieldMemory.presetPatterns(rows, cols);
+        this.presetSelect.length = 1;
+        for (const name of Object.keys(presets)) {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            this.presetSelect.appendChild(option);
+        }
+        
+        this.gridElement.innerHTML = '';
+        this.gridElement.style.gridTemplateColumns = `repeat(${cols}, 1fr)`;
+        this.cells = [];
+        for (let i = 0; i < rows * cols; i++) {
+            const cell = document.createElement('div');
+            cell.style.cssText = `
+                aspect-ratio: 1;
+                border-radius: 4px;
+                border: 1px solid rgba(0, 255, 255, 0.3);
+                cursor: pointer;
+            `;
+            cell.addEventListener('click', () => {
+                this.pattern[i] = -this.pattern[i];
+                this.presetSelect.value = '';
+                this._renderCell(i);
+            });
+            this.gridElement.appendChild(cell);
+            this.cells.push(cell);
+            this._renderCell(i);
+        }
+    }
+    
+    /**
+     * Colors a cell to match the graph nodes (green = +1, pink = -1).
+     * @private
+     */
+    _renderCell(i) {
+        this.cells[i].style.background = this.pattern[i] === 1 ? '#00ff00' : 'rgba(255, 0, 136, 0.35)';
+    }
+    
+    /**
+     * Replaces the drawing.
+     * @param {ArrayLike<number>} pattern - ±1 values, row-major
+     */
+    setPattern(pattern) {
+        for (let i = 0; i < this.pattern.length; i++) {
+            this.pattern[i] = pattern[i] > 0 ? 1 : -1;
+            this._renderCell(i);
+        }
+    }
+    
+    /**
+     * Updates the stored-pattern counter.
+     * @param {number} count - Patterns in memory
+     * @param {number} [capacity] - Approximate capacity
+     */
+    setStoredCount(count, capacity = null) {
+        this.storedCount = count;
+        this.countElement.textContent = capacity !== null
+            ? `Stored: ${count} (capacity ≈ ${capacity})`
+            : `Stored: ${count}`;
+    }
+    
+    /**
+     * Shows the editor.
+     */
+    show() {
+        this.isVisible = true;
+        this.displayElement.style.display = 'block';
+    }
+    
+    /**
+     * Hides the editor.
+     */
+    hide() {
+        this.isVisible = false;
+        this.displayElement.style.display = 'none';
+    }
+    
+    /**
+     * Removes the editor element.
+     */
+    dispose() {
+        if (this.displayElement && this.displayElement.parentNode) {
+            this.displayElement.parentNode.removeChild(this.displayElement);
+        }
+    }
+}
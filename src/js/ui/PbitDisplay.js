@@ -105,7 +105,13 @@ export default class PbitDisplay {
             averageProbability: 0,
             variability: 0,
             states: [],
-            probabilities: []
+            probabilities: [],
+            observables: null,
+            groundState: null,
+            replicaExchange: null,
+            training: null,
+            hopfield: null,
+            annealing: null
         });
         
         // Assemble display
@@ -140,7 +146,7 @@ export default class PbitDisplay {
         this.tooltip.attach(activeRow.querySelector('span:last-child'), {
             title: 'Active Pbits (+1)',
             formula: 'Active = Σᵢ [xᵢ = +1]',
-            explanation: 'Number of pbits currently in state +1. In Gibbs sampling, states are sampled from: P(xᵢ = +1) = σ(γᵢ) where γᵢ = 2(bᵢ + Σwᵢⱼxⱼ).',
+            explanation: 'Number of pbits currently in state +1. In Gibbs sampling, states are sampled from: P(xᵢ = +1) = σ(γᵢ) where γᵢ = 2β(bᵢ + Σwᵢⱼxⱼ).',
             visualization: 'Green spheres indicate active (+1) states.'
         });
         this.statsElement.appendChild(activeRow);
@@ -170,8 +176,8 @@ export default class PbitDisplay {
             const energyRow = this._createStatRow('Energy', energy.toFixed(2), '#ffaa00');
             this.tooltip.attach(energyRow.querySelector('span:last-child'), {
                 title: 'Energy Function',
-                formula: 'E(x) = -β(Σᵢ bᵢxᵢ + Σ₍ᵢ,ⱼ₎ wᵢⱼxᵢxⱼ)',
-                explanation: 'Energy-based model (EBM) energy. Lower energy = higher probability. P(x) ∝ e^(-E(x)). β = 1/T is the inverse temperature. The system samples states with probability proportional to e^(-E(x)).',
+                formula: 'E(x) = -(Σᵢ bᵢxᵢ + Σ₍ᵢ,ⱼ₎ wᵢⱼxᵢxⱼ)',
+                explanation: 'Energy-based model (EBM) energy. Lower energy = higher probability. P(x) ∝ e^(-βE(x)), where β = 1/T is the inverse temperature. The energy itself does not depend on T; temperature only sets how strongly the sampler prefers low energies.',
                 visualization: 'Energy field particles flow around the icosahedron. Lower energy regions are more likely states.'
             });
             this.statsElement.appendChild(energyRow);
@@ -183,12 +189,212 @@ export default class PbitDisplay {
             this.tooltip.attach(tempRow.querySelector('span:last-child'), {
                 title: 'Temperature Parameter',
                 formula: 'T = 1/β',
-                explanation: 'Temperature controls the sharpness of the probability distribution. Higher T = more random sampling. Lower T = more deterministic. β scales all weights and biases in the energy function: E(x) = -β(Σbᵢxᵢ + Σwᵢⱼxᵢxⱼ).',
+                explanation: 'Temperature controls the sharpness of the probability distribution. Higher T = more random sampling. Lower T = more deterministic. β scales the energy in the Boltzmann distribution P(x) ∝ e^(-βE(x)) and every conditional: P(xᵢ = +1) = σ(2β(bᵢ + Σwᵢⱼxⱼ)).',
                 visualization: 'Temperature affects how quickly the Gibbs sampler converges and how much randomness is in the sampling.'
             });
             this.statsElement.appendChild(tempRow);
         }
         
+        // Sampler observables (running averages from the Gibbs chain)
+        if (stats.observables && stats.observables.samples > 0) {
+            const obs = stats.observables;
+            
+            const magRow = this._createStatRow('⟨m⟩', obs.magnetization.toFixed(3), '#00ff88');
+            if (obs.categories) {
+                this.tooltip.attach(magRow.querySelector('span:last-child'), {
+                    title: 'Potts Order Parameter',
+                    formula: 'm = (q·maxₖ nₖ/N - 1) / (q - 1)',
+                    explanation: `Running average over ${obs.samples} sweeps of how strongly one of the q = ${obs.categories} categories dominates. 1 when every node agrees, 0 when categories are evenly mixed. Each node samples its category from a softmax P(xᵢ=c) ∝ exp(β(hᵢ(c) + Σⱼ Jᵢⱼ δ(c, xⱼ))).`,
+                    visualization: 'Node colors are categories; ordered phases show large single-color domains.'
+                });
+            } else this.tooltip.attach(magRow.querySelector('span:last-child'), {
+                title: 'Mean Magnetization',
+                formula: '⟨m⟩ = ⟨(1/N) Σᵢ xᵢ⟩',
+                explanation: `Running average of the magnetization over ${obs.samples} Gibbs sweeps. ⟨|m|⟩ = ${obs.absMagnetization.toFixed(3)}, susceptibility χ = βN·Var(m) = ${obs.susceptibility.toFixed(3)}. Per-node marginals P(xᵢ=+1) = (1+⟨xᵢ⟩)/2 are tracked as well.`,
+                visualization: 'Near +1 or -1 the graph is ordered; near 0 it is disordered or frozen in domains.'
+            });
+            this.statsElement.appendChild(magRow);
+            
+            const heatRow = this._createStatRow('Heat Capacity', obs.heatCapacity.toFixed(3), '#ffaa00');
+            this.tooltip.attach(heatRow.querySelector('span:last-child'), {
+                title: 'Heat Capacity',
+                formula: 'C = β²(⟨E²⟩ - ⟨E⟩²)',
+                explanation: `Energy fluctuations of the chain. ⟨E⟩ = ${obs.energyMean.toFixed(3)}, Var(E) = ${obs.energyVariance.toFixed(3)}. C peaks near a phase transition.`,
+                visualization: 'Sweep the temperature and watch for the peak.'
+            });
+            this.statsElement.appendChild(heatRow);
+            
+            const tau = obs.autocorrelationTime;
+            const tauRow = this._createStatRow('τ_int', Number.isFinite(tau) ? tau.toFixed(1) + ' sweeps' : '—', '#00ffff');
+            this.tooltip.attach(tauRow.querySelector('span:last-child'), {
+                title: 'Integrated Autocorrelation Time',
+                formula: 'τ_int = ½ + Σₜ ρ(t)',
+                explanation: 'How many sweeps it takes for the magnetization to decorrelate (Sokal windowing). Effective sample size ≈ samples / (2τ_int). Large τ_int means the chain is mixing slowly.',
+                visualization: 'Grows sharply near the critical temperature and at low temperature.'
+            });
+            this.statsElement.appendChild(tauRow);
+        }
+        
+        // Replica exchange swap acceptance
+        if (stats.replicaExchange) {
+            const exchange = stats.replicaExchange;
+            const swapRow = this._createStatRow('Swap Rate', (exchange.rate * 100).toFixed(1) + '%', '#66aaff');
+            const ladder = exchange.temperatures.map(t => t.toFixed(2)).join(' → ');
+            const pairRates = exchange.pairs.map(p => (p.rate * 100).toFixed(0) + '%').join(', ');
+            this.tooltip.attach(swapRow.querySelector('span:last-child'), {
+                title: 'Replica Exchange',
+                formula: 'P(swap) = min(1, e^((βₖ - βₖ₊₁)(Eₖ - Eₖ₊₁)))',
+                explanation: `${exchange.temperatures.length} replicas at T = ${ladder}. Neighbors swap configurations after each sweep; acceptance per pair: ${pairRates}. Hot replicas cross energy barriers and pass their configurations down to the cold chain.`,
+                visualization: 'Aim for 20-40% per pair. Near 0% the ladder is too sparse; near 100% it is wastefully dense.'
+            });
+            this.statsElement.appendChild(swapRow);
+        }
+        
+        // Exact enumeration: partition function and the sampler's distance from ground truth
+        if (stats.exact) {
+            const exact = stats.exact;
+            const zRow = this._createStatRow(exact.pending ? 'log Z (settling)' : 'log Z (exact)', exact.logZ.toFixed(3), '#ffdd55');
+            this.tooltip.attach(zRow.querySelector('span:last-child'), {
+                title: 'Partition Function',
+                formula: 'Z = Σₓ e^(-βH(x)),  F = -T log Z,  S = β(⟨H⟩ - F)',
+                explanation: `${exact.pending ? 'Previous model: the model is changing (annealing, training or edits) and is re-enumerated once it holds still. ' : ''}Summed exactly over all ${exact.stateCount} configurations. Free energy F = ${exact.freeEnergy.toFixed(3)}, mean energy ⟨H⟩ = ${exact.meanEnergy.toFixed(3)}, entropy S = ${exact.entropy.toFixed(3)} nats, heat capacity C = ${exact.heatCapacity.toFixed(3)}, ground energy ${exact.groundEnergy.toFixed(3)}.`,
+                visualization: 'Only feasible for small graphs (here up to 2^16 configurations); the sampler exists because Z is intractable beyond that.'
+            });
+            this.statsElement.appendChild(zRow);
+            
+            if (exact.comparison) {
+                const comparison = exact.comparison;
+                const klRow = this._createStatRow('KL(p̂‖P)', comparison.klDivergence.toFixed(4), '#ffdd55');
+                this.tooltip.attach(klRow.querySelector('span:last-child'), {
+                    title: 'Sampler vs Exact Distribution',
+                    formula: 'KL(p̂‖P) = Σₓ p̂(x) log(p̂(x)/P(x)),  TV = ½Σₓ |p̂(x) - P(x)|',
+                    explanation: `Distance between the histogram of ${comparison.samples} sampled states (${comparison.support} distinct) and the exact Boltzmann distribution. Total variation ${comparison.totalVariation.toFixed(4)}, largest marginal error ${comparison.maxMarginalError.toFixed(4)}.`,
+                    visualization: 'Both shrink toward 0 as samples accumulate if the sampler is correct; a plateau means a biased sampler.'
+                });
+                this.statsElement.appendChild(klRow);
+            }
+        }
+        
+        // Clamped nodes: the free nodes sample P(x_free | x_clamped)
+        if (stats.clamped) {
+            const clamped = stats.clamped;
+            const value = clamped.freeMagnetization !== null
+                ? `${clamped.count} · ⟨m⟩ ${clamped.freeMagnetization.toFixed(2)}`
+                : clamped.count.toString();
+            const clampRow = this._createStatRow('Clamped', value, '#ffffff');
+            const evidence = Object.entries(clamped.nodes).map(([i, v]) => `x${i}=${v}`).join(', ');
+            this.tooltip.attach(clampRow.querySelector('span:last-child'), {
+                title: 'Conditional Sampling',
+                formula: 'P(x_free | x_clamped) ∝ e^(-βE(x_free, x_clamped))',
+                explanation: `Clamped nodes (${evidence}) are held fixed and skipped by every sweep, so the rest of the graph samples the conditional distribution given this evidence, which is how inference works in an energy-based model. ⟨m⟩ is the mean conditional magnetization of the free nodes.`,
+                visualization: 'Click a graph node to clamp it (+1, then -1, then free). Ringed nodes are clamped; free nodes blend from red to green with P(xᵢ = +1 | evidence).'
+            });
+            this.statsElement.appendChild(clampRow);
+        }
+        
+        // Sampling backend, shown when it is not the default or has failed over
+        if (stats.backend && (stats.backend.name !== 'local' || stats.backend.reason)) {
+            const backend = stats.backend;
+            const backendRow = this._createStatRow('Backend', backend.label, backend.reason ? '#ffaa00' : '#ffffff');
+            const lastError = backend.error ? ` Last error (${backend.error.type}): ${backend.error.message}.` : '';
+            this.tooltip.attach(backendRow.querySelector('span:last-child'), {
+                title: 'Sampling Backend',
+                formula: `${backend.preferred} → ${backend.label}`,
+                explanation: (backend.reason
+                    ? `${backend.reason}, so ${backend.label} is sampling instead. The preferred backend is health-checked periodically and takes over again as soon as it can.`
+                    : `States come from ${backend.label}. The model and the displayed state stay in the page, so backends can be switched without resetting the graph.`) + lastError,
+                visualization: 'Orange while a fallback backend is running. BackendUnavailable means the server did not answer, ValidationError that it cannot accept this model, SamplingFailed that sampling failed on the server.'
+            });
+            this.statsElement.appendChild(backendRow);
+            
+            // Remote backends: round-trip time and delivered states per second
+            const metrics = backend.metrics;
+            if (metrics && metrics.meanLatency !== null) {
+                const linkRow = this._createStatRow('Link', `${metrics.meanLatency.toFixed(0)} ms · ${metrics.throughput.toFixed(0)}/s`, '#ffffff');
+                const batching = metrics.transport === 'sse'
+                    ? `States are pushed by the server; ${metrics.dropped} arrived faster than frames and were skipped.`
+                    : `Requests fetch batches of samples that are played back while the next batch loads (${metrics.queued} queued, ${metrics.inFlight} in flight).`;
+                this.tooltip.attach(linkRow.querySelector('span:last-child'), {
+                    title: 'Remote Sampler Link',
+                    formula: `latency ${metrics.latency.toFixed(0)} ms (mean ${metrics.meanLatency.toFixed(0)} ms), ${metrics.requests} requests`,
+                    explanation: `${batching} Responses are ordered by the server's step count: ${metrics.stale} late responses were discarded and ${metrics.cancelled} requests cancelled. ${metrics.failures} requests failed.`,
+                    visualization: 'Throughput counts the states received per second.'
+                });
+                this.statsElement.appendChild(linkRow);
+            }
+        }
+        
+        // Asynchronous pbits: observed flips per second of simulated time
+        if (stats.async) {
+            const asyncRow = this._createStatRow('Flips / s', stats.async.eventRate.toFixed(0), '#ffffff');
+            this.tooltip.attach(asyncRow.querySelector('span:last-child'), {
+                title: 'Asynchronous Pbits',
+                formula: `rᵢ = ν·σ(-xᵢγᵢ),  ν = ${stats.async.rate} /s`,
+                explanation: `Every pbit runs its own Poisson clock and flips at rate rᵢ, the attempt rate ν times the probability that a fresh sample would disagree with its current value. There are no synchronous sweeps: events are simulated one at a time in wall-clock time (${stats.async.time.toFixed(1)} s so far), like free-running pbit hardware, and the statistics sample the state every 1/ν seconds.`,
+                visualization: 'A node lights up white when it flips and fades over a fraction of a second.'
+            });
+            this.statsElement.appendChild(asyncRow);
+        }
+        
+        // Cluster moves: size of the last flipped cluster
+        if (!stats.async && stats.algorithm && (stats.algorithm.name === 'swendsen-wang' || stats.algorithm.name === 'wolff')) {
+            const isWolff = stats.algorithm.name === 'wolff';
+            const clusterRow = this._createStatRow(isWolff ? 'Wolff Cluster' : 'SW Flipped', stats.algorithm.clusterSize.toString(), '#ffffff');
+            this.tooltip.attach(clusterRow.querySelector('span:last-child'), {
+                title: isWolff ? 'Wolff Cluster Update' : 'Swendsen–Wang Update',
+                formula: 'p_bond = 1 - e^(-2β|wᵢⱼ|) on satisfied edges (wᵢⱼxᵢxⱼ > 0)',
+                explanation: isWolff
+                    ? 'Each sweep grows one cluster from a random node by bonding aligned neighbors with probability p_bond, then flips the whole cluster. Near the critical temperature the clusters are as large as the domains, so the chain decorrelates far faster than with single-site updates.'
+                    : 'Each sweep bonds every satisfied edge with probability p_bond, splits the graph into the resulting clusters and flips each cluster with probability ½ (adjusted for biases). The number shows how many nodes flipped.',
+                visualization: 'Nodes flipped by the last move are highlighted white and enlarged.'
+            });
+            this.statsElement.appendChild(clusterRow);
+        }
+        
+        // Hopfield recall: overlap with each stored pattern
+        if (stats.hopfield && stats.hopfield.patterns > 0) {
+            const hopfield = stats.hopfield;
+            hopfield.overlaps.forEach((overlap, p) => {
+                const color = p === hopfield.recalled ? '#ffff00' : 'rgba(0, 255, 255, 0.6)';
+                const overlapRow = this._createStatRow(`Overlap m${p + 1}`, overlap.toFixed(2), color);
+                this.tooltip.attach(overlapRow.querySelector('span:last-child'), {
+                    title: 'Pattern Overlap',
+                    formula: 'mᵤ = (1/N) Σᵢ ξᵢᵘ xᵢ',
+                    explanation: `Agreement between the current state and stored pattern ${p + 1}: +1 is a perfect recall, -1 its mirror image (also an attractor), 0 unrelated. Hebbian weights wᵢⱼ = (1/N) Σᵤ ξᵢᵘ ξⱼᵘ make each pattern an energy minimum; ${hopfield.patterns} stored, capacity ≈ ${hopfield.capacity}.`,
+                    visualization: 'After a noisy cue, the recalled pattern\'s overlap climbs toward ±1.'
+                });
+                this.statsElement.appendChild(overlapRow);
+            });
+        }
+        
+        // Contrastive divergence training progress
+        if (stats.training) {
+            const training = stats.training;
+            const label = training.isTraining ? `Pseudo-LL (epoch ${training.epoch})` : 'Pseudo-LL';
+            const trainingRow = this._createStatRow(label, training.pseudoLikelihood.toFixed(3), '#aaff66');
+            this.tooltip.attach(trainingRow.querySelector('span:last-child'), {
+                title: 'Contrastive Divergence Training',
+                formula: 'Δwᵢⱼ ∝ ⟨xᵢxⱼ⟩_data − ⟨xᵢxⱼ⟩_model',
+                explanation: `Mean log pseudo-likelihood per node, (1/N)Σᵢ log P(xᵢ | x₋ᵢ), of the training patterns after ${training.step} gradient steps (|∇| = ${training.gradientNorm.toFixed(3)}). It rises toward 0 as the model learns to predict each pixel from its neighbors.`,
+                visualization: 'Watch the graph: samples start to look like the training patterns.'
+            });
+            this.statsElement.appendChild(trainingRow);
+        }
+        
+        // Lowest-energy configuration seen (ground state search)
+        if (stats.groundState) {
+            const ground = stats.groundState;
+            const label = stats.annealing ? `Best E (${stats.annealing})` : 'Best E';
+            const groundRow = this._createStatRow(label, ground.energy.toFixed(3), '#ff66ff');
+            this.tooltip.attach(groundRow.querySelector('span:last-child'), {
+                title: 'Ground State Search',
+                formula: 'x* = argmin E(x)',
+                explanation: `Lowest energy visited so far, found at sweep ${ground.step} (T = ${ground.temperature.toFixed(2)}). Simulated annealing lowers T along a schedule so the chain settles into low-energy configurations instead of sampling them all.`,
+                visualization: 'Use "Find Ground State" to cool from hot to cold and keep the best configuration.'
+            });
+            this.statsElement.appendChild(groundRow);
+        }
+        
         // Probability bar
         const barContainer = document.createElement('div');
         barContainer.style.cssText = `
@@ -263,7 +469,7 @@ export default class PbitDisplay {
                     formula: state === 1 
                         ? `P(x${i}=+1) = σ(γ${i}) = ${prob.toFixed(3)}`
                         : `P(x${i}=-1) = 1 - σ(γ${i}) = ${(1-prob).toFixed(3)}`,
-                    explanation: `Current state: ${state === 1 ? '+1 (Active)' : '-1 (Inactive)'}. Opacity represents probability: ${(prob*100).toFixed(1)}%. State sampled from Bernoulli distribution using Gibbs sampling: γ${i} = 2(b${i} + Σw${i}ⱼxⱼ).`,
+                    explanation: `Current state: ${state === 1 ? '+1 (Active)' : '-1 (Inactive)'}. Opacity represents probability: ${(prob*100).toFixed(1)}%. State sampled from Bernoulli distribution using Gibbs sampling: γ${i} = 2β(b${i} + Σw${i}ⱼxⱼ).`,
                     visualization: 'Green = +1, Red = -1. Opacity = probability strength.'
                 });
                 
@@ -0,0 +1,118 @@
+/**
+ * Detailed balance of every update rule on small graphs, with and without factors
+ * and clamps: the samplers must leave their own Boltzmann distribution invariant.
+ *
+ *   npm test
+ */
+import assert from 'node:assert/strict';
+import { register } from 'node:module';
+import { describe, it } from 'node:test';
+import DetailedBalanceCheck from './DetailedBalanceCheck.mjs';
+
+register('../thrml_api/mock/loader.mjs', import.meta.url); // Extensionless imports in src/
+
+const { default: GibbsSampler } = await import('../src/js/effects/GibbsSampler.js');
+const { default: PottsSampler } = await import('../src/js/effects/PottsSampler.js');
+const { default: Random } = await import('../src/js/core/Random.js');
+
+/**
+ * Small models with random biases and couplings of both signs.
+ * Each entry builds a fresh sampler for an update rule.
+ */
+const MODELS = {
+    '2x3 grid': options => randomize(new GibbsSampler({ topology: 'grid', nodeCount: 6, ...options })),
+    '5-node ring with a product factor': options => {
+        const sampler = randomize(new GibbsSampler({ topology: 'ring', nodeCount: 5, ...options }));
+        sampler.addFactor([0, 2, 3], 0.7);
+        return sampler;
+    },
+    '4-node complete graph with a table factor': options => {
+        const sampler = randomize(new GibbsSampler({ topology: 'complete', nodeCount: 4, ...options }));
+        sampler.addTableFactor([1, 2, 3], [0.3, -0.5, 1.1, 0.0, -0.8, 0.4, 0.2, -0.1]);
+        return sampler;
+    },
+    '3x3 grid with clamps': options => {
+        const sampler = randomize(new GibbsSampler({ topology: 'grid', nodeCount: 9, ...options }));
+        sampler.setClamped({ 0: 1, 4: -1, 8: 1 });
+        return sampler;
+    }
+};
+
+/**
+ * Sets seeded random biases and edge weights.
+ */
+function randomize(sampler) {
+    const rng = new Random(7);
+    sampler.setParameters({
+        biases: Array.from({ length: sampler.nodeCount }, () => rng.next() * 2 - 1),
+        edgeWeights: Array.from({ length: sampler.edgeCount }, () => rng.next() * 2 - 1)
+    });
+    return sampler;
+}
+
+for (const algorithm of GibbsSampler.algorithms()) {
+    describe(`${algorithm} updates`, () => {
+        for (const [name, create] of Object.entries(MODELS)) {
+            for (const temperature of [0.7, 2.0]) {
+                const options = { algorithm, temperature, seed: 1 };
+                
+                if (algorithm === 'gibbs' || algorithm === 'metropolis') {
+                    it(`satisfy detailed balance exactly on a ${name} at T = ${temperature}`, () => {
+                        const result = DetailedBalanceCheck.run(create(options));
+                        assert.ok(result.maxViolation <= 1e-9, `violation ${result.maxViolation}`);
+                        assert.ok(result.stationarityError <= 1e-9, `stationarity ${result.stationarityError}`);
+                    });
+                }
+                
+                it(`keep the Boltzmann distribution of a ${name} at T = ${temperature}`, () => {
+                    const result = DetailedBalanceCheck.estimate(create(options), { trials: 3000 });
+                    assert.ok(result.passed, `stationarity ${result.stationarityError}, violation ${result.maxViolation}`);
+                });
+            }
+        }
+    });
+}
+
+describe('Potts updates', () => {
+    it('satisfy detailed balance exactly on a 2x2 grid with q = 3', () => {
+        const sampler = new PottsSampler({ topology: 'grid', nodeCount: 4, q: 3, coupling: 0.8, temperature: 0.7, seed: 1 });
+        sampler.setCategoryBias(0, 2, 0.5);
+        sampler.setCategoryBias(3, 1, -0.4);
+        const result = DetailedBalanceCheck.run(sampler);
+        assert.ok(result.passed, `violation ${result.maxViolation}, stationarity ${result.stationarityError}`);
+    });
+    
+    it('satisfy detailed balance exactly with a clamped node', () => {
+        const sampler = new PottsSampler({ topology: 'ring', nodeCount: 5, q: 3, coupling: -0.6, seed: 1, clamped: { 2: 1 } });
+        const result = DetailedBalanceCheck.run(sampler);
+        assert.ok(result.passed, `violation ${result.maxViolation}, stationarity ${result.stationarityError}`);
+    });
+    
+    it('reject higher-order factors, which their conditionals would ignore', () => {
+        const sampler = new PottsSampler({ topology: 'ring', nodeCount: 5, q: 3, seed: 1 });
+        assert.throws(() => sampler.addFactor([0, 1, 2], 0.5), /PottsSampler/);
+        assert.throws(() => sampler.addTableFactor([0, 1], [0, 1, 1, 0]), /PottsSampler/);
+        assert.throws(() => sampler.setFactors([{ nodes: [0, 1, 2], weight: 0.5 }]), /PottsSampler/);
+        sampler.clearFactors();
+        assert.deepEqual(sampler.getFactors(), []);
+    });
+});
+
+describe('the check', () => {
+    it('fails conditionals that ignore the temperature', () => {
+        const sampler = MODELS['2x3 grid']({ temperature: 0.5, seed: 1 });
+        const model = sampler.model;
+        sampler.computeEffectiveBias = i => 2 * model.localField(i, sampler.states); // β dropped
+        assert.equal(DetailedBalanceCheck.run(sampler).passed, false);
+    });
+    
+    it('fails a sweep that does not sample the model', () => {
+        const sampler = MODELS['2x3 grid']({ algorithm: 'metropolis', temperature: 2.0, seed: 1 });
+        sampler.metropolisSweep = function () { // Moves at T = 0.5, π at T = 2
+            this.temperature = 0.5;
+            GibbsSampler.prototype.metropolisSweep.call(this);
+            this.temperature = 2.0;
+        };
+        assert.equal(DetailedBalanceCheck.estimate(sampler, { trials: 3000 }).passed, false);
+    });
+});
@@ -0,0 +1,263 @@
+/**
+ * Detailed Balance Check
+ * Verifies on a small model that a sampler's updates sample its own Boltzmann
+ * distribution π(x) ∝ e^(-βH(x)), with H read from `computeEnergy()`. A sampler whose
+ * moves and energy disagree, e.g. about β, fails the check.
+ *
+ * `run()` builds the transition kernel of each partial update exactly:
+ *   - 'gibbs': each block B resamples its nodes from their conditionals given the
+ *     nodes outside B (`computeEffectiveBias()` for spins, `computeConditional()` for
+ *     Potts nodes), so T(x→y) = Π_{i∈B} P(yᵢ | x₋B) for y that agree with x off B
+ *   - 'metropolis': each free node in turn flips with min(1, e^(-βΔH)), ΔH from
+ *     `model.flipDelta()`
+ * and reports the largest violation of π(x)T(x→y) = π(y)T(y→x) over all pairs, and
+ * the largest change |πK - π| after one full sweep K = T₁·T₂·…
+ *
+ * `estimate()` runs the sampler's real `sweep()` from every state and counts where it
+ * lands, so it covers every update rule (including the cluster moves) at the price of
+ * a statistical tolerance. A full sweep is reversible only for the cluster moves;
+ * scans over blocks or nodes in a fixed order only keep π stationary.
+ *
+ * Clamped nodes stay fixed, so π is the conditional distribution given the clamps.
+ *
+ *   const result = DetailedBalanceCheck.run(new GibbsSampler({ nodeCount: 9, temperature: 0.5 }));
+ *   assert.ok(result.passed, result);
+ */
+export default class DetailedBalanceCheck {
+    /**
+     * Enumerates the free states and checks every partial update exactly.
+     * The sampler's state is restored afterwards.
+     * @param {GibbsSampler} sampler - Small model (GibbsSampler, PottsSampler, ...)
+     * @param {object} [options]
+     * @param {number} [options.tolerance=1e-9] - Largest acceptable violation
+     * @param {number} [options.maxStates=65536] - Refuse larger state spaces
+     * @returns {{stateCount: number, blocks: Array<{nodes: Array<number>, maxViolation: number}>,
+     *   maxViolation: number, stationarityError: number, passed: boolean}}
+     * @throws {Error} If the model has too many states or the update rule has no exact kernel
+     */
+    static run(sampler, options = {}) {
+        const tolerance = options.tolerance !== undefined ? options.tolerance : 1e-9;
+        const space = DetailedBalanceCheck._space(sampler, options.maxStates || 65536);
+        const { stateCount, position } = space;
+        const algorithm = sampler.getAlgorithm();
+        if (algorithm !== 'gibbs' && algorithm !== 'metropolis') {
+            throw new Error(`[DetailedBalanceCheck] No exact kernel for ${algorithm}; use estimate()`);
+        }
+        
+        const saved = Int8Array.from(sampler.states);
+        const pi = DetailedBalanceCheck._stationary(sampler, space);
+        const updates = algorithm === 'metropolis'
+            ? space.free.map(i => [i])
+            : sampler.getBlocks().map(block => block.filter(i => position[i] !== -1));
+        
+        const result = { stateCount, blocks: [], maxViolation: 0, stationarityError: 0, passed: false };
+        let swept = Float64Array.from(pi);
+        
+        for (const nodes of updates) {
+            const rows = [];
+            for (let s = 0; s < stateCount; s++) {
+                space.load(s);
+                rows.push(algorithm === 'metropolis'
+                    ? DetailedBalanceCheck._metropolisRow(sampler, s, nodes[0], space)
+                    : DetailedBalanceCheck._gibbsRow(sampler, s, nodes, space));
+            }
+            
+            const next = new Float64Array(stateCount);
+            let maxViolation = 0;
+            rows.forEach((row, s) => {
+                for (const [target, forward] of row) {
+                    const backward = rows[target].get(s) || 0;
+                    maxViolation = Math.max(maxViolation, Math.abs(pi[s] * forward - pi[target] * backward));
+                    next[target] += swept[s] * forward;
+                }
+            });
+            
+            swept = next;
+            result.blocks.push({ nodes, maxViolation });
+            result.maxViolation = Math.max(result.maxViolation, maxViolation);
+        }
+        
+        result.stationarityError = DetailedBalanceCheck._maxDifference(swept, pi);
+        result.passed = result.maxViolation <= tolerance && result.stationarityError <= tolerance;
+        
+        sampler.states.set(saved);
+        return result;
+    }
+    
+    /**
+     * Estimates the kernel of one `sweep()` by running it `trials` times from every
+     * state, and compares it with π. Uses the sampler's own random stream, so a
+     * seeded sampler gives a reproducible result. The state is restored afterwards.
+     * @param {GibbsSampler} sampler - Small model with any update rule
+     * @param {object} [options]
+     * @param {number} [options.trials=2000] - Sweeps from each state
+     * @param {number} [options.tolerance=0.03] - Largest acceptable deviation
+     * @param {number} [options.maxStates=256] - Refuse larger state spaces
+     * @returns {{stateCount: number, maxViolation: number, stationarityError: number,
+     *   passed: boolean, reversible: boolean}} `passed` requires stationarity, and
+     *   detailed balance too when the rule is `reversible` (the cluster moves)
+     * @throws {Error} If the model has too many states
+     */
+    static estimate(sampler, options = {}) {
+        const trials = options.trials || 2000;
+        const tolerance = options.tolerance !== undefined ? options.tolerance : 0.03;
+        const space = DetailedBalanceCheck._space(sampler, options.maxStates || 256);
+        const { stateCount } = space;
+        const saved = Int8Array.from(sampler.states);
+        const pi = DetailedBalanceCheck._stationary(sampler, space);
+        
+        const kernel = Array.from({ length: stateCount }, () => new Float64Array(stateCount));
+        for (let s = 0; s < stateCount; s++) {
+            for (let t = 0; t < trials; t++) {
+                space.load(s);
+                sampler.sweep();
+                kernel[s][space.index()] += 1 / trials;
+            }
+        }
+        
+        const swept = new Float64Array(stateCount);
+        let maxViolation = 0;
+        for (let s = 0; s < stateCount; s++) {
+            for (let t = 0; t < stateCount; t++) {
+                swept[t] += pi[s] * kernel[s][t];
+                maxViolation = Math.max(maxViolation, Math.abs(pi[s] * kernel[s][t] - pi[t] * kernel[t][s]));
+            }
+        }
+        const stationarityError = DetailedBalanceCheck._maxDifference(swept, pi);
+        const reversible = ['swendsen-wang', 'wolff'].includes(sampler.getAlgorithm());
+        
+        sampler.states.set(saved);
+        return {
+            stateCount,
+            maxViolation,
+            stationarityError,
+            reversible,
+            passed: stationarityError <= tolerance && (!reversible || maxViolation <= tolerance)
+        };
+    }
+    
+    /**
+     * Free nodes, state indexing and loaders for a sampler's state space.
+     * @private
+     */
+    static _space(sampler, maxStates) {
+        const q = sampler.q || 2;
+        const values = sampler.q ? Array.from({ length: q }, (_, c) => c) : [-1, 1];
+        const free = [];
+        for (let i = 0; i < sampler.nodeCount; i++) {
+            if (!sampler.clampMask[i]) free.push(i);
+        }
+        const stateCount = Math.pow(q, free.length);
+        if (stateCount > maxStates) {
+            throw new Error(`[DetailedBalanceCheck] ${stateCount} states exceed the limit of ${maxStates}`);
+        }
+        const position = new Int32Array(sampler.nodeCount).fill(-1); // Digit of each free node in a state index
+        free.forEach((i, k) => { position[i] = k; });
+        return {
+            q,
+            values,
+            free,
+            position,
+            stateCount,
+            load: index => {
+                for (let k = 0; k < free.length; k++) {
+                    sampler.states[free[k]] = values[index % q];
+                    index = Math.floor(index / q);
+                }
+            },
+            index: () => {
+                let index = 0;
+                for (let k = free.length - 1; k >= 0; k--) {
+                    index = index * q + values.indexOf(sampler.states[free[k]]);
+                }
+                return index;
+            }
+        };
+    }
+    
+    /**
+     * Boltzmann distribution over the free states from the energy readout.
+     * @private
+     */
+    static _stationary(sampler, space) {
+        const beta = 1.0 / sampler.temperature;
+        const logWeights = new Float64Array(space.stateCount);
+        let maxLogWeight = -Infinity;
+        for (let s = 0; s < space.stateCount; s++) {
+            space.load(s);
+            logWeights[s] = -beta * sampler.computeEnergy();
+            maxLogWeight = Math.max(maxLogWeight, logWeights[s]);
+        }
+        const pi = logWeights.map(w => Math.exp(w - maxLogWeight));
+        const total = pi.reduce((a, b) => a + b, 0);
+        return pi.map(p => p / total);
+    }
+    
+    /**
+     * Transitions of a block Gibbs update from state s (loaded): target → probability.
+     * @private
+     */
+    static _gibbsRow(sampler, s, nodes, space) {
+        const { q, position } = space;
+        const conditionals = nodes.map(i => DetailedBalanceCheck._conditional(sampler, i, space.values));
+        const base = nodes.reduce((index, i) => index - DetailedBalanceCheck._digit(s, position[i], q) * Math.pow(q, position[i]), s);
+        const row = new Map();
+        
+        for (let combo = 0; combo < Math.pow(q, nodes.length); combo++) {
+            let target = base;
+            let probability = 1;
+            let rest = combo;
+            nodes.forEach((i, k) => {
+                const digit = rest % q;
+                rest = Math.floor(rest / q);
+                target += digit * Math.pow(q, position[i]);
+                probability *= conditionals[k][digit];
+            });
+            row.set(target, probability);
+        }
+        return row;
+    }
+    
+    /**
+     * Transitions of a Metropolis flip proposal at node i from state s (loaded).
+     * @private
+     */
+    static _metropolisRow(sampler, s, i, space) {
+        const delta = sampler.model.flipDelta(i, sampler.states);
+        const accept = Math.min(1, Math.exp(-delta / sampler.temperature));
+        const flipped = s + (sampler.states[i] === 1 ? -1 : 1) * Math.pow(space.q, space.position[i]);
+        return new Map([[flipped, accept], [s, 1 - accept]]);
+    }
+    
+    /**
+     * Probability of each value of node i given the sampler's current state.
+     * @private
+     */
+    static _conditional(sampler, i, values) {
+        if (sampler.computeConditional) {
+            return Array.from(sampler.computeConditional(i));
+        }
+        const up = sampler.sigmoid(sampler.computeEffectiveBias(i)); // values are [-1, +1]
+        return values.map(v => (v === 1 ? up : 1 - up));
+    }
+    
+    /**
+     * Largest elementwise difference of two distributions.
+     * @private
+     */
+    static _maxDifference(a, b) {
+        let max = 0;
+        for (let s = 0; s < a.length; s++) {
+            max = Math.max(max, Math.abs(a[s] - b[s]));
+        }
+        return max;
+    }
+    
+    /**
+     * Digit k of a base-q state index.
+     * @private
+     */
+    static _digit(index, k, q) {
+        return Math.floor(index / Math.pow(q, k)) % q;
+    }
+}
@@ -0,0 +1,78 @@
+/**
+ * Sampler replacement in the visualizer: switching how the model is sampled must
+ * keep the model itself.
+ *
+ *   npm test
+ */
+import assert from 'node:assert/strict';
+import { register } from 'node:module';
+import { describe, it } from 'node:test';
+
+register('../thrml_api/mock/loader.mjs', import.meta.url); // Extensionless imports in src/
+
+const THREE = await import('three');
+const { default: ThermodynamicVisualizer } = await import('../src/js/effects/ThermodynamicVisualizer.js');
+
+/**
+ * Visualizer without an icosahedron mesh, on a 4x4 grid with seeded parameters.
+ */
+function createVisualizer() {
+    const visualizer = new ThermodynamicVisualizer(new THREE.Scene(), null, { seed: 3 });
+    visualizer.setTopology('grid', { rows: 4, cols: 4 });
+    return visualizer;
+}
+
+/**
+ * Copies of the sampler's biases and edge weights.
+ */
+function parameters(sampler) {
+    return { biases: Array.from(sampler.biases), edgeWeights: Array.from(sampler.edgeWeights) };
+}
+
+describe('replica exchange', () => {
+    it('keeps the weights, biases, state and clamps when turned on and off', () => {
+        const visualizer = createVisualizer();
+        const sampler = visualizer.gibbsSampler;
+        sampler.setParameters({
+            biases: Array.from({ length: sampler.nodeCount }, (_, i) => 0.1 * i - 0.5),
+            edgeWeights: Array.from({ length: sampler.edgeCount }, (_, e) => (e % 3) * 0.4 - 0.3)
+        });
+        sampler.setClamped({ 5: 1 });
+        const before = parameters(sampler);
+        const states = Array.from(sampler.states);
+        
+        visualizer.setReplicaExchange(true, { replicaCount: 3 });
+        assert.equal(visualizer.gibbsSampler.getReplicas().length, 3);
+        assert.deepEqual(parameters(visualizer.gibbsSampler), before);
+        assert.deepEqual(Array.from(visualizer.gibbsSampler.states), states);
+        assert.deepEqual(visualizer.gibbsSampler.getClamped(), { 5: 1 });
+        
+        visualizer.setReplicaExchange(false);
+        assert.equal(visualizer.gibbsSampler.getReplicas, undefined);
+        assert.deepEqual(parameters(visualizer.gibbsSampler), before);
+        assert.deepEqual(visualizer.gibbsSampler.getClamped(), { 5: 1 });
+    });
+    
+    it('keeps the Hopfield memory and its patterns', () => {
+        const visualizer = createVisualizer();
+        visualizer.enableHopfield();
+        visualizer.storeHopfieldPattern(Array.from({ length: 16 }, (_, i) => (i % 2 ? 1 : -1)));
+        const before = parameters(visualizer.gibbsSampler);
+        
+        visualizer.setReplicaExchange(true);
+        assert.ok(visualizer.hopfield, 'memory dropped');
+        assert.equal(visualizer.hopfield.sampler, visualizer.gibbsSampler);
+        assert.equal(visualizer.hopfield.patterns.length, 1);
+        assert.deepEqual(parameters(visualizer.gibbsSampler), before);
+    });
+    
+    it('moves a running training loop to the new sampler', async () => {
+        const visualizer = createVisualizer();
+        const training = visualizer.trainBarsAndStripes({ epochs: 2 });
+        visualizer.setReplicaExchange(true);
+        assert.equal(visualizer.trainer.sampler, visualizer.gibbsSampler);
+        assert.ok(visualizer.trainer.isTraining);
+        await training;
+        assert.equal(visualizer.trainer.epoch, 2);
+    });
+});
@@ -0,0 +1,56 @@
+/**
+ * Session handling of ThrmlSampler against the Node mock server: concurrent step
+ * requests that find their session gone must resume in a single new session.
+ *
+ *   npm test
+ */
+import assert from 'node:assert/strict';
+import { register } from 'node:module';
+import { after, before, describe, it } from 'node:test';
+
+register('../thrml_api/mock/loader.mjs', import.meta.url); // Extensionless imports in src/
+
+const { createMockServer } = await import('../thrml_api/mock/server.mjs');
+const { default: ThrmlSampler } = await import('../src/js/effects/ThrmlSampler.js');
+
+describe('ThrmlSampler sessions', () => {
+    let server;
+    let apiUrl;
+    
+    before(async () => {
+        server = createMockServer();
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        apiUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+    
+    after(() => new Promise(resolve => server.close(resolve)));
+    
+    /**
+     * Number of sessions open on the mock.
+     */
+    async function activeSessions() {
+        const response = await fetch(`${apiUrl}/model/info`);
+        return (await response.json()).sessions.active;
+    }
+    
+    it('open one session for concurrent first requests', async () => {
+        const sampler = new ThrmlSampler({ apiUrl, nNodes: 8, transport: 'http', maxInFlight: 3, seed: 1 });
+        await Promise.all([1, 2, 3].map(() => sampler._requestSteps(1)));
+        assert.equal(await activeSessions(), 1);
+        await sampler.closeSession();
+        assert.equal(await activeSessions(), 0);
+    });
+    
+    it('replace a lost session once when several requests fail on it', async () => {
+        const sampler = new ThrmlSampler({ apiUrl, nNodes: 8, transport: 'http', maxInFlight: 3, seed: 1 });
+        const lostId = await sampler.openSession();
+        await fetch(`${apiUrl}/sessions/${lostId}`, { method: 'DELETE' }); // The server forgets it
+        
+        const results = await Promise.all([1, 2, 3].map(() => sampler._requestSteps(1)));
+        assert.ok(results.some(samples => samples !== null), 'no request resumed');
+        assert.notEqual(sampler.sessionId, lostId);
+        assert.equal(await activeSessions(), 1);
+        await sampler.closeSession();
+        assert.equal(await activeSessions(), 0);
+    });
+});
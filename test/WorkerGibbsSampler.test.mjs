@@ -0,0 +1,71 @@
+/**
+ * Parameter sync between WorkerGibbsSampler and GibbsWorker. Node has no Web
+ * Workers, so the worker script runs in this thread behind a Worker stand-in that
+ * delivers the messages directly.
+ *
+ *   npm test
+ */
+import assert from 'node:assert/strict';
+import { register } from 'node:module';
+import { describe, it } from 'node:test';
+
+register('../thrml_api/mock/loader.mjs', import.meta.url); // Extensionless imports in src/
+
+const sent = []; // Messages to the worker
+const replies = []; // Messages from the worker
+globalThis.self = { postMessage: message => replies.push(message) };
+globalThis.Worker = class {
+    postMessage(message) {
+        sent.push(message);
+        self.onmessage({ data: structuredClone(message) });
+    }
+};
+
+await import('../src/js/effects/GibbsWorker.js');
+const { default: WorkerGibbsSampler } = await import('../src/js/effects/WorkerGibbsSampler.js');
+
+/**
+ * Worker-backed sampler on a 3x3 grid, with the message log cleared.
+ */
+function createSampler() {
+    const sampler = new WorkerGibbsSampler({ topology: 'grid', nodeCount: 9, seed: 1, useSharedMemory: false });
+    sent.length = 0;
+    replies.length = 0;
+    return sampler;
+}
+
+describe('WorkerGibbsSampler parameter sync', () => {
+    it('sends factors and their blocks only after a factor change', () => {
+        const sampler = createSampler();
+        sampler.addFactor([0, 1, 4], 0.5);
+        assert.deepEqual(sent[0].factors, sampler.getFactors());
+        assert.deepEqual(sent[0].blocks, sampler.getBlocks());
+        
+        sampler.setTemperature(0.8);
+        sampler.setBias(3, 0.2);
+        sampler.setWeight(0, 1, -0.4);
+        for (const message of sent.slice(1)) {
+            assert.equal(message.factors, undefined);
+            assert.equal(message.blocks, undefined);
+        }
+        
+        sampler.getModel().setFactorWeight(0, 0.9);
+        sampler.setTemperature(0.7);
+        assert.deepEqual(sent[sent.length - 1].factors, sampler.getFactors());
+        assert.deepEqual(replies.filter(reply => reply.type === 'error'), []);
+    });
+    
+    it('keeps explicit blocks through annealing steps', () => {
+        const sampler = createSampler();
+        const blocks = Array.from({ length: 9 }, (_, i) => [i]);
+        sampler.setBlocks(blocks);
+        assert.deepEqual(sent[0].blocks, blocks);
+        
+        for (let k = 0; k < 5; k++) {
+            sampler.setTemperature(1.0 - 0.1 * k);
+        }
+        assert.ok(sent.slice(1).every(message => message.blocks === undefined && message.factors === undefined));
+        assert.deepEqual(sampler.getBlocks(), blocks);
+        assert.deepEqual(replies.filter(reply => reply.type === 'error'), []);
+    });
+});
@@ -2,7 +2,14 @@
 THRML API Server
 Provides REST API endpoints for thermodynamic sampling using Extropic's thrml library.
 """
-from flask import Flask, request, jsonify
+import json
+import os
+import struct
+import threading
+import time
+import uuid
+
+from flask import Flask, Response, request, jsonify, stream_with_context
 from flask_cors import CORS
 import jax
 import jax.numpy as jnp
@@ -13,6 +20,373 @@ import numpy as np
 app = Flask(__name__)
 CORS(app)  # Enable CORS for frontend access
 
+SESSION_TTL = 600  # Seconds an idle session is kept before it is discarded
+MAX_STEPS_PER_CALL = 1000
+MAX_STREAM_RATE = 120  # States per second a stream may request
+KEEPALIVE_SECONDS = 5  # Comment sent while a paused stream waits for acks
+
+sessions = {}
+sessions_lock = threading.Lock()
+
+# Request/response contract shared with the JavaScript client and the mock server
+with open(os.path.join(os.path.dirname(os.path.abspath(__file__)), 'schema.json')) as schema_file:
+    SCHEMA = json.load(schema_file)
+MAX_SCHEMA_ERRORS = 10  # Problems reported per validation
+
+# Bit-packed /sample/ising replies (see ThrmlSampleCodec.js for the layout)
+BINARY_MEDIA_TYPE = 'application/octet-stream'
+BINARY_MAGIC = b'THRS'
+BINARY_VERSION = 1
+
+
+class ValidationError(ValueError):
+    """A request that breaks schema.json or describes an inconsistent model (HTTP 400)."""
+
+    def __init__(self, message, details=None):
+        super().__init__(message)
+        self.details = details or [message]
+
+
+def _is_type(value, type_name):
+    """JSON Schema type test (booleans are not numbers, 'integer' is a whole number)."""
+    if type_name == 'null':
+        return value is None
+    if type_name == 'boolean':
+        return isinstance(value, bool)
+    if type_name in ('integer', 'number'):
+        if isinstance(value, bool) or not isinstance(value, (int, float)):
+            return False
+        if isinstance(value, float) and not np.isfinite(value):
+            return False
+        return type_name == 'number' or isinstance(value, int) or value.is_integer()
+    if type_name == 'string':
+        return isinstance(value, str)
+    if type_name == 'array':
+        return isinstance(value, list)
+    if type_name == 'object':
+        return isinstance(value, dict)
+    return False
+
+
+def _schema_errors(node, value, path, errors):
+    """
+    Checks a value against a schema node, appending 'path message' problems. Implements
+    the subset of JSON Schema that schema.json uses, like ThrmlSchema.js.
+    """
+    if len(errors) >= MAX_SCHEMA_ERRORS:
+        return
+    if '$ref' in node:
+        node = SCHEMA['definitions'][node['$ref'].replace('#/definitions/', '')]
+    at = path or 'body'
+
+    if 'type' in node:
+        types = node['type'] if isinstance(node['type'], list) else [node['type']]
+        if not any(_is_type(value, t) for t in types):
+            errors.append(f"{at} must be {' or '.join(types)}")
+            return
+    if 'enum' in node and not any(value is option or (value == option and type(value) is type(option))
+                                  for option in node['enum']):
+        errors.append(f'{at} must be one of {json.dumps(node["enum"], separators=(",", ":"))}')
+        return
+
+    if _is_type(value, 'number'):
+        if 'minimum' in node and value < node['minimum']:
+            errors.append(f"{at} must be >= {node['minimum']}")
+        if 'exclusiveMinimum' in node and value <= node['exclusiveMinimum']:
+            errors.append(f"{at} must be > {node['exclusiveMinimum']}")
+        if 'maximum' in node and value > node['maximum']:
+            errors.append(f"{at} must be <= {node['maximum']}")
+    elif isinstance(value, list):
+        if 'minItems' in node and len(value) < node['minItems']:
+            errors.append(f"{at} must have at least {node['minItems']} items")
+        if 'maxItems' in node and len(value) > node['maxItems']:
+            errors.append(f"{at} must have at most {node['maxItems']} items")
+        if 'items' in node:
+            for k, item in enumerate(value):
+                if len(errors) >= MAX_SCHEMA_ERRORS:
+                    break
+                _schema_errors(node['items'], item, f'{path}[{k}]', errors)
+    elif isinstance(value, dict):
+        prefix = f'{path}.' if path else ''
+        for key in node.get('required', []):
+            if key not in value:
+                errors.append(f'{prefix}{key} is required')
+        for key, child in value.items():
+            if key in node.get('properties', {}):
+                _schema_errors(node['properties'][key], child, prefix + key, errors)
+            elif node.get('additionalProperties') is False:
+                errors.append(f'{prefix}{key} is not allowed')
+
+
+def _validate_request(name, data):
+    """Returns the request body if it matches the schema definition, else raises ValidationError."""
+    if data is None:
+        raise ValidationError('Request body must be a JSON object')
+    errors = []
+    _schema_errors(SCHEMA['definitions'][name], data, '', errors)
+    if errors:
+        more = f' (+{len(errors) - 1} more)' if len(errors) > 1 else ''
+        raise ValidationError(f'Invalid {name}: {errors[0]}{more}', errors)
+    return data
+
+
+def _color_graph(n_nodes, edges):
+    """Greedy coloring: node lists such that no list contains both ends of an edge."""
+    neighbors = [set() for _ in range(n_nodes)]
+    for i, j in edges:
+        neighbors[i].add(j)
+        neighbors[j].add(i)
+    colors = [-1] * n_nodes
+    for i in range(n_nodes):
+        used = {colors[j] for j in neighbors[i]}
+        color = 0
+        while color in used:
+            color += 1
+        colors[i] = color
+    return [[i for i in range(n_nodes) if colors[i] == c] for c in range(max(colors, default=-1) + 1)]
+
+
+def _build_graph(n_nodes, edges=None, blocks=None):
+    """
+    Nodes, edges and free blocks of an Ising model given as index lists.
+
+    Without `edges` the model is the 1D chain i -- i+1; without `blocks` the nodes are
+    colored greedily (for the chain: even and odd nodes). Blocks must contain every
+    node once and no edge may join two nodes of the same block.
+
+    Returns (nodes, node_edges, free_blocks, block_indices, index_edges).
+    """
+    if edges is None:
+        edges = [(i, i + 1) for i in range(n_nodes - 1)]
+    edges = [(int(i), int(j)) for i, j in edges]
+    for i, j in edges:
+        if i == j or not (0 <= i < n_nodes and 0 <= j < n_nodes):
+            raise ValidationError(f'Invalid edge ({i}, {j}) for {n_nodes} nodes')
+
+    if blocks is None:
+        blocks = _color_graph(n_nodes, edges)
+    blocks = [[int(i) for i in block] for block in blocks if len(block) > 0]
+    if sorted(i for block in blocks for i in block) != list(range(n_nodes)):
+        raise ValidationError('Blocks must contain every node exactly once')
+    block_of = {i: b for b, block in enumerate(blocks) for i in block}
+    for i, j in edges:
+        if block_of[i] == block_of[j]:
+            raise ValidationError(f'Edge ({i}, {j}) joins two nodes of block {block_of[i]}; blocks must be independent sets')
+
+    nodes = [SpinNode() for _ in range(n_nodes)]
+    node_edges = [(nodes[i], nodes[j]) for i, j in edges]
+    free_blocks = [Block([nodes[i] for i in block]) for block in blocks]
+    block_indices = [np.asarray(block) for block in blocks]
+    return nodes, node_edges, free_blocks, block_indices, edges
+
+
+def _check_parameters(n_nodes, n_edges, weights=None, biases=None):
+    """Raises ValidationError unless there is one weight per edge and one bias per node."""
+    if weights is not None and len(weights) != n_edges:
+        raise ValidationError(f'Expected {n_edges} weights (one per edge), got {len(weights)}')
+    if biases is not None and len(biases) != n_nodes:
+        raise ValidationError(f'Expected {n_nodes} biases (one per node), got {len(biases)}')
+
+
+class SamplingSession:
+    """
+    A persistent Markov chain on the server. The model, block program, current
+    state and JAX key live between requests, so consecutive steps continue the same
+    chain instead of restarting from hinton_init. The graph (edges and blocks) is
+    fixed for the lifetime of the session; see _build_graph.
+    """
+
+    def __init__(self, n_nodes, weights, biases, beta, steps_per_sample, random_key, state=None,
+                 edges=None, blocks=None):
+        self.id = uuid.uuid4().hex
+        self.lock = threading.Lock()
+        self.n_nodes = n_nodes
+        self.nodes, self.edges, self.free_blocks, self.block_indices, self.index_edges = \
+            _build_graph(n_nodes, edges, blocks)
+        _check_parameters(n_nodes, len(self.edges), weights, biases)
+        self.steps_per_sample = steps_per_sample
+        self.steps = 0
+        self.last_used = time.time()
+        self.closed = False
+
+        # Streaming: the client acknowledges consumed states; at most `window` may be unacknowledged
+        self.seq = 0
+        self.acked = 0
+        self.stream_rate = 30.0
+        self.stream_token = None  # Only the newest stream of a session keeps running
+        self.acked_changed = threading.Condition()
+        self.weights = jnp.array(weights)
+        self.biases = jnp.array(biases)
+        self.beta = jnp.array(beta)
+        self._build_program()
+
+        self.key, k_init = jax.random.split(jax.random.key(random_key), 2)
+        if state is not None:
+            # Resume a chain the client already has (e.g. after a server restart)
+            if len(state) != n_nodes:
+                raise ValidationError(f'Expected {n_nodes} states (one per node), got {len(state)}')
+            self.block_state = self._split_state(np.asarray(state) > 0)
+        else:
+            self.block_state = hinton_init(k_init, self.model, self.free_blocks, ())
+
+    def _build_program(self):
+        self.model = IsingEBM(self.nodes, self.edges, self.biases, self.weights, self.beta)
+        self.program = IsingSamplingProgram(self.model, self.free_blocks, clamped_blocks=[])
+
+    def _split_state(self, full_state):
+        """Full per-node state -> one array per free block."""
+        return [jnp.asarray(full_state[indices], dtype=jnp.bool_) for indices in self.block_indices]
+
+    def state(self):
+        """Current per-node state as a list of booleans (True = +1)."""
+        full_state = np.zeros(self.n_nodes, dtype=bool)
+        for indices, block_state in zip(self.block_indices, self.block_state):
+            full_state[indices] = np.asarray(block_state)
+        return full_state.tolist()
+
+    def update(self, weights=None, biases=None, beta=None):
+        """Changes parameters in place; the chain keeps its current state."""
+        _check_parameters(self.n_nodes, len(self.edges), weights, biases)
+        if weights is not None:
+            self.weights = jnp.array(weights)
+        if biases is not None:
+            self.biases = jnp.array(biases)
+        if beta is not None:
+            self.beta = jnp.array(beta)
+        self._build_program()
+
+    def step(self, n_steps):
+        """Advances the chain by n_steps samples and returns them."""
+        self.key, k_samp = jax.random.split(self.key)
+        schedule = SamplingSchedule(n_warmup=0, n_samples=n_steps, steps_per_sample=self.steps_per_sample)
+        observed = sample_states(k_samp, self.program, schedule, self.block_state, [], [Block(self.nodes)])[0]
+        self.block_state = self._split_state(np.asarray(observed[-1]))
+        self.steps += n_steps
+        return np.asarray(observed).tolist()
+
+    def ack(self, seq, rate=None):
+        """Records the newest state the client consumed (and optionally a new rate)."""
+        with self.acked_changed:
+            self.acked = max(self.acked, min(seq, self.seq))
+            if rate is not None:
+                self.stream_rate = max(1.0, min(float(rate), MAX_STREAM_RATE))
+            self.acked_changed.notify_all()
+
+    def close(self):
+        """Marks the session closed and wakes any waiting stream."""
+        with self.acked_changed:
+            self.closed = True
+            self.acked_changed.notify_all()
+
+    def info(self):
+        return {
+            'session_id': self.id,
+            'n_nodes': self.n_nodes,
+            'n_edges': len(self.edges),
+            'n_blocks': len(self.free_blocks),
+            'beta': float(self.beta),
+            'steps': self.steps,
+            'state': self.state()
+        }
+
+
+def _expire_sessions():
+    """Drops sessions that have been idle longer than SESSION_TTL."""
+    now = time.time()
+    with sessions_lock:
+        for session_id in [sid for sid, s in sessions.items() if now - s.last_used > SESSION_TTL]:
+            sessions.pop(session_id).close()
+
+
+def _get_session(session_id):
+    with sessions_lock:
+        session = sessions.get(session_id)
+    if session is not None:
+        session.last_used = time.time()
+    return session
+
+
+def _stream_states(session, token, n_steps, window):
+    """
+    Server-Sent Events generator: steps the chain at the session's stream rate and
+    sends each state. Pauses while `window` states are unacknowledged, so a slow
+    client receives fewer states instead of a growing backlog.
+    """
+    yield 'retry: 2000\n\n'
+    next_time = time.monotonic()
+    while not session.closed and session.stream_token == token:
+        with session.acked_changed:
+            blocked = session.seq - session.acked >= window
+            if blocked:
+                session.acked_changed.wait(timeout=KEEPALIVE_SECONDS)
+                blocked = session.seq - session.acked >= window
+        if blocked:
+            yield ': keepalive\n\n'
+            next_time = time.monotonic()
+            continue
+        if session.closed or session.stream_token != token:
+            break
+
+        with session.lock:
+            samples = session.step(n_steps)
+            session.seq += 1
+            payload = {'seq': session.seq, 'state': samples[-1], 'steps': session.steps}
+        session.last_used = time.time()
+        yield f"id: {payload['seq']}\nevent: state\ndata: {json.dumps(payload)}\n\n"
+
+        next_time += 1.0 / session.stream_rate
+        delay = next_time - time.monotonic()
+        if delay > 0:
+            time.sleep(delay)
+        else:
+            next_time = time.monotonic()  # Sampling is slower than the rate; do not build up a debt
+    yield 'event: closed\ndata: {}\n\n'
+
+
+def _prefers_binary():
+    """Whether the client's Accept header ranks the bit-packed encoding above JSON."""
+    return request.accept_mimetypes.best_match(['application/json', BINARY_MEDIA_TYPE]) == BINARY_MEDIA_TYPE
+
+
+def _binary_response(header, samples):
+    """
+    Bit-packed reply: 'THRS', version, 3 reserved bytes, uint32 header length, the JSON
+    header, then one row of ceil(n_nodes / 8) bytes per sample, node i at bit i % 8
+    (least significant first) of byte i // 8.
+    """
+    packed = np.packbits(np.asarray(samples, dtype=bool), axis=1, bitorder='little')
+    header_bytes = json.dumps(header, separators=(',', ':')).encode('utf-8')
+    body = BINARY_MAGIC + struct.pack('<B3xI', BINARY_VERSION, len(header_bytes)) + header_bytes + packed.tobytes()
+    return Response(body, mimetype=BINARY_MEDIA_TYPE)
+
+
+def _session_not_found(session_id):
+    return jsonify({
+        'success': False,
+        'error': f'Unknown or expired session: {session_id}',
+        'error_type': 'SessionNotFound'
+    }), 404
+
+
+def _error_response(error):
+    """
+    ErrorResponse of schema.json for a failed request: 400 ValidationError for invalid
+    requests, 500 SamplingFailed for anything that went wrong while sampling.
+    """
+    if isinstance(error, ValidationError):
+        return jsonify({
+            'success': False,
+            'error': str(error),
+            'error_type': 'ValidationError',
+            'details': error.details
+        }), 400
+    return jsonify({
+        'success': False,
+        'error': f'Sampling failed: {error}',
+        'error_type': 'SamplingFailed',
+        'details': [f'{type(error).__name__}: {error}']
+    }), 500
+
 @app.route('/health', methods=['GET'])
 def health():
     """Health check endpoint."""
@@ -26,7 +400,9 @@ def sample_ising():
     Expected JSON body:
     {
         "n_nodes": 5,
-        "weights": [0.5, 0.5, 0.5, 0.5],  # Edge weights
+        "edges": [[0, 1], [1, 2], ...],  # Optional: node index pairs (default: chain)
+        "blocks": [[0, 2, 4], [1, 3]],  # Optional: free blocks (default: greedy coloring)
+        "weights": [0.5, 0.5, 0.5, 0.5],  # Edge weights (one per edge)
         "biases": [0.0, 0.0, 0.0, 0.0, 0.0],  # Node biases
         "beta": 1.0,  # Temperature parameter
         "n_warmup": 100,
@@ -34,30 +410,30 @@ def sample_ising():
         "steps_per_sample": 2,
         "random_key": 0  # Optional: random seed
     }
+
+    Replies with bit-packed samples instead of JSON lists when the Accept header prefers
+    application/octet-stream (see _binary_response).
     """
     try:
-        data = request.get_json()
+        data = _validate_request('IsingSampleRequest', request.get_json(silent=True))
         
         # Extract parameters
         n_nodes = data.get('n_nodes', 5)
-        weights = jnp.array(data.get('weights', [0.5] * (n_nodes - 1)))
-        biases = jnp.array(data.get('biases', [0.0] * n_nodes))
+        nodes, edges, free_blocks, _, _ = _build_graph(n_nodes, data.get('edges'), data.get('blocks'))
+        weights = data.get('weights', [0.5] * len(edges))
+        biases = data.get('biases', [0.0] * n_nodes)
+        _check_parameters(n_nodes, len(edges), weights, biases)
+        weights = jnp.array(weights)
+        biases = jnp.array(biases)
         beta = jnp.array(data.get('beta', 1.0))
         n_warmup = data.get('n_warmup', 100)
         n_samples = data.get('n_samples', 1000)
         steps_per_sample = data.get('steps_per_sample', 2)
         random_key = data.get('random_key', 0)
         
-        # Create nodes and edges
-        nodes = [SpinNode() for _ in range(n_nodes)]
-        edges = [(nodes[i], nodes[i+1]) for i in range(n_nodes - 1)]
-        
         # Create Ising EBM model
         model = IsingEBM(nodes, edges, biases, weights, beta)
         
-        # Create free blocks (two-color block Gibbs)
-        free_blocks = [Block(nodes[::2]), Block(nodes[1::2])]
-        
         # Create sampling program
         program = IsingSamplingProgram(model, free_blocks, clamped_blocks=[])
         
@@ -75,58 +451,60 @@ def sample_ising():
             steps_per_sample=steps_per_sample
         )
         
-        # Sample states
-        samples = sample_states(k_samp, program, schedule, init_state, [], [Block(nodes)])
+        # Sample states (one array per observed block; the single block holds every node)
+        observed = np.asarray(sample_states(k_samp, program, schedule, init_state, [], [Block(nodes)])[0])
         
-        # Convert JAX arrays to lists for JSON serialization
-        samples_list = [s.tolist() if hasattr(s, 'tolist') else s for s in samples]
-        
-        # Get final state
-        final_state = samples[-1] if len(samples) > 0 else None
-        final_state_list = final_state.tolist() if final_state is not None and hasattr(final_state, 'tolist') else None
-        
-        return jsonify({
+        header = {
             'success': True,
-            'samples': samples_list,
-            'final_state': final_state_list,
-            'n_samples': len(samples),
+            'n_samples': len(observed),
             'model_info': {
                 'n_nodes': n_nodes,
                 'beta': float(beta),
                 'n_edges': len(edges)
             }
+        }
+        if _prefers_binary():
+            return _binary_response(header, observed.reshape(len(observed), n_nodes))
+        
+        # Convert JAX arrays to lists for JSON serialization: one per-node state per sample
+        samples_list = observed.tolist()
+        
+        # Get final state
+        final_state_list = samples_list[-1] if len(samples_list) > 0 else None
+        
+        return jsonify({
+            **header,
+            'samples': samples_list,
+            'final_state': final_state_list
         })
         
     except Exception as e:
-        return jsonify({
-            'success': False,
-            'error': str(e),
-            'error_type': type(e).__name__
-        }), 400
+        return _error_response(e)
 
 @app.route('/sample/ising/stream', methods=['POST'])
 def sample_ising_stream():
     """
     Stream samples from an Ising model (for real-time visualization).
-    Returns one sample at a time.
+    Returns one sample at a time. Stateless: every call starts a fresh chain; use
+    /sessions for consecutive steps of one Markov chain. Accepts the same body as
+    /sample/ising (including "edges" and "blocks").
     """
     try:
-        data = request.get_json()
+        data = _validate_request('IsingStreamRequest', request.get_json(silent=True))
         
         n_nodes = data.get('n_nodes', 5)
-        weights = jnp.array(data.get('weights', [0.5] * (n_nodes - 1)))
-        biases = jnp.array(data.get('biases', [0.0] * n_nodes))
+        nodes, edges, free_blocks, _, _ = _build_graph(n_nodes, data.get('edges'), data.get('blocks'))
+        weights = data.get('weights', [0.5] * len(edges))
+        biases = data.get('biases', [0.0] * n_nodes)
+        _check_parameters(n_nodes, len(edges), weights, biases)
+        weights = jnp.array(weights)
+        biases = jnp.array(biases)
         beta = jnp.array(data.get('beta', 1.0))
         steps_per_sample = data.get('steps_per_sample', 2)
         random_key = data.get('random_key', 0)
         
-        # Create model
-        nodes = [SpinNode() for _ in range(n_nodes)]
-        edges = [(nodes[i], nodes[i+1]) for i in range(n_nodes - 1)]
+        # Create model and blocks
         model = IsingEBM(nodes, edges, biases, weights, beta)
-        
-        # Create blocks
-        free_blocks = [Block(nodes[::2]), Block(nodes[1::2])]
         program = IsingSamplingProgram(model, free_blocks, clamped_blocks=[])
         
         # Initialize
@@ -137,30 +515,200 @@ def sample_ising_stream():
         # Perform one Gibbs step
         # Note: This is a simplified version - full streaming would require state management
         schedule = SamplingSchedule(n_warmup=0, n_samples=1, steps_per_sample=steps_per_sample)
-        samples = sample_states(k_samp, program, schedule, init_state, [], [Block(nodes)])
+        observed = np.asarray(sample_states(k_samp, program, schedule, init_state, [], [Block(nodes)])[0])
         
         return jsonify({
             'success': True,
-            'sample': samples[0].tolist() if len(samples) > 0 else None,
-            'state': samples[-1].tolist() if len(samples) > 0 else None
+            'sample': observed[0].tolist() if len(observed) > 0 else None,
+            'state': observed[-1].tolist() if len(observed) > 0 else None
         })
         
     except Exception as e:
-        return jsonify({
-            'success': False,
-            'error': str(e),
-            'error_type': type(e).__name__
-        }), 400
+        return _error_response(e)
+
+@app.route('/sessions', methods=['POST'])
+def create_session():
+    """
+    Create a persistent sampling session.
+
+    Expected JSON body:
+    {
+        "n_nodes": 16,
+        "edges": [[0, 1], ...],  # Optional: node index pairs (default: chain)
+        "blocks": [[...], [...]],  # Optional: free blocks (default: greedy coloring)
+        "weights": [...],  # Edge weights (one per edge)
+        "biases": [...],  # Node biases (length: n_nodes)
+        "beta": 1.0,
+        "steps_per_sample": 2,
+        "random_key": 0,
+        "state": [...]  # Optional: resume from this per-node state (±1 or booleans)
+    }
+    """
+    try:
+        _expire_sessions()
+        data = _validate_request('SessionCreateRequest', request.get_json(silent=True))
+        n_nodes = data.get('n_nodes', 5)
+        edges = data.get('edges')
+        n_edges = len(edges) if edges is not None else n_nodes - 1
+        session = SamplingSession(
+            n_nodes,
+            data.get('weights', [0.5] * n_edges),
+            data.get('biases', [0.0] * n_nodes),
+            data.get('beta', 1.0),
+            data.get('steps_per_sample', 2),
+            data.get('random_key', 0),
+            data.get('state'),
+            edges,
+            data.get('blocks')
+        )
+        with sessions_lock:
+            sessions[session.id] = session
+        return jsonify({'success': True, **session.info()})
+
+    except Exception as e:
+        return _error_response(e)
+
+@app.route('/sessions/<session_id>', methods=['GET'])
+def get_session(session_id):
+    """Current state and step count of a session."""
+    session = _get_session(session_id)
+    if session is None:
+        return _session_not_found(session_id)
+    with session.lock:
+        return jsonify({'success': True, **session.info()})
+
+@app.route('/sessions/<session_id>/step', methods=['POST'])
+def step_session(session_id):
+    """
+    Advance a session's chain.
+
+    Expected JSON body (optional):
+    {
+        "n_steps": 1  # Samples to draw, each steps_per_sample Gibbs sweeps apart
+    }
+    """
+    session = _get_session(session_id)
+    if session is None:
+        return _session_not_found(session_id)
+    try:
+        data = _validate_request('SessionStepRequest', request.get_json(silent=True) or {})
+        n_steps = max(1, min(int(data.get('n_steps', 1)), MAX_STEPS_PER_CALL))
+        with session.lock:
+            samples = session.step(n_steps)
+            return jsonify({
+                'success': True,
+                'session_id': session.id,
+                'samples': samples,
+                'state': samples[-1],
+                'steps': session.steps
+            })
+
+    except Exception as e:
+        return _error_response(e)
+
+@app.route('/sessions/<session_id>/events', methods=['GET'])
+def stream_session(session_id):
+    """
+    Stream a session's states as Server-Sent Events ("state" events carrying
+    {seq, state, steps}). A newer stream on the same session replaces this one.
+
+    Query parameters:
+        rate: states per second (default 30, at most MAX_STREAM_RATE)
+        n_steps: samples drawn per state (default 1)
+        window: unacknowledged states allowed before the stream pauses (default 8)
+    """
+    session = _get_session(session_id)
+    if session is None:
+        return _session_not_found(session_id)
+    n_steps = max(1, min(request.args.get('n_steps', 1, type=int), MAX_STEPS_PER_CALL))
+    window = max(1, request.args.get('window', 8, type=int))
+    token = uuid.uuid4().hex
+    with session.acked_changed:
+        session.stream_token = token
+        session.stream_rate = max(1.0, min(request.args.get('rate', 30.0, type=float), MAX_STREAM_RATE))
+        session.acked = session.seq  # A new consumer starts with a full window
+        session.acked_changed.notify_all()
+    return Response(
+        stream_with_context(_stream_states(session, token, n_steps, window)),
+        mimetype='text/event-stream',
+        headers={'Cache-Control': 'no-cache', 'X-Accel-Buffering': 'no'}
+    )
+
+@app.route('/sessions/<session_id>/ack', methods=['POST'])
+def ack_session(session_id):
+    """
+    Acknowledge streamed states (backpressure).
+
+    Expected JSON body:
+    {
+        "seq": 42,  # Newest state the client has consumed
+        "rate": 60  # Optional: new stream rate
+    }
+    """
+    session = _get_session(session_id)
+    if session is None:
+        return _session_not_found(session_id)
+    try:
+        data = _validate_request('SessionAckRequest', request.get_json(silent=True) or {})
+        session.ack(int(data['seq']), data.get('rate'))
+        return jsonify({'success': True, 'session_id': session.id, 'seq': session.seq, 'acked': session.acked})
+
+    except Exception as e:
+        return _error_response(e)
+
+@app.route('/sessions/<session_id>', methods=['PATCH'])
+def update_session(session_id):
+    """
+    Update weights, biases and/or beta in place. The chain state is kept; the graph
+    cannot change (open a new session for a different graph).
+
+    Expected JSON body (all optional):
+    {
+        "weights": [...],
+        "biases": [...],
+        "beta": 1.0
+    }
+    """
+    session = _get_session(session_id)
+    if session is None:
+        return _session_not_found(session_id)
+    try:
+        data = _validate_request('SessionUpdateRequest', request.get_json(silent=True) or {})
+        with session.lock:
+            session.update(data.get('weights'), data.get('biases'), data.get('beta'))
+            return jsonify({'success': True, 'session_id': session.id, 'beta': float(session.beta), 'steps': session.steps})
+
+    except Exception as e:
+        return _error_response(e)
+
+@app.route('/sessions/<session_id>', methods=['DELETE'])
+def close_session(session_id):
+    """Close a session and free its state."""
+    with sessions_lock:
+        session = sessions.pop(session_id, None)
+    if session is None:
+        return _session_not_found(session_id)
+    session.close()
+    return jsonify({'success': True, 'session_id': session_id, 'steps': session.steps})
 
 @app.route('/model/info', methods=['GET'])
 def model_info():
     """Get information about available models and parameters."""
     return jsonify({
         'models': ['ising'],
+        'sessions': {
+            'active': len(sessions),
+            'ttl_seconds': SESSION_TTL,
+            'max_steps_per_call': MAX_STEPS_PER_CALL,
+            'transports': ['http', 'sse'],
+            'max_stream_rate': MAX_STREAM_RATE
+        },
         'parameters': {
             'ising': {
-                'n_nodes': 'int - Number of nodes in the chain',
-                'weights': 'array - Edge weights (length: n_nodes - 1)',
+                'n_nodes': 'int - Number of nodes',
+                'edges': 'array - Optional [i, j] node index pairs (default: chain i -- i+1)',
+                'blocks': 'array - Optional free blocks, node index lists without internal edges (default: greedy coloring)',
+                'weights': 'array - Edge weights (one per edge)',
                 'biases': 'array - Node biases (length: n_nodes)',
                 'beta': 'float - Temperature parameter (1/T)',
                 'n_warmup': 'int - Number of warmup steps',
@@ -171,5 +719,5 @@ def model_info():
     })
 
 if __name__ == '__main__':
-    app.run(host='0.0.0.0', port=5000, debug=True)
+    app.run(host='0.0.0.0', port=5000, debug=True, threaded=True)  # Streams hold a thread each
 
@@ -0,0 +1,352 @@
+/**
+ * THRML API Contract Checks
+ * Exercises every endpoint the frontend uses and checks the JSON it gets back, so the
+ * Flask server and the Node mock can be held to the same contract. Every reply is
+ * validated against thrml_api/schema.json (failures against ErrorResponse); beyond that
+ * the checks test properties every correct sampler has (e.g. a strong positive bias
+ * gives +1 spins), never exact states.
+ *
+ *   node thrml_api/mock/contract.mjs                          # against a fresh mock
+ *   node thrml_api/mock/contract.mjs http://localhost:5000    # against a running server
+ *
+ * Exits with status 1 if any check fails.
+ */
+import assert from 'node:assert/strict';
+import { createMockServer } from './server.mjs';
+
+const { default: ThrmlSchema } = await import('../../src/js/effects/ThrmlSchema.js');
+const { default: ThrmlSampleCodec } = await import('../../src/js/effects/ThrmlSampleCodec.js');
+
+const STREAM_TIMEOUT = 5000; // ms to wait for a streamed event
+
+/**
+ * Sends a request and returns the status and parsed JSON body, after checking the body
+ * against the endpoint's response definition (or ErrorResponse for failures).
+ * @param {string} baseUrl
+ * @param {string} method
+ * @param {string} path
+ * @param {object|string} [body] - JSON body, or a string sent as is
+ * @returns {Promise<{status: number, data: object}>}
+ */
+async function request(baseUrl, method, path, body) {
+    const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: body !== undefined ? { 'Content-Type': 'application/json' } : undefined,
+        body: typeof body === 'string' ? body : body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json();
+    const definition = response.ok ? ThrmlSchema.route(method, path).response : 'ErrorResponse';
+    const errors = ThrmlSchema.validate(definition, data);
+    assert.deepEqual(errors, [], `${method} ${path} reply breaks ${definition}`);
+    return { status: response.status, data };
+}
+
+/**
+ * Asserts that a value is a list of `length` booleans (one state, true = +1).
+ */
+function assertState(state, length, label = 'state') {
+    assert.ok(Array.isArray(state), `${label} is a list`);
+    assert.equal(state.length, length, `${label} has one entry per node`);
+    assert.ok(state.every(value => typeof value === 'boolean'), `${label} holds booleans`);
+}
+
+/**
+ * Asserts a failed request's status and error type.
+ */
+function assertError({ status, data }, expectedStatus, errorType) {
+    assert.equal(status, expectedStatus);
+    assert.equal(data.error_type, errorType);
+}
+
+/**
+ * Reads Server-Sent Events from a streaming response.
+ * @param {Response} response
+ * @returns {function(): Promise<{event: string, data: string}>} Resolves with the next event
+ *   (comments and `retry:` lines are skipped)
+ */
+function eventReader(response) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    return async function next() {
+        const deadline = Date.now() + STREAM_TIMEOUT;
+        for (;;) {
+            const end = buffer.indexOf('\n\n');
+            if (end !== -1) {
+                const message = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+                const fields = { event: 'message', data: '' };
+                for (const line of message.split('\n')) {
+                    const colon = line.indexOf(':');
+                    if (colon <= 0) continue; // Comments start with ':'
+                    fields[line.slice(0, colon)] = line.slice(colon + 1).trim();
+                }
+                if (fields.data || fields.event !== 'message') return fields;
+                continue;
+            }
+            let timer;
+            const timeout = new Promise((_, reject) => {
+                timer = setTimeout(() => reject(new Error('Timed out waiting for an event')), Math.max(0, deadline - Date.now()));
+            });
+            const { value, done } = await Promise.race([reader.read(), timeout]).finally(() => clearTimeout(timer));
+            if (done) throw new Error('Stream ended');
+            buffer += decoder.decode(value, { stream: true });
+        }
+    };
+}
+
+const CHAIN = { n_nodes: 5, weights: [0.5, 0.5, 0.5, 0.5], biases: [0, 0, 0, 0, 0], beta: 1.0 };
+const GRID = {
+    n_nodes: 4,
+    edges: [[0, 1], [2, 3], [0, 2], [1, 3]],
+    weights: [0.5, 0.5, 0.5, 0.5],
+    biases: [0, 0, 0, 0],
+    blocks: [[0, 3], [1, 2]]
+};
+
+/**
+ * The checks, in order. Each receives the base URL and a shared context.
+ */
+const checks = {
+    'GET /health reports ok': async baseUrl => {
+        const { status, data } = await request(baseUrl, 'GET', '/health');
+        assert.equal(status, 200);
+        assert.equal(data.status, 'ok');
+    },
+    
+    'GET /model/info describes models and sessions': async (baseUrl, context) => {
+        const { status, data } = await request(baseUrl, 'GET', '/model/info');
+        assert.equal(status, 200);
+        assert.ok(data.models.includes('ising'));
+        assert.equal(typeof data.sessions.max_steps_per_call, 'number');
+        assert.ok(data.sessions.transports.includes('http'));
+        for (const name of ['n_nodes', 'edges', 'blocks', 'weights', 'biases', 'beta', 'n_warmup', 'n_samples', 'steps_per_sample']) {
+            assert.ok(name in data.parameters.ising, `documents ${name}`);
+        }
+        context.streaming = data.sessions.transports.includes('sse');
+    },
+    
+    'POST /sample/ising returns samples and the final state': async baseUrl => {
+        const { status, data } = await request(baseUrl, 'POST', '/sample/ising', {
+            ...CHAIN, n_warmup: 10, n_samples: 6, steps_per_sample: 2, random_key: 0
+        });
+        assert.equal(status, 200);
+        assert.equal(data.success, true);
+        assert.equal(data.n_samples, 6);
+        assert.equal(data.samples.length, 6);
+        data.samples.forEach((sample, k) => assertState(sample, 5, `samples[${k}]`));
+        assert.deepEqual(data.final_state, data.samples[5]);
+        assert.deepEqual(data.model_info, { n_nodes: 5, beta: 1.0, n_edges: 4 });
+    },
+    
+    'POST /sample/ising samples an explicit graph': async baseUrl => {
+        const { status, data } = await request(baseUrl, 'POST', '/sample/ising', { ...GRID, n_warmup: 5, n_samples: 3 });
+        assert.equal(status, 200);
+        assert.equal(data.model_info.n_edges, 4);
+        data.samples.forEach((sample, k) => assertState(sample, 4, `samples[${k}]`));
+    },
+    
+    'POST /sample/ising maps positive biases to true': async baseUrl => {
+        const { data } = await request(baseUrl, 'POST', '/sample/ising', {
+            n_nodes: 5, weights: [0, 0, 0, 0], biases: [3, 3, 3, 3, 3], beta: 2.0, n_warmup: 5, n_samples: 4
+        });
+        assert.ok(data.samples.every(sample => sample.every(Boolean)), 'P(+1) = σ(12) for every node');
+    },
+    
+    'POST /sample/ising returns bit-packed samples when asked': async baseUrl => {
+        const body = { n_nodes: 11, weights: new Array(10).fill(0), biases: [3, 3, 3, -3, -3, 3, 3, 3, 3, -3, 3], beta: 2.0, n_warmup: 5, n_samples: 3 };
+        const response = await fetch(`${baseUrl}/sample/ising`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Accept: 'application/octet-stream, application/json;q=0.9' },
+            body: JSON.stringify(body)
+        });
+        assert.equal(response.status, 200);
+        assert.ok(ThrmlSampleCodec.isEncoded(response.headers.get('Content-Type')), 'binary Content-Type');
+        const bytes = new Uint8Array(await response.arrayBuffer());
+        const { header, samples } = ThrmlSampleCodec.decode(bytes);
+        assert.deepEqual(ThrmlSchema.validate('IsingSampleBinaryHeader', header), []);
+        assert.equal(header.n_samples, 3);
+        assert.equal(samples.length, 3);
+        const expected = body.biases.map(bias => (bias > 0 ? 1 : 0));
+        for (const sample of samples) {
+            assert.deepEqual(Array.from(sample), expected, 'P(+1) = σ(±12) for every node, across a byte boundary');
+        }
+        
+        // JSON unless asked, and errors stay JSON
+        const json = await request(baseUrl, 'POST', '/sample/ising', { ...body, n_samples: 1 });
+        assert.equal(json.data.samples.length, 1);
+        const invalid = await fetch(`${baseUrl}/sample/ising`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Accept: 'application/octet-stream' },
+            body: JSON.stringify({ ...body, weights: [0] })
+        });
+        assertError({ status: invalid.status, data: await invalid.json() }, 400, 'ValidationError');
+    },
+    
+    'POST /sample/ising/stream returns one state': async baseUrl => {
+        const { status, data } = await request(baseUrl, 'POST', '/sample/ising/stream', { ...CHAIN, random_key: 1 });
+        assert.equal(status, 200);
+        assert.equal(data.success, true);
+        assertState(data.sample, 5, 'sample');
+        assertState(data.state, 5);
+    },
+    
+    'requests that break the schema are rejected with ValidationError': async baseUrl => {
+        const typed = await request(baseUrl, 'POST', '/sample/ising', { n_nodes: 'five', n_samples: 1 });
+        assertError(typed, 400, 'ValidationError');
+        assert.deepEqual(typed.data.details, ['n_nodes must be integer']);
+        assertError(await request(baseUrl, 'POST', '/sample/ising', { ...CHAIN, n_sample: 1 }), 400, 'ValidationError');
+        assertError(await request(baseUrl, 'POST', '/sample/ising', { ...CHAIN, beta: -1, n_samples: 1 }), 400, 'ValidationError');
+        assertError(await request(baseUrl, 'POST', '/sample/ising', 'not json'), 400, 'ValidationError');
+        assertError(await request(baseUrl, 'POST', '/sessions', { ...CHAIN, state: ['up'] }), 400, 'ValidationError');
+    },
+    
+    'inconsistent graphs and parameters are rejected with ValidationError': async baseUrl => {
+        assertError(await request(baseUrl, 'POST', '/sample/ising', { n_nodes: 3, edges: [[0, 0]], n_samples: 1 }), 400, 'ValidationError');
+        assertError(await request(baseUrl, 'POST', '/sample/ising', { n_nodes: 3, edges: [[0, 3]], n_samples: 1 }), 400, 'ValidationError');
+        const weights = await request(baseUrl, 'POST', '/sample/ising', { ...CHAIN, weights: [0.5], n_samples: 1 });
+        assertError(weights, 400, 'ValidationError');
+        assert.deepEqual(weights.data.details, ['Expected 4 weights (one per edge), got 1']);
+        assertError(await request(baseUrl, 'POST', '/sample/ising', { ...CHAIN, biases: [0], n_samples: 1 }), 400, 'ValidationError');
+        assertError(await request(baseUrl, 'POST', '/sample/ising', { ...GRID, blocks: [[0, 1], [2, 3]], n_samples: 1 }), 400, 'ValidationError');
+        assertError(await request(baseUrl, 'POST', '/sessions', { ...GRID, blocks: [[0, 3]] }), 400, 'ValidationError');
+        assertError(await request(baseUrl, 'POST', '/sessions', { ...GRID, state: [true] }), 400, 'ValidationError');
+    },
+    
+    'POST /sessions opens a session': async (baseUrl, context) => {
+        const { status, data } = await request(baseUrl, 'POST', '/sessions', { ...GRID, steps_per_sample: 1, random_key: 2 });
+        assert.equal(status, 200);
+        assert.equal(data.success, true);
+        assert.equal(typeof data.session_id, 'string');
+        assert.equal(data.n_nodes, 4);
+        assert.equal(data.n_edges, 4);
+        assert.equal(data.n_blocks, 2);
+        assert.equal(data.beta, 1.0);
+        assert.equal(data.steps, 0);
+        assertState(data.state, 4);
+        context.session = data.session_id;
+    },
+    
+    'POST /sessions/<id>/step continues the chain': async (baseUrl, context) => {
+        const { status, data } = await request(baseUrl, 'POST', `/sessions/${context.session}/step`, { n_steps: 3 });
+        assert.equal(status, 200);
+        assert.equal(data.session_id, context.session);
+        assert.equal(data.samples.length, 3);
+        data.samples.forEach((sample, k) => assertState(sample, 4, `samples[${k}]`));
+        assert.deepEqual(data.state, data.samples[2]);
+        assert.equal(data.steps, 3);
+        
+        const next = await request(baseUrl, 'POST', `/sessions/${context.session}/step`);
+        assert.equal(next.data.samples.length, 1);
+        assert.equal(next.data.steps, 4);
+        
+        const info = await request(baseUrl, 'GET', `/sessions/${context.session}`);
+        assert.equal(info.data.steps, 4);
+        assert.deepEqual(info.data.state, next.data.state);
+    },
+    
+    'PATCH /sessions/<id> updates parameters in place': async (baseUrl, context) => {
+        const { status, data } = await request(baseUrl, 'PATCH', `/sessions/${context.session}`, { beta: 2.0, biases: [1, 1, 1, 1] });
+        assert.equal(status, 200);
+        assert.deepEqual(data, { success: true, session_id: context.session, beta: 2.0, steps: 4 });
+        assertError(await request(baseUrl, 'PATCH', `/sessions/${context.session}`, { weights: [1] }), 400, 'ValidationError');
+        assertError(await request(baseUrl, 'POST', `/sessions/${context.session}/step`, { n_steps: 0 }), 400, 'ValidationError');
+        assertError(await request(baseUrl, 'POST', `/sessions/${context.session}/ack`, {}), 400, 'ValidationError');
+    },
+    
+    'POST /sessions resumes from a given state': async baseUrl => {
+        const state = [true, false, false, true];
+        const { data } = await request(baseUrl, 'POST', '/sessions', { ...GRID, state });
+        assert.deepEqual(data.state, state);
+        await request(baseUrl, 'DELETE', `/sessions/${data.session_id}`);
+    },
+    
+    'GET /sessions/<id>/events streams states with ack backpressure': async (baseUrl, context) => {
+        if (!context.streaming) return 'skipped (no sse transport)';
+        const controller = new AbortController();
+        const response = await fetch(`${baseUrl}/sessions/${context.session}/events?rate=50&window=2`, { signal: controller.signal });
+        try {
+            assert.equal(response.status, 200);
+            assert.ok(response.headers.get('content-type').startsWith('text/event-stream'));
+            const next = eventReader(response);
+            
+            const first = await next();
+            const second = await next();
+            for (const [event, seq] of [[first, 1], [second, 2]]) {
+                assert.equal(event.event, 'state');
+                assert.equal(event.id, String(seq));
+                const payload = JSON.parse(event.data);
+                assert.deepEqual(ThrmlSchema.validate('StreamState', payload), []);
+                assert.equal(payload.seq, seq);
+                assertState(payload.state, 4);
+            }
+            
+            // The window is full: no state arrives until the client acknowledges
+            const third = next();
+            const early = await Promise.race([third, new Promise(resolve => setTimeout(() => resolve(null), 300))]);
+            assert.equal(early, null, 'stream pauses while the window is full');
+            const ack = await request(baseUrl, 'POST', `/sessions/${context.session}/ack`, { seq: 2, rate: 20 });
+            assert.equal(ack.data.success, true);
+            assert.equal(ack.data.acked, 2);
+            assert.ok(ack.data.seq >= 2, 'seq counts every sent state (the stream may already have resumed)');
+            assert.equal(JSON.parse((await third).data).seq, 3);
+            
+            await request(baseUrl, 'DELETE', `/sessions/${context.session}`);
+            let event = await next();
+            while (event.event === 'state') event = await next();
+            assert.equal(event.event, 'closed');
+            context.closed = true;
+        } finally {
+            controller.abort();
+        }
+    },
+    
+    'DELETE /sessions/<id> closes the session': async (baseUrl, context) => {
+        if (!context.closed) {
+            const { status, data } = await request(baseUrl, 'DELETE', `/sessions/${context.session}`);
+            assert.equal(status, 200);
+            assert.equal(data.session_id, context.session);
+        }
+        assertError(await request(baseUrl, 'GET', `/sessions/${context.session}`), 404, 'SessionNotFound');
+        assertError(await request(baseUrl, 'POST', `/sessions/${context.session}/step`, { n_steps: 1 }), 404, 'SessionNotFound');
+        assertError(await request(baseUrl, 'DELETE', `/sessions/${context.session}`), 404, 'SessionNotFound');
+    }
+};
+
+/**
+ * Runs every check against a server and prints one line per check.
+ * @param {string} baseUrl - e.g. 'http://localhost:5000'
+ * @returns {Promise<number>} Number of failed checks
+ */
+export async function runContract(baseUrl) {
+    const context = {};
+    let failed = 0;
+    for (const [name, check] of Object.entries(checks)) {
+        try {
+            const note = await check(baseUrl, context);
+            console.log(`  ✓ ${name}${note ? ` (${note})` : ''}`);
+        } catch (error) {
+            failed++;
+            console.log(`  ✗ ${name}\n      ${error.message.split('\n').join('\n      ')}`);
+        }
+    }
+    return failed;
+}
+
+const target = process.argv[2];
+let server = null;
+let baseUrl = target;
+if (!baseUrl) {
+    server = createMockServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+}
+
+console.log(`THRML API contract: ${baseUrl}${server ? ' (mock)' : ''}`);
+const failed = await runContract(baseUrl.replace(/\/$/, ''));
+console.log(failed ? `${failed} of ${Object.keys(checks).length} checks failed` : `All ${Object.keys(checks).length} checks passed`);
+if (server) {
+    server.closeAllConnections();
+    server.close();
+}
+process.exitCode = failed ? 1 : 0;
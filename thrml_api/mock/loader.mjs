@@ -0,0 +1,44 @@
+/**
+ * Module hooks that let Node import the visualizer's sources unchanged. Parcel
+ * resolves extensionless relative imports (`import Random from '../core/Random'`),
+ * treats every file as an ES module and imports JSON as a default export; Node does
+ * none of these, so for files under src/ the hooks add the `.js` extension, force the
+ * module format and turn the JSON files they import (thrml_api/schema.json) into modules.
+ * Used by the mock server and by the tests in test/.
+ */
+import { existsSync } from 'node:fs';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+const ROOT_URL = new URL('../../', import.meta.url).href;
+const SRC_URL = new URL('../../src/', import.meta.url).href;
+
+/**
+ * Resolves extensionless relative imports made from src/ to their `.js` file.
+ */
+export async function resolve(specifier, context, nextResolve) {
+    const relative = specifier.startsWith('./') || specifier.startsWith('../');
+    if (relative && context.parentURL && context.parentURL.startsWith(SRC_URL) && !path.extname(specifier)) {
+        const file = path.resolve(path.dirname(fileURLToPath(context.parentURL)), `${specifier}.js`);
+        if (existsSync(file)) {
+            return { url: pathToFileURL(file).href, format: 'module', shortCircuit: true };
+        }
+    }
+    return nextResolve(specifier, context);
+}
+
+/**
+ * Loads src/ files as ES modules (package.json declares no "type") and the
+ * repository's JSON files as modules with the parsed JSON as default export.
+ */
+export async function load(url, context, nextLoad) {
+    if (url.startsWith(ROOT_URL) && url.endsWith('.json')) {
+        const json = await readFile(fileURLToPath(url), 'utf8');
+        return { format: 'module', source: `export default ${json};`, shortCircuit: true };
+    }
+    if (url.startsWith(SRC_URL)) {
+        return nextLoad(url, { ...context, format: 'module' });
+    }
+    return nextLoad(url, context);
+}
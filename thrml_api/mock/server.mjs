@@ -0,0 +1,606 @@
+/**
+ * Mock THRML API Server
+ * Node stand-in for thrml_api/app.py with the same endpoints and JSON contract, so
+ * the frontend can be developed (and the contract checked) without Python or JAX.
+ * Chains are sampled by the visualizer's own GibbsSampler instead of thrml, so the
+ * states follow the same Ising distribution but are not bit-identical to thrml's.
+ *
+ *   node thrml_api/mock/server.mjs            # http://localhost:5000
+ *   PORT=5001 node thrml_api/mock/server.mjs
+ *
+ * Differences from the real server: seeds (`random_key`) are fed to the JS PRNG,
+ * initial states are uniform rather than hinton_init, and beta is limited to 10
+ * (GibbsSampler's minimum temperature is 0.1).
+ */
+import { randomUUID } from 'node:crypto';
+import http from 'node:http';
+import { register } from 'node:module';
+import { fileURLToPath } from 'node:url';
+
+register('./loader.mjs', import.meta.url);
+const { default: GibbsSampler } = await import('../../src/js/effects/GibbsSampler.js');
+const { default: GraphColoring } = await import('../../src/js/effects/GraphColoring.js');
+const { default: ThrmlSchema } = await import('../../src/js/effects/ThrmlSchema.js');
+const { default: ThrmlSampleCodec } = await import('../../src/js/effects/ThrmlSampleCodec.js');
+
+const SESSION_TTL = 600; // Seconds an idle session is kept before it is discarded
+const MAX_STEPS_PER_CALL = 1000;
+const MAX_STREAM_RATE = 120; // States per second a stream may request
+const KEEPALIVE_SECONDS = 5; // Comment sent while a paused stream waits for acks
+
+/**
+ * An error with the `error_type` app.py reports for it (see ErrorResponse in schema.json).
+ * @param {string} type - 'ValidationError', 'SessionNotFound' or 'SamplingFailed'
+ * @param {string} message
+ * @param {Array<string>} [details] - Individual problems
+ * @returns {Error}
+ */
+function apiError(type, message, details) {
+    const error = new Error(message);
+    error.name = type;
+    error.details = details || [message];
+    return error;
+}
+
+/**
+ * Returns a request body if it matches its schema definition and describes a
+ * consistent model, like app.py's _validate_request plus its graph checks.
+ * @param {string} name - Request definition, e.g. 'SessionCreateRequest'
+ * @param {object|null} data - Parsed body
+ * @param {MockChain} [chain] - Session whose graph parameter updates are checked against
+ * @returns {object} The body
+ * @throws {Error} ValidationError
+ */
+function validateRequest(name, data, chain) {
+    if (data === null) {
+        throw apiError('ValidationError', 'Request body must be a JSON object');
+    }
+    let errors = ThrmlSchema.validate(name, data);
+    if (errors.length === 0) {
+        errors = ThrmlSchema.checkModel(chain
+            ? { ...data, n_nodes: chain.nNodes, edges: chain.edges }
+            : { ...data, n_nodes: data.n_nodes ?? 5 });
+    }
+    if (errors.length > 0) {
+        throw apiError('ValidationError', ThrmlSchema.describe(name, errors), errors);
+    }
+    return data;
+}
+
+/**
+ * Greedy coloring in node order, identical to app.py's _color_graph so both servers
+ * report the same default blocks.
+ * @param {number} nNodes
+ * @param {Array<Array<number>>} edges
+ * @returns {Array<Array<number>>} Node indices per block
+ */
+function colorGraph(nNodes, edges) {
+    const neighbors = Array.from({ length: nNodes }, () => []);
+    for (const [i, j] of edges) {
+        neighbors[i].push(j);
+        neighbors[j].push(i);
+    }
+    const colors = new Array(nNodes).fill(-1);
+    for (let i = 0; i < nNodes; i++) {
+        const used = new Set(neighbors[i].map(j => colors[j]));
+        let color = 0;
+        while (used.has(color)) color++;
+        colors[i] = color;
+    }
+    return GraphColoring.toBlocks(colors);
+}
+
+/**
+ * An Ising chain on a GibbsSampler. Mirrors app.py's SamplingSession: the graph is
+ * fixed, parameters change in place, and every sample is `stepsPerSample` sweeps
+ * after the previous one.
+ */
+class MockChain {
+    /**
+     * @param {object} data - Validated request body (n_nodes, edges, blocks, weights,
+     *   biases, beta, steps_per_sample, random_key, state). Without `edges` the model is
+     *   the chain i -- i+1, without `blocks` the nodes are colored greedily.
+     */
+    constructor(data) {
+        this.nNodes = data.n_nodes ?? 5;
+        this.edges = data.edges ?? Array.from({ length: this.nNodes - 1 }, (_, i) => [i, i + 1]);
+        this.blocks = (data.blocks ?? colorGraph(this.nNodes, this.edges)).filter(block => block.length > 0);
+        this.stepsPerSample = data.steps_per_sample ?? 2;
+        this.sampler = new GibbsSampler({
+            topology: { nodes: this.nNodes, edges: this.edges },
+            blocks: this.blocks,
+            seed: data.random_key ?? 0
+        });
+        // Request edge -> sampler edge; duplicate request edges share one and add up
+        this.edgeIndex = this.edges.map(([i, j]) => this.sampler.findEdge(i, j));
+        this.weights = new Array(this.edges.length).fill(0.5);
+        this.biases = new Array(this.nNodes).fill(0.0);
+        this.beta = 1.0;
+        this.update(data.weights, data.biases, data.beta);
+        
+        if (data.state != null) {
+            this.sampler.setStates(data.state); // Resume a chain the client already has
+        }
+    }
+    
+    /**
+     * Changes parameters in place; the chain keeps its current state.
+     * @param {Array<number>} [weights] - One weight per edge
+     * @param {Array<number>} [biases] - One bias per node
+     * @param {number} [beta] - Inverse temperature
+     */
+    update(weights, biases, beta) {
+        if (weights != null) this.weights = weights;
+        if (biases != null) this.biases = biases;
+        if (beta != null) this.beta = beta;
+        
+        const edgeWeights = new Float32Array(this.sampler.edgeCount);
+        this.edgeIndex.forEach((e, k) => { edgeWeights[e] += this.weights[k]; });
+        this.sampler.setParameters({ biases: this.biases, edgeWeights });
+        this.sampler.setTemperature(1.0 / this.beta);
+    }
+    
+    /**
+     * Runs sweeps without recording them.
+     * @param {number} sweeps
+     */
+    warmUp(sweeps) {
+        for (let s = 0; s < sweeps; s++) {
+            this.sampler.sweep();
+        }
+    }
+    
+    /**
+     * Draws samples, each `stepsPerSample` sweeps after the previous one.
+     * @param {number} nSamples
+     * @returns {Array<Array<boolean>>} One state per sample (true = +1)
+     */
+    sample(nSamples) {
+        const samples = [];
+        for (let n = 0; n < nSamples; n++) {
+            this.warmUp(this.stepsPerSample);
+            samples.push(this.state());
+        }
+        return samples;
+    }
+    
+    /**
+     * @returns {Array<boolean>} Current per-node state (true = +1)
+     */
+    state() {
+        return Array.from(this.sampler.states, spin => spin > 0);
+    }
+}
+
+/**
+ * A persistent chain plus the streaming bookkeeping of app.py's SamplingSession.
+ */
+class MockSession extends MockChain {
+    /**
+     * @param {string} id - Session id
+     * @param {object} data - POST /sessions body
+     */
+    constructor(id, data) {
+        super(data);
+        this.id = id;
+        this.steps = 0;
+        this.lastUsed = Date.now();
+        this.closed = false;
+        
+        // Streaming: the client acknowledges consumed states; at most `window` may be unacknowledged
+        this.seq = 0;
+        this.acked = 0;
+        this.streamRate = 30.0;
+        this.streamToken = null; // Only the newest stream of a session keeps running
+        this.listeners = new Set(); // Streams woken by acks, replacement and close
+    }
+    
+    /**
+     * Advances the chain by nSteps samples and returns them.
+     * @param {number} nSteps
+     * @returns {Array<Array<boolean>>}
+     */
+    step(nSteps) {
+        const samples = this.sample(nSteps);
+        this.steps += nSteps;
+        return samples;
+    }
+    
+    /**
+     * Records the newest state the client consumed (and optionally a new rate).
+     * @param {number} seq
+     * @param {number} [rate]
+     */
+    ack(seq, rate) {
+        this.acked = Math.max(this.acked, Math.min(seq, this.seq));
+        if (rate != null) {
+            this.streamRate = Math.max(1.0, Math.min(rate, MAX_STREAM_RATE));
+        }
+        this.notify();
+    }
+    
+    /**
+     * Marks the session closed and wakes any waiting stream.
+     */
+    close() {
+        this.closed = true;
+        this.notify();
+    }
+    
+    /**
+     * Wakes the session's streams.
+     */
+    notify() {
+        for (const listener of [...this.listeners]) {
+            listener();
+        }
+    }
+    
+    /**
+     * @returns {object} The fields app.py's SamplingSession.info() returns
+     */
+    info() {
+        return {
+            session_id: this.id,
+            n_nodes: this.nNodes,
+            n_edges: this.edges.length,
+            n_blocks: this.blocks.length,
+            beta: this.beta,
+            steps: this.steps,
+            state: this.state()
+        };
+    }
+}
+
+/**
+ * Writes a JSON response with the CORS header flask_cors adds.
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+    });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Writes a bit-packed reply (see ThrmlSampleCodec).
+ */
+function sendBinary(res, bytes) {
+    res.writeHead(200, {
+        'Content-Type': ThrmlSampleCodec.mediaType(),
+        'Content-Length': bytes.length,
+        'Access-Control-Allow-Origin': '*'
+    });
+    res.end(bytes);
+}
+
+/**
+ * Whether an Accept header ranks the binary encoding above JSON, as Flask's
+ * `accept_mimetypes.best_match()` decides for app.py (ties go to JSON).
+ * @param {string} [accept]
+ * @returns {boolean}
+ */
+function prefersBinary(accept) {
+    const quality = type => {
+        let best = 0;
+        for (const entry of (accept || '').split(',')) {
+            const [range, ...params] = entry.split(';').map(part => part.trim().toLowerCase());
+            const q = params.find(param => param.startsWith('q='));
+            if (range === type || range === '*/*' || range === `${type.split('/')[0]}/*`) {
+                best = Math.max(best, q ? parseFloat(q.slice(2)) || 0 : 1);
+            }
+        }
+        return best;
+    };
+    return quality(ThrmlSampleCodec.mediaType()) > quality('application/json');
+}
+
+/**
+ * Writes the ErrorResponse of a failed request: 400 ValidationError, 404 SessionNotFound,
+ * or 500 SamplingFailed for any other error (like app.py's _error_response).
+ */
+function sendError(res, error) {
+    if (error.name === 'ValidationError' || error.name === 'SessionNotFound') {
+        sendJson(res, error.name === 'ValidationError' ? 400 : 404, {
+            success: false,
+            error: error.message,
+            error_type: error.name,
+            details: error.details
+        });
+        return;
+    }
+    sendJson(res, 500, {
+        success: false,
+        error: `Sampling failed: ${error.message}`,
+        error_type: 'SamplingFailed',
+        details: [`${error.name}: ${error.message}`]
+    });
+}
+
+/**
+ * Reads a JSON request body.
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<*>} Parsed body, or null if it is missing or not JSON (Flask's
+ *   `get_json(silent=True)`)
+ */
+async function readJson(req) {
+    let text = '';
+    for await (const chunk of req) {
+        text += chunk;
+    }
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Sends a session's states as Server-Sent Events at its stream rate, pausing while
+ * `window` states are unacknowledged (see app.py's _stream_states).
+ * @param {MockSession} session
+ * @param {http.ServerResponse} res
+ * @param {string} token - Stream token; a newer stream on the session ends this one
+ * @param {number} nSteps - Samples drawn per state
+ * @param {number} window - Unacknowledged states allowed before pausing
+ */
+function streamStates(session, res, token, nSteps, window) {
+    let timer = null;
+    let paused = false;
+    let nextTime = Date.now();
+    
+    const stop = () => {
+        clearTimeout(timer);
+        session.listeners.delete(wake);
+    };
+    const finish = () => {
+        stop();
+        if (!res.writableEnded) res.end('event: closed\ndata: {}\n\n');
+    };
+    const tick = () => {
+        if (session.closed || session.streamToken !== token) return finish();
+        if (session.seq - session.acked >= window) {
+            paused = true;
+            timer = setTimeout(() => {
+                res.write(': keepalive\n\n');
+                tick();
+            }, KEEPALIVE_SECONDS * 1000);
+            return;
+        }
+        paused = false;
+        
+        const samples = session.step(nSteps);
+        session.seq++;
+        session.lastUsed = Date.now();
+        const payload = { seq: session.seq, state: samples[samples.length - 1], steps: session.steps };
+        res.write(`id: ${payload.seq}\nevent: state\ndata: ${JSON.stringify(payload)}\n\n`);
+        
+        nextTime += 1000 / session.streamRate;
+        let delay = nextTime - Date.now();
+        if (delay <= 0) {
+            nextTime = Date.now(); // Sampling is slower than the rate; do not build up a debt
+            delay = 0;
+        }
+        timer = setTimeout(tick, delay);
+    };
+    function wake() {
+        if (session.closed || session.streamToken !== token) {
+            finish();
+        } else if (paused && session.seq - session.acked < window) {
+            clearTimeout(timer);
+            nextTime = Date.now();
+            tick();
+        }
+    }
+    
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'X-Accel-Buffering': 'no',
+        'Access-Control-Allow-Origin': '*'
+    });
+    res.on('close', stop);
+    session.listeners.add(wake);
+    res.write('retry: 2000\n\n');
+    tick();
+}
+
+/**
+ * Creates the mock server. Sessions live in the returned server, so several mocks can
+ * run side by side (e.g. one per contract run).
+ * @param {object} [options]
+ * @param {boolean} [options.log=false] - Log one line per request
+ * @returns {http.Server}
+ */
+export function createMockServer(options = {}) {
+    const sessions = new Map();
+    
+    const expireSessions = () => {
+        const now = Date.now();
+        for (const [id, session] of sessions) {
+            if (now - session.lastUsed > SESSION_TTL * 1000) {
+                sessions.delete(id);
+                session.close();
+            }
+        }
+    };
+    const getSession = id => {
+        const session = sessions.get(id) || null;
+        if (session) session.lastUsed = Date.now();
+        return session;
+    };
+    const sessionNotFound = (res, id) => sendError(res, apiError('SessionNotFound', `Unknown or expired session: ${id}`));
+    
+    const routes = {
+        'GET /health': (req, res) => {
+            sendJson(res, 200, { status: 'ok', message: 'THRML mock API is running' });
+        },
+        
+        'POST /sample/ising': async (req, res) => {
+            const data = validateRequest('IsingSampleRequest', await readJson(req));
+            const chain = new MockChain(data);
+            chain.warmUp(data.n_warmup ?? 100);
+            const samples = chain.sample(data.n_samples ?? 1000);
+            const header = {
+                success: true,
+                n_samples: samples.length,
+                model_info: {
+                    n_nodes: chain.nNodes,
+                    beta: chain.beta,
+                    n_edges: chain.edges.length
+                }
+            };
+            if (prefersBinary(req.headers.accept)) {
+                sendBinary(res, ThrmlSampleCodec.encode(header, samples));
+                return;
+            }
+            sendJson(res, 200, {
+                ...header,
+                samples,
+                final_state: samples.length > 0 ? samples[samples.length - 1] : null
+            });
+        },
+        
+        'POST /sample/ising/stream': async (req, res) => {
+            const data = validateRequest('IsingStreamRequest', await readJson(req));
+            const [sample] = new MockChain(data).sample(1);
+            sendJson(res, 200, { success: true, sample, state: sample });
+        },
+        
+        'POST /sessions': async (req, res) => {
+            expireSessions();
+            const data = validateRequest('SessionCreateRequest', await readJson(req));
+            const session = new MockSession(randomUUID().replace(/-/g, ''), data);
+            sessions.set(session.id, session);
+            sendJson(res, 200, { success: true, ...session.info() });
+        },
+        
+        'GET /sessions/:id': (req, res, session) => {
+            sendJson(res, 200, { success: true, ...session.info() });
+        },
+        
+        'POST /sessions/:id/step': async (req, res, session) => {
+            const data = validateRequest('SessionStepRequest', (await readJson(req)) || {});
+            const nSteps = Math.min(data.n_steps ?? 1, MAX_STEPS_PER_CALL);
+            const samples = session.step(nSteps);
+            sendJson(res, 200, {
+                success: true,
+                session_id: session.id,
+                samples,
+                state: samples[samples.length - 1],
+                steps: session.steps
+            });
+        },
+        
+        'GET /sessions/:id/events': (req, res, session, query) => {
+            const number = (name, fallback) => {
+                const value = query.has(name) ? Number(query.get(name)) : NaN;
+                return Number.isFinite(value) ? value : fallback; // Flask's type= falls back to the default
+            };
+            const nSteps = Math.max(1, Math.min(Math.trunc(number('n_steps', 1)), MAX_STEPS_PER_CALL));
+            const window = Math.max(1, Math.trunc(number('window', 8)));
+            const token = randomUUID();
+            session.streamToken = token;
+            session.streamRate = Math.max(1.0, Math.min(number('rate', 30.0), MAX_STREAM_RATE));
+            session.acked = session.seq; // A new consumer starts with a full window
+            session.notify();
+            streamStates(session, res, token, nSteps, window);
+        },
+        
+        'POST /sessions/:id/ack': async (req, res, session) => {
+            const data = validateRequest('SessionAckRequest', (await readJson(req)) || {});
+            session.ack(data.seq, data.rate);
+            sendJson(res, 200, { success: true, session_id: session.id, seq: session.seq, acked: session.acked });
+        },
+        
+        'PATCH /sessions/:id': async (req, res, session) => {
+            const data = validateRequest('SessionUpdateRequest', (await readJson(req)) || {}, session);
+            session.update(data.weights, data.biases, data.beta);
+            sendJson(res, 200, { success: true, session_id: session.id, beta: session.beta, steps: session.steps });
+        },
+        
+        'DELETE /sessions/:id': (req, res, session) => {
+            sessions.delete(session.id);
+            session.close();
+            sendJson(res, 200, { success: true, session_id: session.id, steps: session.steps });
+        },
+        
+        'GET /model/info': (req, res) => {
+            sendJson(res, 200, {
+                models: ['ising'],
+                sessions: {
+                    active: sessions.size,
+                    ttl_seconds: SESSION_TTL,
+                    max_steps_per_call: MAX_STEPS_PER_CALL,
+                    transports: ['http', 'sse'],
+                    max_stream_rate: MAX_STREAM_RATE
+                },
+                parameters: {
+                    ising: {
+                        n_nodes: 'int - Number of nodes',
+                        edges: 'array - Optional [i, j] node index pairs (default: chain i -- i+1)',
+                        blocks: 'array - Optional free blocks, node index lists without internal edges (default: greedy coloring)',
+                        weights: 'array - Edge weights (one per edge)',
+                        biases: 'array - Node biases (length: n_nodes)',
+                        beta: 'float - Temperature parameter (1/T)',
+                        n_warmup: 'int - Number of warmup steps',
+                        n_samples: 'int - Number of samples to generate',
+                        steps_per_sample: 'int - Gibbs steps per sample'
+                    }
+                }
+            });
+        }
+    };
+    
+    return http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        if (options.log) {
+            console.log(`[MockThrml] ${req.method} ${url.pathname}`);
+        }
+        if (req.method === 'OPTIONS') {
+            // CORS preflight, as answered by flask_cors
+            res.writeHead(200, {
+                'Access-Control-Allow-Origin': '*',
+                'Access-Control-Allow-Methods': 'DELETE, GET, HEAD, OPTIONS, PATCH, POST, PUT',
+                'Access-Control-Allow-Headers': req.headers['access-control-request-headers'] || '*'
+            });
+            res.end();
+            return;
+        }
+        
+        const match = url.pathname.match(/^\/sessions\/([^/]+)(\/step|\/events|\/ack)?$/);
+        const path = match ? `/sessions/:id${match[2] || ''}` : url.pathname;
+        const route = routes[`${req.method} ${path}`];
+        if (!route) {
+            const known = Object.keys(routes).some(key => key.endsWith(` ${path}`));
+            sendJson(res, known ? 405 : 404, { success: false, error: `${req.method} ${url.pathname} is not an endpoint` });
+            return;
+        }
+        
+        try {
+            if (match) {
+                const session = getSession(match[1]);
+                if (!session) return sessionNotFound(res, match[1]);
+                await route(req, res, session, url.searchParams);
+            } else {
+                await route(req, res);
+            }
+        } catch (error) {
+            if (!res.headersSent) {
+                sendError(res, error);
+            } else {
+                console.error('[MockThrml] Request failed after the response started:', error);
+                res.end();
+            }
+        }
+    });
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const port = Number(process.env.PORT) || 5000;
+    const host = process.env.HOST || '127.0.0.1';
+    createMockServer({ log: true }).listen(port, host, () => {
+        console.log(`[MockThrml] Mock THRML API running on http://${host}:${port}`);
+    });
+}